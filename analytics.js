@@ -0,0 +1,209 @@
+// 销售分析 - 按日期范围汇总已付款订单的销售额、订单数和客单价，以及畅销商品、畅销分类和按日/按周的时间序列
+// 只统计已付款且未取消或退款的订单（见 order-status.js 的 PAID_ORDER_STATUSES），按下单时间归入日期
+// 销售额为订单实付金额（含运费和税，扣除优惠）；商品和分类的销售额为订单行金额，不分摊订单级优惠
+const express = require('express');
+const { roundMoney } = require('./cart-pricing');
+const { PAID_ORDER_STATUSES } = require('./order-status');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// 默认统计最近30天，最长可查询两年
+const DEFAULT_RANGE_DAYS = 30;
+const MAX_RANGE_DAYS = 731;
+
+// 时间序列的粒度：day 按日，week 按周（周一为一周的第一天）
+const INTERVALS = {
+  day: "DATE_FORMAT(o.created_at, '%Y-%m-%d')",
+  week: "DATE_FORMAT(DATE_SUB(DATE(o.created_at), INTERVAL WEEKDAY(o.created_at) DAY), '%Y-%m-%d')"
+};
+
+// 畅销商品和分类的排序方式
+const RANKINGS = {
+  revenue: 'revenue DESC, units DESC',
+  units: 'units DESC, revenue DESC'
+};
+
+// 畅销商品和分类的默认数量和最大数量
+const DEFAULT_TOP_LIMIT = 5;
+const MAX_TOP_LIMIT = 20;
+
+// 订单筛选条件：已付款状态，且下单时间在 [from, to] 这几天之内
+const RANGE_WHERE = 'o.status IN (?) AND o.created_at >= ? AND o.created_at < DATE_ADD(?, INTERVAL 1 DAY)';
+
+// 日期在内部以 UTC 零点的 Date 表示，只用于按天计算，与服务器时区无关
+function parseDate(value) {
+  if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    return null;
+  }
+  const date = new Date(`${value}T00:00:00Z`);
+  return !Number.isNaN(date.getTime()) && formatDate(date) === value ? date : null;
+}
+
+function formatDate(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+function addDays(date, days) {
+  return new Date(date.getTime() + days * DAY_MS);
+}
+
+// 服务器本地时间的今天
+function today() {
+  const now = new Date();
+  return new Date(Date.UTC(now.getFullYear(), now.getMonth(), now.getDate()));
+}
+
+// 日期所在周的周一
+function weekStart(date) {
+  return addDays(date, -((date.getUTCDay() + 6) % 7));
+}
+
+// 校验查询参数，返回 { errors, range }
+// 查询参数：from, to（YYYY-MM-DD，包含当天）, interval（day/week）, rankBy（revenue/units）, limit
+function validateRange(query = {}) {
+  const errors = [];
+  const to = query.to === undefined || query.to === '' ? today() : parseDate(query.to);
+  const from = query.from === undefined || query.from === ''
+    ? to && addDays(to, -(DEFAULT_RANGE_DAYS - 1))
+    : parseDate(query.from);
+  const interval = query.interval || 'day';
+  const rankBy = query.rankBy || 'revenue';
+  const limit = Math.min(Math.max(parseInt(query.limit, 10) || DEFAULT_TOP_LIMIT, 1), MAX_TOP_LIMIT);
+
+  if (!from || !to) {
+    errors.push('Dates must be valid dates in YYYY-MM-DD format');
+  } else if (from > to) {
+    errors.push('Start date must not be after the end date');
+  } else if ((to - from) / DAY_MS + 1 > MAX_RANGE_DAYS) {
+    errors.push(`Date range must be at most ${MAX_RANGE_DAYS} days`);
+  }
+  if (!INTERVALS[interval]) {
+    errors.push(`Interval must be one of: ${Object.keys(INTERVALS).join(', ')}`);
+  }
+  if (!RANKINGS[rankBy]) {
+    errors.push(`rankBy must be one of: ${Object.keys(RANKINGS).join(', ')}`);
+  }
+
+  return { errors, range: { from, to, interval, rankBy, limit } };
+}
+
+// 补齐没有订单的日期或周，使时间序列连续
+function fillSeries(rows, { from, to, interval }) {
+  const byPeriod = new Map(rows.map(row => [row.period, row]));
+  const step = interval === 'week' ? 7 : 1;
+  const series = [];
+
+  for (let date = interval === 'week' ? weekStart(from) : from; date <= to; date = addDays(date, step)) {
+    const period = formatDate(date);
+    const row = byPeriod.get(period);
+    series.push({
+      period,
+      revenue: row ? roundMoney(parseFloat(row.revenue)) : 0,
+      orders: row ? Number(row.orders) : 0
+    });
+  }
+  return series;
+}
+
+// 汇总日期范围内的销售数据
+async function getSalesReport(db, { from, to, interval, rankBy, limit }) {
+  const rangeParams = [PAID_ORDER_STATUSES, formatDate(from), formatDate(to)];
+
+  const [[totals]] = await db.query(
+    `SELECT COUNT(*) AS orders, COALESCE(SUM(o.total_amount), 0) AS revenue
+     FROM orders o
+     WHERE ${RANGE_WHERE}`,
+    rangeParams
+  );
+  const [[{ units }]] = await db.query(
+    `SELECT COALESCE(SUM(oi.quantity), 0) AS units
+     FROM order_items oi
+     JOIN orders o ON o.id = oi.order_id
+     WHERE ${RANGE_WHERE}`,
+    rangeParams
+  );
+
+  const [seriesRows] = await db.query(
+    `SELECT ${INTERVALS[interval]} AS period, COUNT(*) AS orders, SUM(o.total_amount) AS revenue
+     FROM orders o
+     WHERE ${RANGE_WHERE}
+     GROUP BY period`,
+    rangeParams
+  );
+
+  // 同一商品的不同规格合并统计，商品名称取订单中保存的名称
+  const [productRows] = await db.query(
+    `SELECT oi.product_id, MAX(oi.product_name) AS name, SUM(oi.quantity) AS units, SUM(oi.total_price) AS revenue
+     FROM order_items oi
+     JOIN orders o ON o.id = oi.order_id
+     WHERE ${RANGE_WHERE}
+     GROUP BY oi.product_id
+     ORDER BY ${RANKINGS[rankBy]}
+     LIMIT ?`,
+    [...rangeParams, limit]
+  );
+
+  // 分类取商品当前的分类，已删除的商品归入 Uncategorized
+  const [categoryRows] = await db.query(
+    `SELECT COALESCE(p.category, 'Uncategorized') AS category_name, SUM(oi.quantity) AS units, SUM(oi.total_price) AS revenue
+     FROM order_items oi
+     JOIN orders o ON o.id = oi.order_id
+     LEFT JOIN products p ON CAST(p.id AS CHAR) = oi.product_id
+     WHERE ${RANGE_WHERE}
+     GROUP BY category_name
+     ORDER BY ${RANKINGS[rankBy]}
+     LIMIT ?`,
+    [...rangeParams, limit]
+  );
+
+  const orders = Number(totals.orders);
+  const revenue = roundMoney(parseFloat(totals.revenue));
+
+  return {
+    range: { from: formatDate(from), to: formatDate(to), interval, rankBy },
+    summary: {
+      revenue,
+      orders,
+      averageOrderValue: orders > 0 ? roundMoney(revenue / orders) : 0,
+      units: Number(units)
+    },
+    series: fillSeries(seriesRows, { from, to, interval }),
+    topProducts: productRows.map(row => ({
+      productId: row.product_id,
+      name: row.name,
+      units: Number(row.units),
+      revenue: roundMoney(parseFloat(row.revenue))
+    })),
+    topCategories: categoryRows.map(row => ({
+      category: row.category_name,
+      units: Number(row.units),
+      revenue: roundMoney(parseFloat(row.revenue))
+    }))
+  };
+}
+
+// 管理员销售分析API：/api/admin/analytics
+function createAdminAnalyticsRouter(pool) {
+  const router = express.Router();
+
+  // 销售报表
+  router.get('/sales', async (req, res) => {
+    const { errors, range } = validateRange(req.query);
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, message: errors[0], errors });
+    }
+
+    try {
+      res.json({ success: true, ...(await getSalesReport(pool, range)) });
+    } catch (error) {
+      console.error('Error getting sales report:', error);
+      res.status(500).json({ success: false, message: 'Error getting sales report' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = {
+  createAdminAnalyticsRouter
+};
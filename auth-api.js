@@ -0,0 +1,313 @@
+// 用户账户后端API - 注册、登录、登出、当前用户查询，以及管理员的用户角色管理
+const express = require('express');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const {
+  ROLES,
+  issueUserToken,
+  issueGuestToken,
+  revokeToken,
+  getRequestToken,
+  authenticate,
+  requireUser
+} = require('./session');
+
+// 创建用户表和会话表（如果不存在）
+async function createUserTables(pool) {
+  const usersQuery = `
+    CREATE TABLE IF NOT EXISTS users (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      username VARCHAR(50) NOT NULL,
+      email VARCHAR(255) NOT NULL,
+      password_hash VARCHAR(255) NOT NULL,
+      role VARCHAR(20) NOT NULL DEFAULT 'customer',
+      full_name VARCHAR(255) DEFAULT '',
+      phone VARCHAR(50) DEFAULT '',
+      address TEXT,
+      date_of_birth VARCHAR(20) DEFAULT '',
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE KEY user_email (email),
+      UNIQUE KEY user_username (username)
+    );
+  `;
+  const sessionsQuery = `
+    CREATE TABLE IF NOT EXISTS user_sessions (
+      token CHAR(64) PRIMARY KEY,
+      user_id INT NOT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      expires_at DATETIME NOT NULL,
+      KEY session_user (user_id)
+    );
+  `;
+
+  try {
+    await pool.execute(usersQuery);
+    await pool.execute(sessionsQuery);
+    console.log('User tables created or already exist');
+    await seedUsers(pool);
+  } catch (error) {
+    console.error('Error creating user tables:', error);
+  }
+}
+
+// 用户表为空时，从 data/users.json 导入初始账户（密码在导入时哈希）
+async function seedUsers(pool) {
+  const [rows] = await pool.execute('SELECT COUNT(*) AS count FROM users');
+  if (rows[0].count > 0) {
+    return;
+  }
+
+  const file = path.join(__dirname, 'data', 'users.json');
+  const { users = [] } = JSON.parse(fs.readFileSync(file, 'utf8'));
+
+  for (const user of users) {
+    await pool.execute(
+      'INSERT INTO users (username, email, password_hash, role, full_name) VALUES (?, ?, ?, ?, ?)',
+      [user.username, user.email, await hashPassword(user.password), user.role || 'customer', user.full_name || '']
+    );
+  }
+  console.log(`Seeded ${users.length} user(s) from data/users.json`);
+}
+
+// 使用scrypt哈希密码，格式为 scrypt$salt$hash
+function hashPassword(password) {
+  return new Promise((resolve, reject) => {
+    const salt = crypto.randomBytes(16).toString('hex');
+    crypto.scrypt(password, salt, 64, (err, derivedKey) => {
+      if (err) return reject(err);
+      resolve(`scrypt$${salt}$${derivedKey.toString('hex')}`);
+    });
+  });
+}
+
+// 校验密码是否与存储的哈希匹配
+function verifyPassword(password, storedHash) {
+  return new Promise((resolve, reject) => {
+    const [scheme, salt, hash] = String(storedHash).split('$');
+    if (scheme !== 'scrypt' || !salt || !hash) {
+      return resolve(false);
+    }
+    crypto.scrypt(password, salt, 64, (err, derivedKey) => {
+      if (err) return reject(err);
+      const expected = Buffer.from(hash, 'hex');
+      resolve(expected.length === derivedKey.length && crypto.timingSafeEqual(expected, derivedKey));
+    });
+  });
+}
+
+// 密码规则与前端 auth.js 的 validatePassword 保持一致
+function validatePassword(password) {
+  return typeof password === 'string' &&
+         password.length >= 8 &&
+         /\d/.test(password) &&
+         /[!@#$%^&*(),.?":{}|<>]/.test(password);
+}
+
+function validateEmail(email) {
+  return typeof email === 'string' && /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email);
+}
+
+// 返回给前端的用户信息（不包含密码哈希）
+function toPublicUser(user) {
+  return {
+    id: String(user.id),
+    username: user.username,
+    email: user.email,
+    role: user.role,
+    full_name: user.full_name || '',
+    phone: user.phone || '',
+    address: user.address || '',
+    date_of_birth: user.date_of_birth || '',
+    created_at: user.created_at
+  };
+}
+
+function createAuthRouter(pool) {
+  const router = express.Router();
+
+  // 注册新用户
+  router.post('/register', async (req, res) => {
+    try {
+      const { username, email, password, fullName = '', phone = '', address = '', dob = '' } = req.body;
+      const trimmedUsername = String(username || '').trim();
+      const normalizedEmail = String(email || '').trim().toLowerCase();
+
+      if (trimmedUsername.length < 3 || trimmedUsername.length > 20) {
+        return res.status(400).json({ success: false, message: 'Username must be 3-20 characters long' });
+      }
+      if (!validateEmail(normalizedEmail)) {
+        return res.status(400).json({ success: false, message: 'Please enter a valid email address' });
+      }
+      if (!validatePassword(password)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Password must be at least 8 characters long and contain a number and a special character'
+        });
+      }
+
+      const [existingEmail] = await pool.execute('SELECT id FROM users WHERE email = ?', [normalizedEmail]);
+      if (existingEmail.length > 0) {
+        return res.status(409).json({ success: false, message: 'Email already registered' });
+      }
+
+      const [existingUsername] = await pool.execute('SELECT id FROM users WHERE username = ?', [trimmedUsername]);
+      if (existingUsername.length > 0) {
+        return res.status(409).json({ success: false, message: 'Username already taken' });
+      }
+
+      await pool.execute(
+        'INSERT INTO users (username, email, password_hash, role, full_name, phone, address, date_of_birth) VALUES (?, ?, ?, ?, ?, ?, ?, ?)',
+        [
+          trimmedUsername,
+          normalizedEmail,
+          await hashPassword(password),
+          'customer',
+          String(fullName).trim(),
+          String(phone).trim(),
+          String(address).trim(),
+          String(dob)
+        ]
+      );
+
+      res.status(201).json({ success: true, message: 'Registration successful!' });
+    } catch (error) {
+      console.error('Error registering user:', error);
+      res.status(500).json({ success: false, message: 'Error registering user' });
+    }
+  });
+
+  // 用户登录，成功后创建会话
+  router.post('/login', async (req, res) => {
+    try {
+      const { email, password } = req.body;
+      const normalizedEmail = String(email || '').trim().toLowerCase();
+
+      const [rows] = await pool.execute('SELECT * FROM users WHERE email = ?', [normalizedEmail]);
+      const user = rows[0];
+
+      if (!user || !(await verifyPassword(String(password || ''), user.password_hash))) {
+        return res.status(401).json({ success: false, message: 'Invalid email or password' });
+      }
+
+      const token = await issueUserToken(pool, user);
+      res.json({ success: true, message: 'Login successful!', token, user: toPublicUser(user) });
+    } catch (error) {
+      console.error('Error logging in:', error);
+      res.status(500).json({ success: false, message: 'Error logging in' });
+    }
+  });
+
+  // 用户登出，删除当前会话
+  router.post('/logout', async (req, res) => {
+    try {
+      await revokeToken(pool, getRequestToken(req));
+      res.json({ success: true, message: 'Logged out' });
+    } catch (error) {
+      console.error('Error logging out:', error);
+      res.status(500).json({ success: false, message: 'Error logging out' });
+    }
+  });
+
+  // 为游客签发匿名令牌，用于访问游客购物车
+  router.post('/guest', (req, res) => {
+    const { token, guestId } = issueGuestToken();
+    res.json({ success: true, token, guestId });
+  });
+
+  // 获取当前登录用户
+  router.get('/me', authenticate(pool), requireUser, async (req, res) => {
+    try {
+      const [rows] = await pool.execute('SELECT * FROM users WHERE id = ?', [req.auth.userId]);
+      const user = rows[0];
+      if (!user) {
+        return res.status(401).json({ success: false, message: 'Not logged in' });
+      }
+      res.json({ success: true, user: toPublicUser(user) });
+    } catch (error) {
+      console.error('Error getting current user:', error);
+      res.status(500).json({ success: false, message: 'Error getting current user' });
+    }
+  });
+
+  return router;
+}
+
+// 用户列表每页数量
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+// 管理员用户API：/api/admin/users - 查询用户和修改用户角色
+function createAdminUsersRouter(pool) {
+  const router = express.Router();
+
+  // 用户列表，查询参数：search（用户名或邮箱）, role, page, limit
+  router.get('/', async (req, res) => {
+    try {
+      const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+      const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+      const conditions = [];
+      const params = [];
+
+      const search = String(req.query.search || '').trim();
+      if (search) {
+        conditions.push('(username LIKE ? OR email LIKE ?)');
+        params.push(`%${search}%`, `%${search}%`);
+      }
+      if (ROLES.includes(req.query.role)) {
+        conditions.push('role = ?');
+        params.push(req.query.role);
+      }
+
+      const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+      const [[{ count }]] = await pool.query(`SELECT COUNT(*) AS count FROM users ${where}`, params);
+      const total = Number(count);
+      const [rows] = await pool.query(
+        `SELECT * FROM users ${where} ORDER BY id LIMIT ? OFFSET ?`,
+        [...params, limit, (page - 1) * limit]
+      );
+
+      res.json({
+        success: true,
+        users: rows.map(toPublicUser),
+        roles: ROLES,
+        pagination: { page, limit, total, totalPages: Math.ceil(total / limit) }
+      });
+    } catch (error) {
+      console.error('Error getting users:', error);
+      res.status(500).json({ success: false, message: 'Error getting users' });
+    }
+  });
+
+  // 修改用户角色，管理员不能修改自己的角色（避免后台失去最后一个管理员）
+  router.put('/:id/role', async (req, res) => {
+    const { role } = req.body;
+    if (!ROLES.includes(role)) {
+      return res.status(400).json({ success: false, message: `Role must be one of: ${ROLES.join(', ')}` });
+    }
+    if (String(req.params.id) === req.auth.userId) {
+      return res.status(400).json({ success: false, message: 'You cannot change your own role' });
+    }
+
+    try {
+      const [result] = await pool.execute('UPDATE users SET role = ? WHERE id = ?', [role, req.params.id]);
+      if (result.affectedRows === 0) {
+        return res.status(404).json({ success: false, message: 'User not found' });
+      }
+
+      const [rows] = await pool.execute('SELECT * FROM users WHERE id = ?', [req.params.id]);
+      res.json({ success: true, message: `Role changed to ${role}`, user: toPublicUser(rows[0]) });
+    } catch (error) {
+      console.error('Error changing user role:', error);
+      res.status(500).json({ success: false, message: 'Error changing user role' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = {
+  createUserTables,
+  createAuthRouter,
+  createAdminUsersRouter
+};
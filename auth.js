@@ -1,121 +1,91 @@
 // Authentication logic for customer login and registration
 
-// Initialize users from localStorage or use default
-function getUsers() {
-    const usersData = localStorage.getItem('users');
-    if (usersData) {
-        return JSON.parse(usersData);
-    }
-    
-    // Default user data
-    const defaultUsers = {
-        users: [
-            {
-                id: "1",
-                username: "admin",
-                email: "admin@example.com",
-                password: "admin123",
-                role: "admin",
-                created_at: new Date().toISOString(),
-                // Optional fields
-                full_name: "Admin User",
-                phone: "",
-                address: "",
-                date_of_birth: ""
-            }
-        ],
-        last_id: 1
-    };
-    
-    localStorage.setItem('users', JSON.stringify(defaultUsers));
-    return defaultUsers;
+// Auth API base URL
+const AUTH_API_URL = 'http://localhost:3000/api/auth';
+
+// Get the session token issued by the server at login
+function getAuthToken() {
+    return localStorage.getItem('authToken');
+}
+
+// Build request headers, including the session token when logged in
+function getAuthHeaders(extraHeaders = {}) {
+    const token = getAuthToken();
+    return token ? { ...extraHeaders, Authorization: `Bearer ${token}` } : { ...extraHeaders };
 }
 
-// Save users data to localStorage
-function saveUsers(usersData) {
-    localStorage.setItem('users', JSON.stringify(usersData));
+// Store user session
+function saveSession(token, user) {
+    localStorage.setItem('authToken', token);
+    localStorage.setItem('currentUser', JSON.stringify(user));
+}
+
+// Remove user session
+function clearSession() {
+    localStorage.removeItem('authToken');
+    localStorage.removeItem('currentUser');
 }
 
 // Register new user
-function registerUser(username, email, password, fullName = '', phone = '', address = '', dob = '') {
-    const usersData = getUsers();
-    
-    // Check if email already exists
-    const existingUser = usersData.users.find(user => user.email === email);
-    if (existingUser) {
-        return { success: false, message: 'Email already registered' };
-    }
-    
-    // Check if username already exists
-    const existingUsername = usersData.users.find(user => user.username === username);
-    if (existingUsername) {
-        return { success: false, message: 'Username already taken' };
+async function registerUser(username, email, password, fullName = '', phone = '', address = '', dob = '') {
+    try {
+        const response = await fetch(`${AUTH_API_URL}/register`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ username, email, password, fullName, phone, address, dob })
+        });
+        const result = await response.json();
+        
+        return { success: Boolean(result.success), message: result.message };
+    } catch (error) {
+        console.error('Error registering user:', error);
+        return { success: false, message: 'Unable to reach the server. Please try again later.' };
     }
-    
-    // Create new user
-    usersData.last_id++;
-    const newUser = {
-        id: usersData.last_id.toString(),
-        username: username,
-        email: email,
-        password: password, // In a real app, we would hash this
-        role: "customer",
-        created_at: new Date().toISOString(),
-        // Optional fields
-        full_name: fullName.trim(),
-        phone: phone.trim(),
-        address: address.trim(),
-        date_of_birth: dob
-    };
-    
-    usersData.users.push(newUser);
-    saveUsers(usersData);
-    
-    return { success: true, message: 'Registration successful!' };
 }
 
 // Login user
-function loginUser(email, password) {
-    const usersData = getUsers();
-    
-    // Find user by email
-    const user = usersData.users.find(user => user.email === email);
-    
-    if (!user) {
-        return { success: false, message: 'Invalid email or password' };
-    }
-    
-    // Check password (in a real app, we would verify hashed password)
-    if (user.password !== password) {
-        return { success: false, message: 'Invalid email or password' };
-    }
-    
-    // Store user session
-    localStorage.setItem('currentUser', JSON.stringify({
-        id: user.id,
-        username: user.username,
-        email: user.email,
-        role: user.role
-    }));
-    
-    // Update navigation and dispatch auth event
-    updateNavigation();
-    
-    return { 
-        success: true, 
-        message: 'Login successful!',
-        user: {
-            id: user.id,
-            username: user.username,
-            email: user.email,
-            role: user.role
+async function loginUser(email, password) {
+    try {
+        const response = await fetch(`${AUTH_API_URL}/login`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ email, password })
+        });
+        const result = await response.json();
+        
+        if (!result.success) {
+            return { success: false, message: result.message || 'Invalid email or password' };
         }
-    };
+        
+        // Store user session
+        saveSession(result.token, result.user);
+        
+        // Update navigation and dispatch auth event
+        updateNavigation();
+        
+        return { 
+            success: true, 
+            message: result.message,
+            user: result.user
+        };
+    } catch (error) {
+        console.error('Error logging in:', error);
+        return { success: false, message: 'Unable to reach the server. Please try again later.' };
+    }
 }
 
 // Logout user
-function logoutUser() {
-    localStorage.removeItem('currentUser');
+async function logoutUser() {
+    try {
+        await fetch(`${AUTH_API_URL}/logout`, {
+            method: 'POST',
+            headers: getAuthHeaders()
+        });
+    } catch (error) {
+        console.warn('Error notifying server of logout:', error);
+    }
+    
+    clearSession();
     updateNavigation();
     
     // Clear cart when user logs out
@@ -128,15 +98,57 @@ function logoutUser() {
 
 // Check if user is logged in
 function isLoggedIn() {
-    return localStorage.getItem('currentUser') !== null;
+    return localStorage.getItem('currentUser') !== null && getAuthToken() !== null;
 }
 
 // Get current user
 function getCurrentUser() {
+    if (!getAuthToken()) {
+        return null;
+    }
     const userData = localStorage.getItem('currentUser');
     return userData ? JSON.parse(userData) : null;
 }
 
+// Check whether the current user has one of the given roles (customer, staff or admin).
+// The cached role only decides what a page shows; the server checks the role again on every admin request.
+function hasRole(...roles) {
+    const user = getCurrentUser();
+    return Boolean(user && roles.includes(user.role));
+}
+
+// Staff and admins can open the admin area
+function isStaff() {
+    return hasRole('staff', 'admin');
+}
+
+// Refresh the cached user from the server, dropping the session if it has expired
+async function fetchCurrentUser() {
+    if (!getAuthToken()) {
+        return null;
+    }
+    
+    try {
+        const response = await fetch(`${AUTH_API_URL}/me`, { headers: getAuthHeaders() });
+        
+        if (response.status === 401) {
+            clearSession();
+            updateNavigation();
+            return null;
+        }
+        
+        const result = await response.json();
+        if (result.success) {
+            localStorage.setItem('currentUser', JSON.stringify(result.user));
+            return result.user;
+        }
+    } catch (error) {
+        console.warn('Unable to refresh current user:', error);
+    }
+    
+    return getCurrentUser();
+}
+
 // Password validation function
 function validatePassword(password) {
     // At least 8 characters, contains a number and a special character
@@ -168,7 +180,7 @@ function initRegisterForm() {
     const registerForm = document.getElementById('register-form');
     if (!registerForm) return;
     
-    registerForm.addEventListener('submit', (e) => {
+    registerForm.addEventListener('submit', async (e) => {
         e.preventDefault();
         
         // Required fields from the form
@@ -223,7 +235,7 @@ function initRegisterForm() {
         const fullName = `${firstName} ${lastName}`;
         
         // Register user with all fields
-        const result = registerUser(username, email, password, fullName, phone, '', '');
+        const result = await registerUser(username, email, password, fullName, phone, '', '');
         
         if (result.success) {
             // Add success message
@@ -246,12 +258,18 @@ function initRegisterForm() {
     });
 }
 
+// Page to open after login, taken from login.html?redirect=<page>.html (only plain local pages are allowed)
+function getLoginRedirect() {
+    const redirect = new URLSearchParams(window.location.search).get('redirect');
+    return redirect && /^[\w-]+\.html(#[\w-]*)?$/.test(redirect) ? redirect : 'products.html';
+}
+
 // Initialize login form handling
 function initLoginForm() {
     const loginForm = document.getElementById('login-form');
     if (!loginForm) return;
     
-    loginForm.addEventListener('submit', (e) => {
+    loginForm.addEventListener('submit', async (e) => {
         e.preventDefault();
         
         const email = document.getElementById('email').value.trim();
@@ -264,7 +282,7 @@ function initLoginForm() {
         errorMessage.style.display = 'none';
         
         // Login user
-        const result = loginUser(email, password);
+        const result = await loginUser(email, password);
         
         if (result.success) {
             // If remember me is checked, store a token (in a real app)
@@ -272,9 +290,10 @@ function initLoginForm() {
                 localStorage.setItem('remembered', 'true');
             }
             
-            // Direct redirect to products page using assign method
-            console.log('Login successful, redirecting to products page...');
-            window.location.assign('products.html');
+            // Return to the page that asked for a login, or go to the products page
+            const redirect = getLoginRedirect();
+            console.log(`Login successful, redirecting to ${redirect}...`);
+            window.location.assign(redirect);
         } else {
             errorMessage.textContent = result.message;
             errorMessage.style.display = 'block';
@@ -292,18 +311,19 @@ function updateNavigation() {
     if (currentUser) {
         // User is logged in
         const loginLink = navLinks.querySelector('a[href="login.html"]');
-        const registerLink = navLinks.querySelector('a[href="register.html"]');
+        // The register link points either to register.html or to the hosted sign-up page
+        const registerLink = navLinks.querySelector('a[href="register.html"], a[href="https://hyman.rf.gd/"]');
         
         if (loginLink && registerLink) {
-            // Replace login/register with profile/logout
+            // Replace login/register with "My Orders"/logout
             loginLink.textContent = `Welcome, ${currentUser.username}`;
-            loginLink.href = 'javascript:void(0)';
-            loginLink.style.cursor = 'default';
+            loginLink.href = 'orders.html';
+            loginLink.title = 'My Orders';
             
             registerLink.textContent = 'Logout';
             registerLink.href = 'javascript:void(0)';
-            registerLink.onclick = () => {
-                logoutUser();
+            registerLink.onclick = async () => {
+                await logoutUser();
                 window.location.reload();
             };
         }
@@ -329,6 +349,9 @@ document.addEventListener('DOMContentLoaded', () => {
     // Update navigation
     updateNavigation();
     
+    // Make sure the stored session is still valid on the server
+    fetchCurrentUser();
+    
     // Initialize forms based on current page - more reliable method
     const currentURL = window.location.href;
     if (currentURL.includes('login.html')) {
@@ -347,6 +370,11 @@ window.auth = {
     logoutUser,
     isLoggedIn,
     getCurrentUser,
+    fetchCurrentUser,
+    hasRole,
+    isStaff,
+    getAuthToken,
+    getAuthHeaders,
     validatePassword,
     validateUsername,
     updateNavigation
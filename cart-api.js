@@ -6,10 +6,51 @@ const bodyParser = require('body-parser');
 
 const app = express();
 app.use(cors());
-app.use(bodyParser.json());
+// 保留原始请求体，支付回调需要用它校验签名
+app.use(bodyParser.json({
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 
 // 导入数据库连接配置
 const dbConfig = require('./db-config');
+const { createUserTables, createAuthRouter, createAdminUsersRouter } = require('./auth-api');
+const { authenticate, requireSession, requireUser, requireAdmin, requireStaff, verifyToken } = require('./session');
+const { addMissingColumns, addMissingIndexes, dropIndexes } = require('./schema');
+const { createProductTable, getProduct, createProductsRouter } = require('./catalog');
+const { createVariantTable } = require('./variants');
+const { createReviewTable, createAdminReviewsRouter } = require('./reviews');
+const { createForumTables, createForumRouter, createAdminForumRouter } = require('./forum');
+const { createCategoryTable, createCategoriesRouter, createAdminCategoriesRouter } = require('./categories');
+const { priceCartItems, getPricedCart } = require('./cart-pricing');
+const { publishCartChange, streamCartChanges } = require('./cart-events');
+const {
+  COUPON_REJECTIONS,
+  createCouponTables,
+  findCouponByCode,
+  checkCoupon,
+  createAdminCouponsRouter
+} = require('./coupons');
+const { createShippingTable, createAdminShippingRouter } = require('./shipping');
+const { createTaxTable, createAdminTaxRouter } = require('./tax');
+const { createOrderTables, createOrdersRouter, createAdminOrdersRouter } = require('./orders-api');
+const { createAdminAnalyticsRouter } = require('./analytics');
+const { createRestockTable, createAdminInventoryRouter } = require('./stock-alerts');
+const { createStockLedgerTable, recordOpeningBalances, createAdminStockLedgerRouter } = require('./stock-ledger');
+const { createSupplierTable, createAdminSuppliersRouter } = require('./suppliers');
+const { createPurchaseOrderTables, createAdminPurchaseOrdersRouter } = require('./purchase-orders');
+const { registerPaymentProvider, createPaymentWebhookRouter } = require('./payments');
+const { mockGateway, createMockGatewayRouter } = require('./mock-gateway');
+const {
+  itemKey,
+  parseItemKey,
+  createInventoryTable,
+  getStockLevels,
+  checkStock,
+  insufficientStockResponse,
+  createStockRouter
+} = require('./inventory');
 
 // 创建数据库连接池
 const pool = mysql.createPool(dbConfig);
@@ -29,13 +70,16 @@ async function testDbConnection() {
 testDbConnection();
 
 // 创建购物车表（如果不存在）
+// 每个购物车行对应一个可售单位：没有规格的商品 variant_id 为0，否则为所选规格的ID
 async function createCartTable() {
   const query = `
     CREATE TABLE IF NOT EXISTS cart (
       id INT AUTO_INCREMENT PRIMARY KEY,
       user_id VARCHAR(50) NOT NULL,
       product_id VARCHAR(50) NOT NULL,
+      variant_id INT NOT NULL DEFAULT 0,
       name VARCHAR(255) NOT NULL,
+      variant_name VARCHAR(100) DEFAULT NULL,
       price DECIMAL(10, 2) NOT NULL,
       original_price DECIMAL(10, 2) NOT NULL,
       discount DECIMAL(5, 2) DEFAULT 0,
@@ -43,12 +87,19 @@ async function createCartTable() {
       quantity INT NOT NULL DEFAULT 1,
       added_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
       updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
-      UNIQUE KEY user_product (user_id, product_id)
+      UNIQUE KEY user_item (user_id, product_id, variant_id)
     );
   `;
 
   try {
     await pool.execute(query);
+    // 早期版本的购物车按商品唯一，改为按商品和规格唯一
+    await addMissingColumns(pool, 'cart', {
+      variant_id: 'INT NOT NULL DEFAULT 0 AFTER product_id',
+      variant_name: 'VARCHAR(100) DEFAULT NULL AFTER name'
+    });
+    await addMissingIndexes(pool, 'cart', { user_item: 'UNIQUE (user_id, product_id, variant_id)' });
+    await dropIndexes(pool, 'cart', ['user_product']);
     console.log('Cart table created or already exists');
   } catch (error) {
     console.error('Error creating cart table:', error);
@@ -56,58 +107,207 @@ async function createCartTable() {
 }
 
 createCartTable();
+createUserTables(pool);
+createOrderTables(pool);
+createCouponTables(pool);
+createShippingTable(pool);
+createTaxTable(pool);
+createRestockTable(pool);
+createPurchaseOrderTables(pool);
+createForumTables(pool);
+// 商品表首次导入时会写入初始库存和规格，因此在库存表、库存流水表和规格表创建之后执行；初始分类和供应商来自商品表，因此最后创建分类表和供应商表
+// 导入后为还没有流水的库存记录写入初始库存流水
+createInventoryTable(pool)
+  .then(() => createStockLedgerTable(pool))
+  .then(() => createVariantTable(pool))
+  .then(() => createReviewTable(pool))
+  .then(() => createProductTable(pool))
+  .then(() => recordOpeningBalances(pool))
+  .then(() => createCategoryTable(pool))
+  .then(() => createSupplierTable(pool));
 
 // API路由
 
-// 获取购物车
+// 用户账户
+app.use('/api/auth', createAuthRouter(pool));
+
+// 用户角色管理（customer / staff / admin）
+app.use('/api/admin/users', authenticate(pool), requireAdmin(pool), createAdminUsersRouter(pool));
+
+// 商品目录
+app.use('/api/products', createProductsRouter(pool));
+
+// 商品分类
+app.use('/api/categories', createCategoriesRouter(pool));
+app.use('/api/admin/categories', authenticate(pool), requireAdmin(pool), createAdminCategoriesRouter(pool));
+
+// 商品评价审核（顾客评价接口在 /api/products/:productId/reviews），员工和管理员均可审核
+app.use('/api/admin/reviews', authenticate(pool), requireStaff(pool), createAdminReviewsRouter(pool));
+
+// 论坛（浏览无需登录）及论坛管理，员工和管理员均为版主
+app.use('/api/forum', authenticate(pool), createForumRouter(pool));
+app.use('/api/admin/forum', authenticate(pool), requireStaff(pool), createAdminForumRouter(pool));
+
+// 库存查询
+app.use('/api/stock', createStockRouter(pool));
+
+// 低库存提醒和补货入库
+app.use('/api/admin/inventory', authenticate(pool), requireStaff(pool), createAdminInventoryRouter(pool));
+
+// 库存流水：变动记录、手工调整和退货入库、与库存核对（修正库存仅限管理员）
+app.use('/api/admin/inventory', authenticate(pool), requireStaff(pool), createAdminStockLedgerRouter(pool));
+
+// 供应商和采购单（采购单收货时补货入库）
+app.use('/api/admin/suppliers', authenticate(pool), requireAdmin(pool), createAdminSuppliersRouter(pool));
+app.use('/api/admin/purchase-orders', authenticate(pool), requireAdmin(pool), createAdminPurchaseOrdersRouter(pool));
+
+// 支付：服务商回调，以及本地模拟网关的卡令牌和 3-D Secure 接口
+registerPaymentProvider('mock', mockGateway);
+app.use('/api/payments', createPaymentWebhookRouter(pool));
+if ((process.env.PAYMENT_PROVIDER || 'mock') === 'mock') {
+  app.use('/api/payments/mock', createMockGatewayRouter());
+}
+
+// 订单
+app.use('/api/orders', authenticate(pool), requireSession, createOrdersRouter(pool));
+// 订单履约由员工和管理员处理
+app.use('/api/admin/orders', authenticate(pool), requireStaff(pool), createAdminOrdersRouter(pool));
+
+// 销售分析（管理后台仪表盘）
+app.use('/api/admin/analytics', authenticate(pool), requireStaff(pool), createAdminAnalyticsRouter(pool));
+
+// 优惠券管理
+app.use('/api/admin/coupons', authenticate(pool), requireAdmin(pool), createAdminCouponsRouter(pool));
+
+// 运费和税率管理
+app.use('/api/admin/shipping-rates', authenticate(pool), requireAdmin(pool), createAdminShippingRouter(pool));
+app.use('/api/admin/tax-rates', authenticate(pool), requireAdmin(pool), createAdminTaxRouter(pool));
+
+// 所有购物车路由都需要有效的用户或游客令牌
+app.use('/api/cart', authenticate(pool), requireSession);
+
+// 解析购物车所属用户：'guest' 表示令牌自身的购物车，其他userId必须与令牌一致
+function resolveCartUserId(req, requestedUserId) {
+  if (!requestedUserId || requestedUserId === 'guest' || requestedUserId === req.auth.userId) {
+    return req.auth.userId;
+  }
+  return null;
+}
+
+// 购物车行的显示名称，规格行附带规格名称
+function itemDisplayName(name, variantName) {
+  return variantName ? `${name} (${variantName})` : name;
+}
+
+// 路由中的 :userId 参数统一在这里授权，结果保存到 req.cartUserId
+app.param('userId', (req, res, next, userId) => {
+  const cartUserId = resolveCartUserId(req, userId);
+  if (!cartUserId) {
+    return res.status(403).json({ success: false, message: 'You are not allowed to access this cart' });
+  }
+  req.cartUserId = cartUserId;
+  next();
+});
+
+// 购物车变化推送（SSE），必须定义在 /api/cart/:userId 之前
+app.get('/api/cart/stream', streamCartChanges);
+
+// 获取购物车：按目录当前价格重新定价，返回购物车行和价格明细
 app.get('/api/cart/:userId', async (req, res) => {
   try {
-    const { userId } = req.params;
-    const [rows] = await pool.execute('SELECT * FROM cart WHERE user_id = ?', [userId]);
-    res.json(rows);
+    const { items, pricing } = await getPricedCart(pool, req.cartUserId);
+    res.json({ success: true, items, pricing });
   } catch (error) {
     console.error('Error getting cart:', error);
     res.status(500).json({ success: false, message: 'Error getting cart' });
   }
 });
 
-// 添加商品到购物车
+// 添加商品到购物车（名称和价格一律取自商品目录，客户端只需提供商品ID和所选规格ID）
 app.post('/api/cart/add', async (req, res) => {
   try {
-    const { product, quantity, userId } = req.body;
+    const { quantity } = req.body;
+    const userId = resolveCartUserId(req, req.body.userId);
+    if (!userId) {
+      return res.status(403).json({ success: false, message: 'You are not allowed to access this cart' });
+    }
+    if (!Number.isInteger(quantity) || quantity < 1) {
+      return res.status(400).json({ success: false, message: 'Quantity must be a positive whole number' });
+    }
+    
+    const product = req.body.product && await getProduct(pool, req.body.product.id);
+    if (!product) {
+      return res.status(404).json({ success: false, message: 'Product not found' });
+    }
+
+    // 有规格的商品必须选择规格，价格、图片和库存以规格为准
+    const variantId = Number(req.body.product.variantId) || 0;
+    const variant = variantId ? product.variants.find(v => v.id === variantId) : null;
+    if (variantId && !variant) {
+      return res.status(404).json({ success: false, message: 'This product option is no longer available' });
+    }
+    if (!variantId && product.variants.length > 0) {
+      return res.status(400).json({ success: false, message: `Please choose an option for ${product.name}` });
+    }
+    const sellable = variant || product;
+    const key = itemKey(product.id, variantId);
+    const displayName = itemDisplayName(product.name, variant && variant.name);
+    const imageUrl = (variant && variant.image_url) || product.image_url;
     
     // 检查商品是否已在购物车中
     const [existingItems] = await pool.execute(
-      'SELECT * FROM cart WHERE user_id = ? AND product_id = ?',
-      [userId, product.id]
+      'SELECT * FROM cart WHERE user_id = ? AND product_id = ? AND variant_id = ?',
+      [userId, String(product.id), variantId]
     );
 
+    // 检查库存：购物车中已有数量加上本次数量不能超过库存
+    const inCart = existingItems.length > 0 ? existingItems[0].quantity : 0;
+    const { ok, stock } = await checkStock(pool, key, inCart + quantity);
+    if (!ok) {
+      return res.status(409).json(insufficientStockResponse(displayName, stock, { inCart }));
+    }
+
     if (existingItems.length > 0) {
-      // 更新数量
+      // 更新数量，同时把加入时的价格刷新为当前价格
       const newQuantity = existingItems[0].quantity + quantity;
       await pool.execute(
-        'UPDATE cart SET quantity = ?, updated_at = CURRENT_TIMESTAMP WHERE user_id = ? AND product_id = ?',
-        [newQuantity, userId, product.id]
+        `UPDATE cart SET quantity = ?, name = ?, variant_name = ?, price = ?, original_price = ?, discount = ?, image_url = ?,
+         updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+        [
+          newQuantity,
+          product.name,
+          variant ? variant.name : null,
+          sellable.price,
+          sellable.original_price,
+          sellable.discount,
+          imageUrl,
+          existingItems[0].id
+        ]
       );
       
-      res.json({ success: true, message: 'Cart item quantity updated', newQuantity });
+      publishCartChange(userId, { type: 'update', productId: key }, req);
+      res.json({ success: true, message: 'Cart item quantity updated', newQuantity, stock, remaining: stock - newQuantity });
     } else {
       // 添加新商品
       await pool.execute(
-        'INSERT INTO cart (user_id, product_id, name, price, original_price, discount, image_url, quantity) VALUES (?, ?, ?, ?, ?, ?, ?, ?)',
+        `INSERT INTO cart (user_id, product_id, variant_id, name, variant_name, price, original_price, discount, image_url, quantity)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
         [
           userId,
-          product.id,
+          String(product.id),
+          variantId,
           product.name,
-          product.price,
-          product.original_price || product.price,
-          product.discount || 0,
-          product.image_url || '',
+          variant ? variant.name : null,
+          sellable.price,
+          sellable.original_price,
+          sellable.discount,
+          imageUrl,
           quantity
         ]
       );
       
-      res.json({ success: true, message: 'Product added to cart' });
+      publishCartChange(userId, { type: 'add', productId: key }, req);
+      res.json({ success: true, message: 'Product added to cart', newQuantity: quantity, stock, remaining: stock - quantity });
     }
   } catch (error) {
     console.error('Error adding to cart:', error);
@@ -115,15 +315,26 @@ app.post('/api/cart/add', async (req, res) => {
   }
 });
 
+// 购物车行由 itemKey 标识（商品ID，或 "商品ID:规格ID"），解析结果保存到 req.cartItem
+app.param('itemKey', (req, res, next, key) => {
+  const item = parseItemKey(key);
+  if (!item) {
+    return res.status(400).json({ success: false, message: 'Invalid cart item' });
+  }
+  req.cartItem = { key: itemKey(item.productId, item.variantId), productId: item.productId, variantId: item.variantId || 0 };
+  next();
+});
+
 // 从购物车删除商品
-app.delete('/api/cart/remove/:userId/:productId', async (req, res) => {
+app.delete('/api/cart/remove/:userId/:itemKey', async (req, res) => {
   try {
-    const { userId, productId } = req.params;
+    const { key, productId, variantId } = req.cartItem;
     await pool.execute(
-      'DELETE FROM cart WHERE user_id = ? AND product_id = ?',
-      [userId, productId]
+      'DELETE FROM cart WHERE user_id = ? AND product_id = ? AND variant_id = ?',
+      [req.cartUserId, productId, variantId]
     );
     
+    publishCartChange(req.cartUserId, { type: 'remove', productId: key }, req);
     res.json({ success: true, message: 'Product removed from cart' });
   } catch (error) {
     console.error('Error removing from cart:', error);
@@ -132,29 +343,47 @@ app.delete('/api/cart/remove/:userId/:productId', async (req, res) => {
 });
 
 // 更新购物车商品数量
-app.put('/api/cart/update/:userId/:productId', async (req, res) => {
+app.put('/api/cart/update/:userId/:itemKey', async (req, res) => {
   try {
-    const { userId, productId } = req.params;
+    const { key, productId, variantId } = req.cartItem;
     const { quantity } = req.body;
+    if (!Number.isInteger(quantity) || quantity < 1) {
+      return res.status(400).json({ success: false, message: 'Quantity must be a positive whole number' });
+    }
+    
+    const [items] = await pool.execute(
+      'SELECT name, variant_name FROM cart WHERE user_id = ? AND product_id = ? AND variant_id = ?',
+      [req.cartUserId, productId, variantId]
+    );
+    if (items.length === 0) {
+      return res.status(404).json({ success: false, message: 'Product not found in cart' });
+    }
+    
+    const { ok, stock } = await checkStock(pool, key, quantity);
+    if (!ok) {
+      return res.status(409).json(insufficientStockResponse(itemDisplayName(items[0].name, items[0].variant_name), stock));
+    }
     
     await pool.execute(
-      'UPDATE cart SET quantity = ?, updated_at = CURRENT_TIMESTAMP WHERE user_id = ? AND product_id = ?',
-      [quantity, userId, productId]
+      'UPDATE cart SET quantity = ?, updated_at = CURRENT_TIMESTAMP WHERE user_id = ? AND product_id = ? AND variant_id = ?',
+      [quantity, req.cartUserId, productId, variantId]
     );
     
-    res.json({ success: true, message: 'Cart item quantity updated' });
+    publishCartChange(req.cartUserId, { type: 'update', productId: key }, req);
+    res.json({ success: true, message: 'Cart item quantity updated', stock, remaining: stock - quantity });
   } catch (error) {
     console.error('Error updating cart item:', error);
     res.status(500).json({ success: false, message: 'Error updating cart item' });
   }
 });
 
-// 清空购物车
+// 清空购物车（同时移除已应用的优惠券）
 app.delete('/api/cart/clear/:userId', async (req, res) => {
   try {
-    const { userId } = req.params;
-    await pool.execute('DELETE FROM cart WHERE user_id = ?', [userId]);
+    await pool.execute('DELETE FROM cart WHERE user_id = ?', [req.cartUserId]);
+    await pool.execute('DELETE FROM cart_coupons WHERE user_id = ?', [req.cartUserId]);
     
+    publishCartChange(req.cartUserId, { type: 'clear' }, req);
     res.json({ success: true, message: 'Cart cleared' });
   } catch (error) {
     console.error('Error clearing cart:', error);
@@ -162,16 +391,174 @@ app.delete('/api/cart/clear/:userId', async (req, res) => {
   }
 });
 
-// 获取购物车总金额
-app.get('/api/cart/total/:userId', async (req, res) => {
+// 登录后将游客购物车合并到用户购物车
+// 数量相加并按库存封顶，返回发生变化的商品
+app.post('/api/cart/merge', requireUser, async (req, res) => {
+  const guest = verifyToken(req.body.guestToken);
+  if (!guest || !guest.guest) {
+    return res.status(400).json({ success: false, message: 'Invalid guest token' });
+  }
+
+  const userId = req.auth.userId;
+  let connection;
+
   try {
-    const { userId } = req.params;
-    const [rows] = await pool.execute(
-      'SELECT SUM(price * quantity) as total FROM cart WHERE user_id = ?',
+    connection = await pool.getConnection();
+    await connection.beginTransaction();
+
+    const [guestItems] = await connection.execute(
+      'SELECT * FROM cart WHERE user_id = ? FOR UPDATE',
+      [guest.sub]
+    );
+    const [userItems] = await connection.execute(
+      'SELECT * FROM cart WHERE user_id = ? FOR UPDATE',
       [userId]
     );
-    
-    res.json({ success: true, total: rows[0].total || 0 });
+    // 按目录当前价格定价，同时得知商品或规格是否仍在售
+    const pricedItems = await priceCartItems(connection, guestItems);
+    const stockLevels = await getStockLevels(connection, pricedItems.map(item => item.item_key));
+    const changes = [];
+
+    for (const item of pricedItems) {
+      const variantId = item.variant_id || 0;
+      const name = itemDisplayName(item.name, item.variant_name);
+      const existing = userItems.find(userItem =>
+        userItem.product_id === item.product_id && userItem.variant_id === variantId
+      );
+      const previousQuantity = existing ? existing.quantity : 0;
+
+      // 商品或规格已下架，丢弃该游客购物车项
+      if (!item.available) {
+        changes.push({
+          productId: item.item_key,
+          name,
+          status: 'unavailable',
+          requestedQuantity: previousQuantity + item.quantity,
+          previousQuantity,
+          quantity: previousQuantity
+        });
+        continue;
+      }
+
+      const requestedQuantity = previousQuantity + item.quantity;
+      const quantity = Math.min(requestedQuantity, stockLevels.get(item.item_key));
+
+      if (quantity <= previousQuantity) {
+        if (requestedQuantity > quantity) {
+          changes.push({ productId: item.item_key, name, status: 'capped', requestedQuantity, previousQuantity, quantity });
+        }
+        continue;
+      }
+
+      if (existing) {
+        await connection.execute(
+          'UPDATE cart SET quantity = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+          [quantity, existing.id]
+        );
+      } else {
+        await connection.execute(
+          `INSERT INTO cart (user_id, product_id, variant_id, name, variant_name, price, original_price, discount, image_url, quantity)
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+          [userId, item.product_id, variantId, item.name, item.variant_name, item.price, item.original_price, item.discount, item.image_url, quantity]
+        );
+      }
+
+      changes.push({
+        productId: item.item_key,
+        name,
+        status: requestedQuantity > quantity ? 'capped' : existing ? 'merged' : 'added',
+        requestedQuantity,
+        previousQuantity,
+        quantity
+      });
+    }
+
+    // 游客购物车上的优惠券不随购物车合并，登录后需要重新应用
+    await connection.execute('DELETE FROM cart WHERE user_id = ?', [guest.sub]);
+    await connection.execute('DELETE FROM cart_coupons WHERE user_id = ?', [guest.sub]);
+    await connection.commit();
+
+    publishCartChange(userId, { type: 'merge' }, req);
+    publishCartChange(guest.sub, { type: 'clear' }, req);
+    res.json({ success: true, message: 'Guest cart merged', changes });
+  } catch (error) {
+    if (connection) await connection.rollback();
+    console.error('Error merging guest cart:', error);
+    res.status(500).json({ success: false, message: 'Error merging guest cart' });
+  } finally {
+    if (connection) connection.release();
+  }
+});
+
+// 为当前购物车应用优惠券，不可用时返回拒绝原因
+app.post('/api/cart/coupon', async (req, res) => {
+  try {
+    const userId = req.auth.userId;
+    const coupon = await findCouponByCode(pool, req.body.code);
+    if (!coupon) {
+      return res.status(404).json({
+        success: false,
+        reason: COUPON_REJECTIONS.NOT_FOUND,
+        message: 'This coupon code does not exist'
+      });
+    }
+
+    const { items } = await getPricedCart(pool, userId);
+    const result = await checkCoupon(pool, coupon, items, userId);
+    if (!result.valid) {
+      return res.status(400).json({ success: false, reason: result.reason, message: result.message });
+    }
+
+    // 每个购物车只能应用一张优惠券，新的优惠券替换旧的
+    await pool.execute(
+      'INSERT INTO cart_coupons (user_id, coupon_id) VALUES (?, ?) ON DUPLICATE KEY UPDATE coupon_id = VALUES(coupon_id), applied_at = CURRENT_TIMESTAMP',
+      [userId, coupon.id]
+    );
+
+    const { pricing } = await getPricedCart(pool, userId);
+    publishCartChange(userId, { type: 'coupon' }, req);
+    res.json({ success: true, message: `Coupon ${coupon.code} applied`, pricing });
+  } catch (error) {
+    console.error('Error applying coupon:', error);
+    res.status(500).json({ success: false, message: 'Error applying coupon' });
+  }
+});
+
+// 移除购物车上的优惠券
+app.delete('/api/cart/coupon', async (req, res) => {
+  try {
+    await pool.execute('DELETE FROM cart_coupons WHERE user_id = ?', [req.auth.userId]);
+
+    const { pricing } = await getPricedCart(pool, req.auth.userId);
+    publishCartChange(req.auth.userId, { type: 'coupon' }, req);
+    res.json({ success: true, message: 'Coupon removed', pricing });
+  } catch (error) {
+    console.error('Error removing coupon:', error);
+    res.status(500).json({ success: false, message: 'Error removing coupon' });
+  }
+});
+
+// 按收货地址计算运费和税费，返回结账页面显示的完整价格明细
+app.post('/api/cart/quote', async (req, res) => {
+  try {
+    const { country, region } = req.body.shippingAddress || {};
+    if (typeof country !== 'string' || country.trim() === '') {
+      return res.status(400).json({ success: false, message: 'Country is required' });
+    }
+
+    const { pricing } = await getPricedCart(pool, req.auth.userId, { address: { country, region } });
+    res.json({ success: true, pricing });
+  } catch (error) {
+    console.error('Error quoting cart:', error);
+    res.status(500).json({ success: false, message: 'Error calculating shipping and tax' });
+  }
+});
+
+// 获取购物车总金额（与获取购物车返回的价格明细一致）
+app.get('/api/cart/total/:userId', async (req, res) => {
+  try {
+    const { pricing } = await getPricedCart(pool, req.cartUserId);
+    res.json({ success: true, total: pricing.total, pricing });
   } catch (error) {
     console.error('Error calculating cart total:', error);
     res.status(500).json({ success: false, message: 'Error calculating cart total' });
@@ -181,10 +568,9 @@ app.get('/api/cart/total/:userId', async (req, res) => {
 // 获取购物车商品数量
 app.get('/api/cart/count/:userId', async (req, res) => {
   try {
-    const { userId } = req.params;
     const [rows] = await pool.execute(
       'SELECT SUM(quantity) as count FROM cart WHERE user_id = ?',
-      [userId]
+      [req.cartUserId]
     );
     
     res.json({ success: true, count: rows[0].count || 0 });
@@ -0,0 +1,72 @@
+// 购物车实时推送 - 通过 Server-Sent Events 把购物车变化推送给同一用户的所有设备
+// 连接保存在当前进程内存中，部署多个实例时需要换成共享的消息通道
+// 推送只通知"购物车已变化"，客户端收到后重新获取购物车，因此事件中不包含价格等数据
+
+// 心跳间隔（毫秒），防止代理因连接空闲而断开
+const HEARTBEAT_INTERVAL_MS = 25000;
+
+// 断线后浏览器重连前等待的时间（毫秒）
+const RETRY_MS = 5000;
+
+// userId => Set<res>
+const subscribers = new Map();
+
+// 发起修改的页面通过 X-Cart-Client 请求头标识自己，推送时原样带回，页面据此忽略自己触发的事件
+function getClientId(req) {
+  const clientId = req.get('X-Cart-Client');
+  return typeof clientId === 'string' && /^[A-Za-z0-9_-]{1,64}$/.test(clientId) ? clientId : null;
+}
+
+// 向指定用户的所有连接推送购物车变化
+// change 为 { type: 'add' | 'update' | 'remove' | 'clear' | 'merge' | 'coupon' | 'order', productId }
+function publishCartChange(userId, change, req = null) {
+  const connections = subscribers.get(String(userId));
+  if (!connections) {
+    return;
+  }
+
+  const data = JSON.stringify({ ...change, clientId: req ? getClientId(req) : null, at: new Date().toISOString() });
+  connections.forEach(res => {
+    res.write(`event: cart\ndata: ${data}\n\n`);
+  });
+}
+
+// 购物车推送接口：GET /api/cart/stream，推送当前令牌所属用户（或游客）的购物车变化
+function streamCartChanges(req, res) {
+  const userId = String(req.auth.userId);
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    // 关闭 nginx 等反向代理的响应缓冲
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  res.write(`retry: ${RETRY_MS}\n\n`);
+
+  if (!subscribers.has(userId)) {
+    subscribers.set(userId, new Set());
+  }
+  subscribers.get(userId).add(res);
+
+  const heartbeat = setInterval(() => {
+    res.write(': ping\n\n');
+  }, HEARTBEAT_INTERVAL_MS);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    const connections = subscribers.get(userId);
+    if (connections) {
+      connections.delete(res);
+      if (connections.size === 0) {
+        subscribers.delete(userId);
+      }
+    }
+  });
+}
+
+module.exports = {
+  publishCartChange,
+  streamCartChanges
+};
@@ -0,0 +1,160 @@
+// 购物车定价 - 按商品目录的当前价格为购物车重新定价，并生成购物车和结账共用的价格明细
+const { getProductsByIds } = require('./catalog');
+const { getVariantsByIds } = require('./variants');
+const { itemKey } = require('./inventory');
+const { getCartCoupon } = require('./coupons');
+const { quoteShipping } = require('./shipping');
+const { findTaxRate } = require('./tax');
+
+// 保留两位小数
+function roundMoney(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+// 按目录当前价格为购物车行重新定价，规格行使用规格的价格和图片
+// 购物车表中的 price 是加入购物车时的价格，与当前价格不同时标记 price_changed
+// 已下架的商品或规格标记 available: false，不计入价格明细
+// 商品后来添加了规格时，原来按商品整体加入的行也标记为不可用
+async function priceCartItems(db, cartRows) {
+  const products = await getProductsByIds(db, cartRows.map(row => row.product_id));
+  const variants = await getVariantsByIds(db, cartRows.map(row => row.variant_id));
+
+  return cartRows.map(row => {
+    const product = products.get(String(row.product_id));
+    const variant = row.variant_id ? variants.get(row.variant_id) : null;
+    const addedPrice = roundMoney(parseFloat(row.price));
+    const line = {
+      ...row,
+      item_key: itemKey(row.product_id, row.variant_id),
+      variant_id: row.variant_id || null
+    };
+
+    const available = product && (row.variant_id
+      ? variant && String(variant.product_id) === String(row.product_id)
+      : product.variant_count === 0);
+    if (!available) {
+      return {
+        ...line,
+        price: addedPrice,
+        original_price: roundMoney(parseFloat(row.original_price)),
+        discount: parseFloat(row.discount),
+        added_price: addedPrice,
+        price_changed: false,
+        available: false,
+        line_total: 0
+      };
+    }
+
+    const sellable = variant || product;
+    const price = roundMoney(sellable.price);
+    return {
+      ...line,
+      name: product.name,
+      variant_name: variant ? variant.name : null,
+      sku: variant ? variant.sku : null,
+      price,
+      original_price: roundMoney(sellable.original_price),
+      discount: sellable.discount,
+      image_url: (variant && variant.image_url) || product.image_url,
+      category: product.category,
+      added_price: addedPrice,
+      price_changed: price !== addedPrice,
+      available: true,
+      line_total: roundMoney(price * row.quantity)
+    };
+  });
+}
+
+// 根据已定价的购物车行和已应用的优惠券生成价格明细
+// 商品价格已是折后售价，savings 只用于展示相对原价节省的金额，discount 为优惠券减免
+// cartCoupon 为 getCartCoupon 的返回值，优惠券当前不可用时保留在明细中并附带原因，但不减免
+// 运费和税费取决于收货地址，由 addCharges 填入，未提供地址时为null
+function buildPricing(items, cartCoupon = null) {
+  const lines = items.filter(item => item.available);
+
+  const subtotal = roundMoney(lines.reduce((total, item) => total + item.line_total, 0));
+  const savings = roundMoney(lines.reduce(
+    (total, item) => total + Math.max(item.original_price - item.price, 0) * item.quantity,
+    0
+  ));
+
+  const applied = cartCoupon && cartCoupon.result.valid ? cartCoupon.result : null;
+  const discount = applied ? Math.min(roundMoney(applied.discount), subtotal) : 0;
+
+  return {
+    itemCount: lines.reduce((count, item) => count + item.quantity, 0),
+    subtotal,
+    savings,
+    discount,
+    freeShipping: applied ? applied.freeShipping : false,
+    coupon: cartCoupon ? {
+      code: cartCoupon.coupon.code,
+      description: cartCoupon.coupon.description,
+      type: cartCoupon.coupon.type,
+      valid: cartCoupon.result.valid,
+      reason: cartCoupon.result.reason,
+      message: cartCoupon.result.message
+    } : null,
+    shipping: null,
+    shippingMethod: null,
+    shippingAvailable: true,
+    shippingMessage: null,
+    tax: null,
+    taxRate: null,
+    taxName: null,
+    total: roundMoney(subtotal - discount)
+  };
+}
+
+// 在价格明细中加入运费和税费
+// shippingQuote 为 quoteShipping 的返回值，taxRate 为 findTaxRate 的返回值（null表示不收税）
+function addCharges(pricing, shippingQuote, taxRate) {
+  const shipping = shippingQuote.available ? roundMoney(shippingQuote.amount) : 0;
+  const taxable = pricing.subtotal - pricing.discount + (taxRate && taxRate.appliesToShipping ? shipping : 0);
+  const tax = taxRate ? roundMoney(taxable * taxRate.rate / 100) : 0;
+
+  return {
+    ...pricing,
+    shipping,
+    shippingMethod: shippingQuote.name,
+    shippingAvailable: shippingQuote.available,
+    shippingMessage: shippingQuote.message,
+    tax,
+    taxRate: taxRate ? taxRate.rate : 0,
+    taxName: taxRate ? taxRate.name : null,
+    total: roundMoney(pricing.subtotal - pricing.discount + shipping + tax)
+  };
+}
+
+// 读取并定价指定用户的购物车，返回 { items, pricing, cartCoupon }
+// 提供收货地址 { country, region } 时一并计算运费和税费
+async function getPricedCart(db, userId, { forUpdate = false, address = null } = {}) {
+  const [rows] = await db.execute(
+    `SELECT * FROM cart WHERE user_id = ? ORDER BY added_at, id${forUpdate ? ' FOR UPDATE' : ''}`,
+    [userId]
+  );
+  const items = await priceCartItems(db, rows);
+  const cartCoupon = await getCartCoupon(db, userId, items, { forUpdate });
+  const pricing = buildPricing(items, cartCoupon);
+
+  if (!address || !address.country) {
+    return { items, pricing, cartCoupon };
+  }
+
+  const shippingQuote = await quoteShipping(
+    db,
+    address.country,
+    { itemCount: pricing.itemCount, subtotal: pricing.subtotal - pricing.discount },
+    { freeShipping: pricing.freeShipping }
+  );
+  const taxRate = await findTaxRate(db, address.country, address.region);
+  return { items, pricing: addCharges(pricing, shippingQuote, taxRate), cartCoupon };
+}
+
+module.exports = {
+  roundMoney,
+  priceCartItems,
+  buildPricing,
+  addCharges,
+  getPricedCart
+};
@@ -1,78 +1,543 @@
-// 购物车功能核心模块 - 支持后端API和localStorage回退
+// 购物车功能核心模块 - 支持后端API，离线时保存到localStorage并在恢复连接后同步
 
 // API基础URL
 const API_BASE_URL = 'http://localhost:3000/api/cart';
+// 订单API基础URL
+const ORDERS_API_URL = 'http://localhost:3000/api/orders';
+// 库存API基础URL
+const STOCK_API_URL = 'http://localhost:3000/api/stock';
+// 游客令牌申请地址
+const GUEST_TOKEN_URL = 'http://localhost:3000/api/auth/guest';
+// 支付网关地址（本地模拟网关），卡信息只提交到这里
+const PAYMENT_GATEWAY_URL = 'http://localhost:3000/api/payments/mock';
 // API是否可用的标志
 let apiAvailable = true;
+// 离线期间检查API是否恢复的间隔（毫秒）
+const HEALTH_CHECK_INTERVAL_MS = 15000;
+// 离线健康检查定时器
+let healthCheckTimer = null;
+// 购物车同步状态：'online' | 'offline' | 'syncing'
+let syncState = 'online';
+// 正在进行中的同步，避免重复回放队列
+let syncPromise = null;
+// 本页面的标识，随购物车请求发送，用于忽略本页面自己触发的推送
+const CART_CLIENT_ID = Math.random().toString(36).slice(2) + Date.now().toString(36);
+// 购物车推送断线后的重连等待时间（毫秒），连续失败时加倍，最长 STREAM_MAX_RETRY_MS
+const STREAM_RETRY_MS = 5000;
+const STREAM_MAX_RETRY_MS = 60000;
+// 当前购物车推送连接
+let cartStreamController = null;
+// 正在进行中的游客令牌请求，避免并发申请多个游客身份
+let guestTokenRequest = null;
+
+/**
+ * 获取访问购物车API的令牌
+ * 已登录用户使用登录令牌，否则使用（必要时向服务器申请）游客令牌
+ * @returns {Promise<string>} 会话令牌
+ */
+async function getCartToken() {
+    const authToken = window.auth && window.auth.getAuthToken ? window.auth.getAuthToken() : null;
+    if (authToken) {
+        return authToken;
+    }
+    
+    const guestToken = localStorage.getItem('guestToken');
+    if (guestToken) {
+        return guestToken;
+    }
+    
+    if (!guestTokenRequest) {
+        guestTokenRequest = fetch(GUEST_TOKEN_URL, { method: 'POST' })
+            .then(response => {
+                if (!response.ok) {
+                    throw new Error('Failed to obtain guest token');
+                }
+                return response.json();
+            })
+            .then(result => {
+                localStorage.setItem('guestToken', result.token);
+                return result.token;
+            })
+            .finally(() => {
+                guestTokenRequest = null;
+            });
+    }
+    
+    return guestTokenRequest;
+}
+
+/**
+ * 携带会话令牌调用购物车API
+ * 游客令牌过期或失效时重新申请一次；已登录用户的会话过期或被撤销时通过 auth 清除会话（触发 authChanged），
+ * 401 不表示API不可用，不能因此切换到离线模式，否则之后的修改都会排入无法回放的队列
+ * @param {string} url - 请求地址
+ * @param {Object} options - fetch选项
+ * @returns {Promise<Response>} 响应
+ */
+async function cartFetch(url, options = {}) {
+    const request = async () => {
+        const token = await getCartToken();
+        return fetch(url, {
+            ...options,
+            headers: { ...(options.headers || {}), Authorization: `Bearer ${token}`, 'X-Cart-Client': CART_CLIENT_ID }
+        });
+    };
+    
+    const response = await request();
+    const isGuest = !(window.auth && window.auth.isLoggedIn && window.auth.isLoggedIn());
+    if (response.status === 401) {
+        if (isGuest) {
+            localStorage.removeItem('guestToken');
+            return request();
+        }
+        // fetchCurrentUser 向服务器确认会话已失效后清除本地会话
+        if (window.auth && window.auth.fetchCurrentUser) {
+            await window.auth.fetchCurrentUser();
+        }
+    }
+    return response;
+}
+
+/**
+ * 购物车API返回错误状态时抛出的异常，status 为HTTP状态码
+ * @param {Response} response - 响应
+ * @returns {Error} 异常
+ */
+function cartApiError(response) {
+    const error = new Error(`Cart API returned ${response.status}`);
+    error.status = response.status;
+    return error;
+}
 
 /**
  * 检查API是否可用
+ * 离线期间定时调用，恢复连接后回放待同步的购物车操作
+ * 只有网络错误和5xx表示不可用，其他响应（包括会话过期的401）说明服务器可以访问
  * @returns {Promise<boolean>} API是否可用
  */
 async function checkApiAvailability() {
+    let available = false;
     try {
-        const response = await fetch(`${API_BASE_URL}/guest`, { method: 'HEAD' });
-        apiAvailable = response.ok;
-        return apiAvailable;
+        const response = await cartFetch(`${API_BASE_URL}/guest`, { method: 'HEAD' });
+        available = response.status < 500;
     } catch (error) {
-        apiAvailable = false;
         console.warn('API unavailable, falling back to localStorage:', error);
-        return false;
     }
+    
+    if (available) {
+        markOnline();
+    } else {
+        markOffline();
+    }
+    return available;
+}
+
+/**
+ * 标记API不可用：购物车改为保存在localStorage，并开始定时健康检查
+ */
+function markOffline() {
+    apiAvailable = false;
+    if (!healthCheckTimer) {
+        healthCheckTimer = setInterval(checkApiAvailability, HEALTH_CHECK_INTERVAL_MS);
+    }
+    setSyncState('offline');
+}
+
+/**
+ * 标记API恢复可用：停止健康检查并回放离线期间的操作
+ */
+function markOnline() {
+    apiAvailable = true;
+    if (healthCheckTimer) {
+        clearInterval(healthCheckTimer);
+        healthCheckTimer = null;
+    }
+    if (getPendingOperations().length > 0) {
+        syncPendingOperations();
+    } else if (!syncPromise) {
+        setSyncState('online');
+    }
+}
+
+/**
+ * 本地购物车副本、离线队列和服务器版本的存储键，按当前会话身份区分：已登录用户按用户ID，否则为游客
+ * API路径中的 userId 只是占位符（服务器按令牌确定购物车），不能用来区分本地数据，
+ * 否则游客离线期间的修改会在登录后回放到账户的购物车中
+ * @param {string} prefix - 'cart' | 'cartQueue' | 'cartVersions'
+ * @returns {string} 存储键
+ */
+function cartStorageKey(prefix) {
+    const user = window.auth && window.auth.isLoggedIn && window.auth.isLoggedIn() ? window.auth.getCurrentUser() : null;
+    return `${prefix}_${user && user.id ? `user-${user.id}` : 'guest'}`;
+}
+
+/**
+ * 读取待同步的购物车操作队列
+ * @param {string} userId - 用户ID，默认为'guest'
+ * productId 为购物车行标识（见 getCartItemKey）
+ * @returns {Array} [{ type: 'add' | 'update' | 'remove' | 'clear', productId, quantity }]
+ */
+function getPendingOperations(userId = 'guest') {
+    const queue = safeJSONParse(localStorage.getItem(cartStorageKey('cartQueue')), []);
+    return Array.isArray(queue) ? queue : [];
+}
+
+/**
+ * 把离线时的操作加入队列
+ * @param {string} userId - 用户ID
+ * @param {Object} operation - { type, productId, quantity }
+ */
+function queueOperation(userId, operation) {
+    const queue = getPendingOperations(userId);
+    queue.push(operation);
+    localStorage.setItem(cartStorageKey('cartQueue'), JSON.stringify(queue));
+    setSyncState(syncState);
+}
+
+/**
+ * 读取最后一次从服务器同步时各购物车行的版本（服务器返回的 updated_at）
+ * @returns {Object} { itemKey: updatedAt }
+ */
+function getSyncedVersions() {
+    const versions = safeJSONParse(localStorage.getItem(cartStorageKey('cartVersions')), {});
+    return versions && typeof versions === 'object' ? versions : {};
+}
+
+/**
+ * 更新同步状态并通知页面
+ * @param {string} state - 'online' | 'offline' | 'syncing'
+ */
+function setSyncState(state) {
+    syncState = state;
+    const pending = getPendingOperations().length;
+    renderSyncStatus(state, pending);
+    
+    if (typeof window !== 'undefined') {
+        window.dispatchEvent(new CustomEvent('cartSyncStateChanged', { 
+            detail: { state, pending } 
+        }));
+    }
+}
+
+/**
+ * 获取当前同步状态
+ * @returns {Object} { state, pending }
+ */
+function getSyncState() {
+    return { state: syncState, pending: getPendingOperations().length };
+}
+
+/**
+ * 在页面底部显示离线/同步中提示，在线时隐藏
+ * @param {string} state - 同步状态
+ * @param {number} pending - 待同步的操作数量
+ */
+function renderSyncStatus(state, pending) {
+    if (typeof document === 'undefined' || !document.body) {
+        return;
+    }
+    
+    let banner = document.getElementById('cart-sync-status');
+    if (!banner) {
+        banner = document.createElement('div');
+        banner.id = 'cart-sync-status';
+        banner.className = 'cart-sync-status';
+        banner.setAttribute('role', 'status');
+        document.body.appendChild(banner);
+    }
+    
+    banner.dataset.state = state;
+    if (state === 'offline') {
+        banner.textContent = pending > 0
+            ? `You are offline. ${pending} cart change${pending === 1 ? '' : 's'} saved on this device will sync when the connection returns.`
+            : 'You are offline. Cart changes will be saved on this device until the connection returns.';
+    } else if (state === 'syncing') {
+        banner.textContent = 'Syncing your cart...';
+    }
+    banner.style.display = state === 'online' ? 'none' : 'block';
+}
+
+/**
+ * 发送一条回放请求
+ * 网络错误、5xx和会话过期（401）抛出异常（保留队列稍后重试），服务器拒绝（如库存不足）时返回原因
+ * @returns {Promise<string|null>} 被拒绝时的原因，成功时为null
+ */
+async function replayRequest(url, options) {
+    const response = await cartFetch(url, options);
+    if (response.status >= 500 || response.status === 401) {
+        throw cartApiError(response);
+    }
+    if (response.ok) {
+        return null;
+    }
+    const result = await response.json().catch(() => ({}));
+    return result.message || `Request failed with status ${response.status}`;
+}
+
+/**
+ * 把离线期间的购物车修改同步到服务器
+ * 冲突按商品行判断：服务器上的行在最后一次同步之后又被修改、新增或删除过（例如在其他设备上），保留服务器的版本；
+ * 否则把该行设置为本地的数量（本地已删除的行在服务器上删除）
+ * 比较的是服务器返回的 updated_at（最后一次同步时保存的版本与当前版本），与浏览器时钟无关
+ * @param {string} userId - 用户ID，默认为'guest'
+ * @returns {Promise<Object>} { success, conflicts }
+ */
+function syncPendingOperations(userId = 'guest') {
+    if (!syncPromise) {
+        syncPromise = replayPendingOperations(userId).finally(() => {
+            syncPromise = null;
+        });
+    }
+    return syncPromise;
+}
+
+async function replayPendingOperations(userId) {
+    const queue = getPendingOperations(userId);
+    if (queue.length === 0) {
+        return { success: true, conflicts: [] };
+    }
+    
+    setSyncState('syncing');
+    const conflicts = [];
+    
+    try {
+        const response = await cartFetch(`${API_BASE_URL}/${userId}`);
+        if (!response.ok) {
+            throw cartApiError(response);
+        }
+        const serverItems = (await response.json()).items || [];
+        const localItems = getCartFromLocalStorage(userId);
+        
+        const syncedVersions = getSyncedVersions();
+        
+        // 离线期间修改过的购物车行（以 itemKey 标识）；清空购物车影响所有行
+        const touched = new Set();
+        queue.forEach(operation => {
+            if (operation.type === 'clear') {
+                Object.keys(syncedVersions).forEach(key => touched.add(key));
+                serverItems.forEach(item => touched.add(item.item_key));
+            } else {
+                touched.add(String(operation.productId));
+            }
+        });
+        
+        for (const productId of touched) {
+            const serverItem = serverItems.find(item => item.item_key === productId);
+            const localItem = localItems.find(item => item.id === productId);
+            const serverVersion = serverItem ? serverItem.updated_at : null;
+            
+            // 服务器上的行在最后一次同步之后被修改过，保留服务器的修改
+            if (serverVersion !== (syncedVersions[productId] || null)) {
+                if (!serverItem) {
+                    if (localItem) {
+                        conflicts.push({ productId, name: localItem.name, message: 'Kept the removal made on another device' });
+                    }
+                    continue;
+                }
+                if (!localItem || localItem.quantity !== serverItem.quantity) {
+                    conflicts.push({ productId, name: serverItem.name, message: 'Kept the newer change made on another device' });
+                }
+                continue;
+            }
+            
+            let rejection = null;
+            if (!localItem && serverItem) {
+                rejection = await replayRequest(`${API_BASE_URL}/remove/${userId}/${encodeURIComponent(productId)}`, {
+                    method: 'DELETE'
+                });
+            } else if (localItem && !serverItem) {
+                rejection = await replayRequest(`${API_BASE_URL}/add`, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({
+                        product: { id: localItem.productId || productId, variantId: localItem.variantId || null },
+                        quantity: localItem.quantity,
+                        userId
+                    })
+                });
+            } else if (localItem && serverItem && localItem.quantity !== serverItem.quantity) {
+                rejection = await replayRequest(`${API_BASE_URL}/update/${userId}/${encodeURIComponent(productId)}`, {
+                    method: 'PUT',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ quantity: localItem.quantity })
+                });
+            }
+            
+            if (rejection) {
+                conflicts.push({ productId, name: localItem ? localItem.name : serverItem.name, message: rejection });
+            }
+        }
+    } catch (error) {
+        // 会话过期时队列保留给该用户，重新登录后再同步；服务器仍然可用，不切换到离线模式
+        if (error.status === 401) {
+            console.warn('Cart sync stopped because the session has expired');
+            setSyncState('online');
+            return { success: false, conflicts };
+        }
+        console.warn('Cart sync failed, will retry when the connection returns:', error);
+        markOffline();
+        return { success: false, conflicts };
+    }
+    
+    localStorage.removeItem(cartStorageKey('cartQueue'));
+    setSyncState('online');
+    
+    // 用服务器的购物车刷新本地副本
+    await getCartDetails(userId);
+    updateCartCount(userId);
+    
+    if (typeof window !== 'undefined') {
+        window.dispatchEvent(new CustomEvent('cartUpdated', { 
+            detail: { userId } 
+        }));
+        window.dispatchEvent(new CustomEvent('cartSynced', { 
+            detail: { userId, conflicts } 
+        }));
+    }
+    
+    return { success: true, conflicts };
+}
+
+/**
+ * 在调用API修改购物车之前先回放待同步的操作，保证操作顺序
+ * @param {string} userId - 用户ID
+ * @returns {Promise<boolean>} API是否可用
+ */
+async function ensureSynced(userId) {
+    if (apiAvailable && getPendingOperations(userId).length > 0) {
+        await syncPendingOperations(userId);
+    }
+    return apiAvailable;
 }
 
 // 初始检查API可用性
 checkApiAvailability();
 
+// 浏览器网络状态变化时立即检查，不必等待下一次定时检查
+if (typeof window !== 'undefined') {
+    window.addEventListener('online', checkApiAvailability);
+    window.addEventListener('offline', markOffline);
+}
+
 /**
- * 获取当前用户的购物车
+ * 获取当前用户的购物车及价格明细
+ * 服务器按商品目录的当前价格重新定价，价格变动的商品带有 priceChanged 标记
  * @param {string} userId - 用户ID，默认为'guest'
- * @returns {Array} 购物车商品列表
+ * @returns {Object} { items, pricing }
  */
-async function getCart(userId = 'guest') {
+async function getCartDetails(userId = 'guest') {
+    // 验证用户ID
+    const userIdResult = validateUserId(userId);
+    const validUserId = userIdResult.valid ? userIdResult.userId : 'guest';
+    
     try {
-        // 验证用户ID
-        const userIdResult = validateUserId(userId);
-        const validUserId = userIdResult.valid ? userIdResult.userId : 'guest';
-        
-        // 如果API可用，尝试从API获取购物车
-        if (apiAvailable) {
-            const response = await fetch(`${API_BASE_URL}/${validUserId}`);
+        // 如果API可用，先同步离线期间的修改，再从API获取购物车
+        if (await ensureSynced(validUserId)) {
+            const response = await cartFetch(`${API_BASE_URL}/${validUserId}`);
             
             if (response.ok) {
-                const cart = await response.json();
+                const result = await response.json();
                 
                 // 确保返回的是数组且包含有效的购物车项
-                if (Array.isArray(cart)) {
+                if (result.success && Array.isArray(result.items)) {
                     // 转换数据库字段名以匹配前端使用习惯
-                    return cart.map(item => ({
-                        id: item.product_id,
+                    const items = result.items.map(item => ({
+                        // 购物车行标识：没有规格时为商品ID，否则为 "商品ID:规格ID"
+                        id: item.item_key,
+                        productId: String(item.product_id),
+                        variantId: item.variant_id,
                         name: item.name,
+                        variantName: item.variant_name,
+                        sku: item.sku,
                         price: parseFloat(item.price),
                         original_price: parseFloat(item.original_price),
                         discount: parseFloat(item.discount),
                         image_url: item.image_url,
                         quantity: item.quantity,
+                        addedPrice: parseFloat(item.added_price),
+                        priceChanged: item.price_changed,
+                        available: item.available,
+                        lineTotal: parseFloat(item.line_total),
                         addedAt: item.added_at,
                         updatedAt: item.updated_at
                     }));
+                    cacheCartLocally(validUserId, items);
+                    return { items, pricing: result.pricing };
                 }
-            } else {
+            } else if (response.status >= 500) {
                 // API返回错误，切换到localStorage
-                apiAvailable = false;
+                markOffline();
                 console.warn('API error, falling back to localStorage');
             }
         }
-        
-        // API不可用或返回错误，使用localStorage
-        return getCartFromLocalStorage(validUserId);
     } catch (error) {
         console.error('Error getting cart:', error);
-        // 发生错误时，使用localStorage
-        const userIdResult = validateUserId(userId);
-        const validUserId = userIdResult.valid ? userIdResult.userId : 'guest';
-        return getCartFromLocalStorage(validUserId);
+        markOffline();
+    }
+    
+    // API不可用或返回错误，使用localStorage
+    const items = getCartFromLocalStorage(validUserId);
+    return { items, pricing: calculatePricing(items) };
+}
+
+/**
+ * 把服务器的购物车保存为本地副本，离线时在此基础上修改，同时保存各行的服务器版本供同步时检测冲突
+ * 有待同步的操作时本地副本包含尚未同步的修改，不能覆盖
+ * @param {string} userId - 用户ID
+ * @param {Array} items - 购物车商品列表
+ */
+function cacheCartLocally(userId, items) {
+    if (getPendingOperations(userId).length > 0) {
+        return;
+    }
+    const data = JSON.stringify(items);
+    // 内容未变化时不写入，避免触发其他标签页的storage事件
+    if (localStorage.getItem(cartStorageKey('cart')) !== data) {
+        localStorage.setItem(cartStorageKey('cart'), data);
     }
+    const versions = {};
+    items.forEach(item => {
+        versions[item.id] = item.updatedAt;
+    });
+    localStorage.setItem(cartStorageKey('cartVersions'), JSON.stringify(versions));
+}
+
+/**
+ * 获取当前用户的购物车
+ * @param {string} userId - 用户ID，默认为'guest'
+ * @returns {Array} 购物车商品列表
+ */
+async function getCart(userId = 'guest') {
+    return (await getCartDetails(userId)).items;
+}
+
+/**
+ * 计算价格明细，与服务器 cart-pricing.js 的 buildPricing 规则一致
+ * 商品 price 已是折后售价，不再重复扣除 discount
+ * @param {Array} items - 购物车商品列表
+ * 离线时无法校验优惠券，因此不计优惠券减免
+ * @returns {Object} { itemCount, subtotal, savings, discount, freeShipping, coupon, total }
+ */
+function calculatePricing(items) {
+    const roundMoney = amount => Math.round(amount * 100) / 100;
+    const lines = items.filter(item => item && item.available !== false &&
+        typeof item.price === 'number' && typeof item.quantity === 'number');
+    
+    const subtotal = roundMoney(lines.reduce((total, item) => total + roundMoney(item.price * item.quantity), 0));
+    const savings = roundMoney(lines.reduce((total, item) => {
+        const originalPrice = typeof item.original_price === 'number' ? item.original_price : item.price;
+        return total + Math.max(originalPrice - item.price, 0) * item.quantity;
+    }, 0));
+    
+    return {
+        itemCount: lines.reduce((count, item) => count + item.quantity, 0),
+        subtotal,
+        savings,
+        discount: 0,
+        freeShipping: false,
+        coupon: null,
+        total: subtotal
+    };
 }
 
 /**
@@ -82,7 +547,7 @@ async function getCart(userId = 'guest') {
  */
 function getCartFromLocalStorage(userId) {
     try {
-        const cartData = localStorage.getItem(`cart_${userId}`);
+        const cartData = localStorage.getItem(cartStorageKey('cart'));
         
         if (!cartData) {
             return [];
@@ -125,7 +590,7 @@ function saveCart(cart, userId = 'guest') {
 
 /**
  * 添加商品到购物车
- * @param {Object} product - 商品对象
+ * @param {Object} product - 商品对象，有规格的商品需带上所选规格的 variantId 和 variantName
  * @param {number} quantity - 数量
  * @param {string} userId - 用户ID，默认为'guest'
  * @returns {Object} 操作结果
@@ -158,22 +623,16 @@ async function addToCart(product, quantity = 1, userId = 'guest') {
         const validUserId = userIdResult.userId;
         
         // 尝试调用API添加商品到购物车
-        if (apiAvailable) {
+        if (await ensureSynced(validUserId)) {
             try {
-                const response = await fetch(`${API_BASE_URL}/add`, {
+                const response = await cartFetch(`${API_BASE_URL}/add`, {
                     method: 'POST',
                     headers: {
                         'Content-Type': 'application/json'
                     },
                     body: JSON.stringify({
-                        product: {
-                            id: String(product.id),
-                            name: String(product.name || 'Unnamed Product'),
-                            price: parseFloat(product.price || 0),
-                            original_price: parseFloat(product.original_price || product.price || 0),
-                            discount: parseFloat(product.discount || 0),
-                            image_url: String(product.image_url || '')
-                        },
+                        // 价格由服务器从商品目录读取，只需提交商品ID和所选规格ID
+                        product: { id: String(product.id), variantId: product.variantId || null },
                         quantity: validQuantity,
                         userId: validUserId
                     })
@@ -193,9 +652,18 @@ async function addToCart(product, quantity = 1, userId = 'guest') {
                             message: result.message || 'Product added to cart successfully',
                             cart: cart,
                             itemCount: totalQuantity,
-                            totalItems: cart.length
+                            totalItems: cart.length,
+                            stock: result.stock,
+                            remaining: result.remaining
                         };
                     }
+                } else if (response.status === 409) {
+                    // 库存不足是业务错误，不能回退到localStorage绕过校验
+                    return stockErrorResult(await response.json());
+                } else if (response.status < 500) {
+                    // 服务器拒绝了请求（如商品已下架或不在购物车中），离线保存后也无法同步，直接返回错误
+                    const result = await response.json();
+                    return { success: false, message: result.message || 'The cart could not be updated' };
                 } else {
                     console.warn('API call failed, falling back to localStorage');
                 }
@@ -204,14 +672,59 @@ async function addToCart(product, quantity = 1, userId = 'guest') {
             }
         }
         
-        // API不可用或失败，使用localStorage添加商品
-        return addToCartLocalStorage(product, validQuantity, validUserId);
+        // API不可用或失败，使用localStorage添加商品，并记录操作以便恢复连接后同步
+        markOffline();
+        const result = addToCartLocalStorage(product, validQuantity, validUserId);
+        if (result.success) {
+            queueOperation(validUserId, { type: 'add', productId: getCartItemKey(product), quantity: validQuantity });
+        }
+        return result;
     } catch (error) {
         console.error('Error adding product to cart:', error);
         return { success: false, message: 'An error occurred while adding to cart: ' + (error.message || 'Unknown error') };
     }
 }
 
+/**
+ * 购物车行标识，与服务器的 itemKey 一致：没有规格时为商品ID，否则为 "商品ID:规格ID"
+ * @param {Object} product - 商品对象，选择了规格时带有 variantId
+ * @returns {string} 购物车行标识
+ */
+function getCartItemKey(product) {
+    return product.variantId ? `${product.id}:${product.variantId}` : String(product.id);
+}
+
+/**
+ * 将服务器返回的库存不足错误转换为操作结果
+ * @param {Object} result - 服务器响应
+ * @returns {Object} 操作结果，包含错误码和剩余库存
+ */
+function stockErrorResult(result) {
+    return {
+        success: false,
+        code: result.code,
+        message: result.message || 'Not enough stock',
+        available: result.available
+    };
+}
+
+/**
+ * 查询商品库存
+ * @param {Array} productIds - 商品ID列表
+ * @returns {Object} 以商品ID为键的库存数量，查询失败时返回空对象
+ */
+async function getStockLevels(productIds) {
+    try {
+        const ids = productIds.map(id => encodeURIComponent(String(id))).join(',');
+        const response = await fetch(`${STOCK_API_URL}?ids=${ids}`);
+        const result = await response.json();
+        return result.success ? result.stock : {};
+    } catch (error) {
+        console.warn('Unable to load stock levels:', error);
+        return {};
+    }
+}
+
 /**
  * 使用localStorage添加商品到购物车
  * @param {Object} product - 商品对象
@@ -224,8 +737,9 @@ function addToCartLocalStorage(product, quantity, userId) {
         // 获取当前购物车数据
         const cart = getCartFromLocalStorage(userId);
         
-        // 检查商品是否已存在于购物车
-        const existingItemIndex = cart.findIndex(item => item.id === String(product.id));
+        // 检查商品（或同一规格）是否已存在于购物车
+        const key = getCartItemKey(product);
+        const existingItemIndex = cart.findIndex(item => item.id === key);
         
         if (existingItemIndex !== -1) {
             // 商品已存在，更新数量
@@ -233,8 +747,11 @@ function addToCartLocalStorage(product, quantity, userId) {
         } else {
             // 商品不存在，添加新商品
             cart.push({
-                id: String(product.id),
+                id: key,
+                productId: String(product.id),
+                variantId: product.variantId || null,
                 name: String(product.name || 'Unnamed Product'),
+                variantName: product.variantName || null,
                 price: parseFloat(product.price || 0),
                 original_price: parseFloat(product.original_price || product.price || 0),
                 discount: parseFloat(product.discount || 0),
@@ -246,7 +763,7 @@ function addToCartLocalStorage(product, quantity, userId) {
         }
         
         // 保存更新后的购物车到localStorage
-        localStorage.setItem(`cart_${userId}`, JSON.stringify(cart));
+        localStorage.setItem(cartStorageKey('cart'), JSON.stringify(cart));
         
         // 更新购物车数量显示
         updateCartCount(userId);
@@ -275,7 +792,7 @@ function addToCartLocalStorage(product, quantity, userId) {
 
 /**
  * 从购物车中删除商品
- * @param {string} productId - 商品ID
+ * @param {string} productId - 购物车行标识（商品ID，或 "商品ID:规格ID"）
  * @param {string} userId - 用户ID，默认为'guest'
  * @returns {Object} 操作结果
  */
@@ -295,9 +812,9 @@ async function removeFromCart(productId, userId = 'guest') {
         const validUserId = userIdResult.userId;
         
         // 尝试调用API删除商品
-        if (apiAvailable) {
+        if (await ensureSynced(validUserId)) {
             try {
-                const response = await fetch(`${API_BASE_URL}/remove/${validUserId}/${productId}`, {
+                const response = await cartFetch(`${API_BASE_URL}/remove/${validUserId}/${productId}`, {
                     method: 'DELETE'
                 });
                 
@@ -318,6 +835,10 @@ async function removeFromCart(productId, userId = 'guest') {
                             remainingItems: cart.length
                         };
                     }
+                } else if (response.status < 500) {
+                    // 服务器拒绝了请求（如商品已下架或不在购物车中），离线保存后也无法同步，直接返回错误
+                    const result = await response.json();
+                    return { success: false, message: result.message || 'The cart could not be updated' };
                 } else {
                     console.warn('API call failed, falling back to localStorage');
                 }
@@ -326,8 +847,13 @@ async function removeFromCart(productId, userId = 'guest') {
             }
         }
         
-        // API不可用或失败，使用localStorage删除商品
-        return removeFromCartLocalStorage(productId, validUserId);
+        // API不可用或失败，使用localStorage删除商品，并记录操作以便恢复连接后同步
+        markOffline();
+        const result = removeFromCartLocalStorage(productId, validUserId);
+        if (result.success) {
+            queueOperation(validUserId, { type: 'remove', productId: String(productId) });
+        }
+        return result;
     } catch (error) {
         console.error('Error removing product from cart:', error);
         return { success: false, message: 'An error occurred while removing from cart: ' + (error.message || 'Unknown error') };
@@ -356,7 +882,7 @@ function removeFromCartLocalStorage(productId, userId) {
         cart.splice(itemIndex, 1);
         
         // 保存更新后的购物车到localStorage
-        localStorage.setItem(`cart_${userId}`, JSON.stringify(cart));
+        localStorage.setItem(cartStorageKey('cart'), JSON.stringify(cart));
         
         // 更新购物车数量显示
         updateCartCount(userId);
@@ -385,7 +911,7 @@ function removeFromCartLocalStorage(productId, userId) {
 
 /**
  * 更新购物车中商品的数量
- * @param {string} productId - 商品ID
+ * @param {string} productId - 购物车行标识（商品ID，或 "商品ID:规格ID"）
  * @param {number} quantity - 新数量
  * @param {string} userId - 用户ID，默认为'guest'
  * @returns {Object} 操作结果
@@ -414,9 +940,9 @@ async function updateCartItemQuantity(productId, quantity, userId = 'guest') {
         const validUserId = userIdResult.userId;
         
         // 尝试调用API更新商品数量
-        if (apiAvailable) {
+        if (await ensureSynced(validUserId)) {
             try {
-                const response = await fetch(`${API_BASE_URL}/update/${validUserId}/${productId}`, {
+                const response = await cartFetch(`${API_BASE_URL}/update/${validUserId}/${productId}`, {
                     method: 'PUT',
                     headers: {
                         'Content-Type': 'application/json'
@@ -438,9 +964,18 @@ async function updateCartItemQuantity(productId, quantity, userId = 'guest') {
                             message: result.message || 'Cart item quantity updated successfully',
                             cart: cart,
                             itemCount: totalQuantity,
-                            newQuantity: validQuantity
+                            newQuantity: validQuantity,
+                            stock: result.stock,
+                            remaining: result.remaining
                         };
                     }
+                } else if (response.status === 409) {
+                    // 库存不足是业务错误，不能回退到localStorage绕过校验
+                    return stockErrorResult(await response.json());
+                } else if (response.status < 500) {
+                    // 服务器拒绝了请求（如商品已下架或不在购物车中），离线保存后也无法同步，直接返回错误
+                    const result = await response.json();
+                    return { success: false, message: result.message || 'The cart could not be updated' };
                 } else {
                     console.warn('API call failed, falling back to localStorage');
                 }
@@ -449,8 +984,13 @@ async function updateCartItemQuantity(productId, quantity, userId = 'guest') {
             }
         }
         
-        // API不可用或失败，使用localStorage更新商品数量
-        return updateCartItemQuantityLocalStorage(productId, validQuantity, validUserId);
+        // API不可用或失败，使用localStorage更新商品数量，并记录操作以便恢复连接后同步
+        markOffline();
+        const result = updateCartItemQuantityLocalStorage(productId, validQuantity, validUserId);
+        if (result.success) {
+            queueOperation(validUserId, { type: 'update', productId: String(productId), quantity: validQuantity });
+        }
+        return result;
     } catch (error) {
         console.error('Error updating cart item quantity:', error);
         return { success: false, message: 'An error occurred while updating cart: ' + (error.message || 'Unknown error') };
@@ -481,7 +1021,7 @@ function updateCartItemQuantityLocalStorage(productId, quantity, userId) {
         cart[itemIndex].updatedAt = new Date().toISOString();
         
         // 保存更新后的购物车到localStorage
-        localStorage.setItem(`cart_${userId}`, JSON.stringify(cart));
+        localStorage.setItem(cartStorageKey('cart'), JSON.stringify(cart));
         
         // 更新购物车数量显示
         updateCartCount(userId);
@@ -520,9 +1060,9 @@ async function clearCart(userId = 'guest') {
         const validUserId = userIdResult.valid ? userIdResult.userId : 'guest';
         
         // 尝试调用API清空购物车
-        if (apiAvailable) {
+        if (await ensureSynced(validUserId)) {
             try {
-                const response = await fetch(`${API_BASE_URL}/clear/${validUserId}`, {
+                const response = await cartFetch(`${API_BASE_URL}/clear/${validUserId}`, {
                     method: 'DELETE'
                 });
                 
@@ -546,6 +1086,10 @@ async function clearCart(userId = 'guest') {
                             itemCount: 0
                         };
                     }
+                } else if (response.status < 500) {
+                    // 服务器拒绝了请求（如商品已下架或不在购物车中），离线保存后也无法同步，直接返回错误
+                    const result = await response.json();
+                    return { success: false, message: result.message || 'The cart could not be updated' };
                 } else {
                     console.warn('API call failed, falling back to localStorage');
                 }
@@ -554,8 +1098,13 @@ async function clearCart(userId = 'guest') {
             }
         }
         
-        // API不可用或失败，使用localStorage清空购物车
-        return clearCartLocalStorage(validUserId);
+        // API不可用或失败，使用localStorage清空购物车，并记录操作以便恢复连接后同步
+        markOffline();
+        const result = clearCartLocalStorage(validUserId);
+        if (result.success) {
+            queueOperation(validUserId, { type: 'clear' });
+        }
+        return result;
     } catch (error) {
         console.error('Error clearing cart:', error);
         return { success: false, message: 'An error occurred while clearing cart: ' + (error.message || 'Unknown error') };
@@ -570,7 +1119,7 @@ async function clearCart(userId = 'guest') {
 function clearCartLocalStorage(userId) {
     try {
         // 从localStorage中移除购物车数据
-        localStorage.removeItem(`cart_${userId}`);
+        localStorage.removeItem(cartStorageKey('cart'));
         
         // 更新购物车数量显示
         updateCartCount(userId);
@@ -595,54 +1144,296 @@ function clearCartLocalStorage(userId) {
 }
 
 /**
- * 计算购物车总价
- * @param {string} userId - 用户ID，默认为'guest'
- * @returns {number} 购物车总价
+ * 登录后将游客购物车合并到当前用户的购物车
+ * 数量相加并按库存封顶，合并完成后丢弃游客令牌
+ * @returns {Object} 操作结果，changes 列出发生变化的商品
  */
-async function calculateCartTotal(userId = 'guest') {
+async function mergeGuestCart() {
     try {
-        // 验证用户ID
-        const userIdResult = validateUserId(userId);
-        const validUserId = userIdResult.valid ? userIdResult.userId : 'guest';
+        const guestToken = localStorage.getItem('guestToken');
+        const isLoggedIn = window.auth && window.auth.isLoggedIn && window.auth.isLoggedIn();
         
-        // 调用API获取购物车总价
-        const response = await fetch(`${API_BASE_URL}/total/${validUserId}`);
+        if (!guestToken || !isLoggedIn) {
+            return { success: true, message: 'Nothing to merge', changes: [] };
+        }
         
-        if (!response.ok) {
-            throw new Error('Failed to calculate cart total');
+        if (!apiAvailable) {
+            return { success: false, message: 'Cart service unavailable, guest cart not merged', changes: [] };
         }
         
+        const response = await cartFetch(`${API_BASE_URL}/merge`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ guestToken })
+        });
         const result = await response.json();
         
-        if (result.success) {
-            return parseFloat(result.total);
-        } else {
-            throw new Error(result.message || 'Failed to get cart total');
+        // 游客令牌无效时同样丢弃，避免每次加载页面都重试
+        // 游客的本地副本和离线队列随之丢弃，未同步的游客操作不会回放到账户的购物车
+        if (response.ok || response.status === 400) {
+            localStorage.removeItem('guestToken');
+            const guestQueue = safeJSONParse(localStorage.getItem('cartQueue_guest'), []);
+            if (Array.isArray(guestQueue) && guestQueue.length > 0) {
+                console.warn(`Discarded ${guestQueue.length} unsynced guest cart change(s) after login`);
+            }
+            ['cart_guest', 'cartQueue_guest', 'cartVersions_guest'].forEach(key => localStorage.removeItem(key));
         }
+        
+        if (!result.success) {
+            return { success: false, message: result.message || 'Failed to merge guest cart', changes: [] };
+        }
+        
+        updateCartCount();
+        
+        // 触发购物车更新和合并事件，页面可据此提示被封顶或下架的商品
+        if (typeof window !== 'undefined') {
+            window.dispatchEvent(new CustomEvent('cartUpdated', { 
+                detail: { userId: 'guest' } 
+            }));
+            window.dispatchEvent(new CustomEvent('cartMerged', { 
+                detail: { changes: result.changes } 
+            }));
+        }
+        
+        return { success: true, message: result.message, changes: result.changes };
     } catch (error) {
-        console.error('Error calculating cart total:', error);
-        // 如果API调用失败，回退到前端计算
-        try {
-            const cart = await getCart(userId);
-            return cart.reduce((total, item) => {
-                if (!item || typeof item.price !== 'number' || typeof item.quantity !== 'number') {
-                    return total;
-                }
-                
-                let price = item.price;
-                if (typeof item.discount === 'number' && item.discount > 0 && item.discount <= 100) {
-                    price = item.price * (1 - item.discount / 100);
-                }
-                
-                return total + (price * item.quantity);
-            }, 0);
-        } catch (fallbackError) {
-            console.error('Fallback calculation also failed:', fallbackError);
-            return 0;
+        console.error('Error merging guest cart:', error);
+        return { success: false, message: 'An error occurred while merging cart: ' + (error.message || 'Unknown error'), changes: [] };
+    }
+}
+
+/**
+ * 为购物车应用优惠券
+ * @param {string} code - 优惠券代码
+ * @returns {Object} 操作结果，成功时包含新的价格明细，失败时 reason 为拒绝原因代码
+ */
+async function applyCoupon(code) {
+    try {
+        if (typeof code !== 'string' || code.trim() === '') {
+            return { success: false, message: 'Please enter a coupon code' };
+        }
+        
+        const response = await cartFetch(`${API_BASE_URL}/coupon`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ code: code.trim() })
+        });
+        const result = await response.json();
+        
+        if (result.success && typeof window !== 'undefined') {
+            window.dispatchEvent(new CustomEvent('cartUpdated', { 
+                detail: { userId: 'guest' } 
+            }));
+        }
+        
+        return result;
+    } catch (error) {
+        console.error('Error applying coupon:', error);
+        return { success: false, message: 'Coupons are unavailable while the cart service is offline' };
+    }
+}
+
+/**
+ * 移除购物车上的优惠券
+ * @returns {Object} 操作结果，成功时包含新的价格明细
+ */
+async function removeCoupon() {
+    try {
+        const response = await cartFetch(`${API_BASE_URL}/coupon`, { method: 'DELETE' });
+        const result = await response.json();
+        
+        if (result.success && typeof window !== 'undefined') {
+            window.dispatchEvent(new CustomEvent('cartUpdated', { 
+                detail: { userId: 'guest' } 
+            }));
+        }
+        
+        return result;
+    } catch (error) {
+        console.error('Error removing coupon:', error);
+        return { success: false, message: 'An error occurred while removing the coupon' };
+    }
+}
+
+/**
+ * 按收货地址获取结账价格明细（小计、优惠、运费、税费和总价），与下单时服务器的计算一致
+ * @param {Object} shippingAddress - 收货地址，至少包含 country，可选 region
+ * @returns {Object} 操作结果，成功时包含 pricing
+ */
+async function getCheckoutQuote(shippingAddress) {
+    try {
+        const response = await cartFetch(`${API_BASE_URL}/quote`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ shippingAddress })
+        });
+        return await response.json();
+    } catch (error) {
+        console.error('Error getting checkout quote:', error);
+        return { success: false, message: 'Unable to calculate shipping and tax right now' };
+    }
+}
+
+/**
+ * 把银行卡信息提交给支付网关换取一次性令牌，下单时只发送令牌
+ * 卡信息不经过订单接口，也不会保存在浏览器中
+ * @param {Object} card - { number, expiry, cvc }
+ * @returns {Object} 操作结果，成功时包含 token、brand 和 last4
+ */
+async function tokenizeCard(card) {
+    try {
+        const response = await fetch(`${PAYMENT_GATEWAY_URL}/tokens`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify(card)
+        });
+        return await response.json();
+    } catch (error) {
+        console.error('Error contacting payment gateway:', error);
+        return { success: false, message: 'The payment service is unavailable, please try again later' };
+    }
+}
+
+/**
+ * 完成支付网关要求的 3-D Secure 验证
+ * @param {Object} nextAction - placeOrder 返回的 payment.nextAction
+ * @param {boolean} approve - 顾客是否通过验证
+ * @returns {Object} 操作结果，status 为 'authorized' 或 'failed'
+ */
+async function completePaymentChallenge(nextAction, approve) {
+    try {
+        const response = await fetch(new URL(nextAction.url, PAYMENT_GATEWAY_URL), {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ approve })
+        });
+        return await response.json();
+    } catch (error) {
+        console.error('Error completing payment challenge:', error);
+        return { success: false, message: 'The payment service is unavailable, please try again later' };
+    }
+}
+
+/**
+ * 提交订单，服务器根据当前购物车生成订单并清空购物车
+ * 在线支付在下单时授权，授权成功后立即扣款；需要 3-D Secure 时 payment.nextAction 描述验证步骤
+ * 使用同一个幂等键重复提交时，服务器返回第一次下单的结果而不会重复创建订单
+ * @param {Object} orderData - 顾客信息、收货地址、支付方式以及信用卡的 paymentToken
+ * @param {string} idempotencyKey - 本次结账的幂等键（可选）
+ * @returns {Object} 操作结果，成功时包含 orderId、totalAmount 和 payment；支付被拒绝时 code 为 'PAYMENT_DECLINED'
+ */
+async function placeOrder(orderData, idempotencyKey) {
+    try {
+        const headers = { 'Content-Type': 'application/json' };
+        if (idempotencyKey) {
+            headers['Idempotency-Key'] = idempotencyKey;
         }
+        
+        const response = await cartFetch(ORDERS_API_URL, {
+            method: 'POST',
+            headers,
+            body: JSON.stringify(orderData)
+        });
+        const result = await response.json();
+        
+        // 扣款失败时订单已经提交（返回 orderId），购物车同样已被清空
+        if (!result.success) {
+            return { success: false, code: result.code, message: result.message || 'Failed to place order', orderId: result.orderId };
+        }
+        
+        updateCartCount();
+        
+        // 下单后服务器已清空购物车
+        if (typeof window !== 'undefined') {
+            window.dispatchEvent(new CustomEvent('cartUpdated', { 
+                detail: { userId: 'guest', itemCount: 0 } 
+            }));
+        }
+        
+        return {
+            success: true,
+            message: result.message,
+            orderId: result.orderId,
+            totalAmount: result.totalAmount,
+            payment: result.payment
+        };
+    } catch (error) {
+        console.error('Error placing order:', error);
+        return { success: false, message: 'An error occurred while placing order: ' + (error.message || 'Unknown error') };
     }
 }
 
+/**
+ * 获取当前用户的订单列表
+ * @param {number} page - 页码，从1开始
+ * @param {number} limit - 每页数量
+ * @returns {Object} 操作结果，包含 orders 和 pagination
+ */
+async function getOrders(page = 1, limit = 10) {
+    try {
+        const response = await cartFetch(`${ORDERS_API_URL}?page=${encodeURIComponent(page)}&limit=${encodeURIComponent(limit)}`);
+        const result = await response.json();
+        
+        if (!result.success) {
+            return { success: false, message: result.message || 'Failed to load orders', orders: [] };
+        }
+        
+        return result;
+    } catch (error) {
+        console.error('Error getting orders:', error);
+        return { success: false, message: 'An error occurred while loading orders: ' + (error.message || 'Unknown error'), orders: [] };
+    }
+}
+
+/**
+ * 获取订单详情
+ * @param {string|number} orderId - 订单ID
+ * @returns {Object} 操作结果，包含 order
+ */
+async function getOrder(orderId) {
+    try {
+        const response = await cartFetch(`${ORDERS_API_URL}/${encodeURIComponent(orderId)}`);
+        const result = await response.json();
+        
+        if (!result.success) {
+            return { success: false, message: result.message || 'Failed to load order' };
+        }
+        
+        return result;
+    } catch (error) {
+        console.error('Error getting order:', error);
+        return { success: false, message: 'An error occurred while loading order: ' + (error.message || 'Unknown error') };
+    }
+}
+
+/**
+ * 获取购物车价格明细
+ * @param {string} userId - 用户ID，默认为'guest'
+ * @returns {Object} { itemCount, subtotal, savings, discount, freeShipping, coupon, total }
+ */
+async function getCartPricing(userId = 'guest') {
+    return (await getCartDetails(userId)).pricing;
+}
+
+/**
+ * 计算购物车总价
+ * @param {string} userId - 用户ID，默认为'guest'
+ * @returns {number} 购物车总价
+ */
+async function calculateCartTotal(userId = 'guest') {
+    return (await getCartPricing(userId)).total;
+}
+
 /**
  * 获取购物车中的商品数量
  * @param {string} userId - 用户ID，默认为'guest'
@@ -655,7 +1446,7 @@ async function getCartItemCount(userId = 'guest') {
         const validUserId = userIdResult.valid ? userIdResult.userId : 'guest';
         
         // 调用API获取购物车商品数量
-        const response = await fetch(`${API_BASE_URL}/count/${validUserId}`);
+        const response = await cartFetch(`${API_BASE_URL}/count/${validUserId}`);
         
         if (!response.ok) {
             throw new Error('Failed to get cart item count');
@@ -687,7 +1478,7 @@ async function getCartItemCount(userId = 'guest') {
 }
 
 // 更新购物车数量显示
-function updateCartCount(userId = 'guest') {
+async function updateCartCount(userId = 'guest') {
     try {
         // 确保在浏览器环境中运行
         if (typeof window === 'undefined' || typeof document === 'undefined') {
@@ -695,7 +1486,7 @@ function updateCartCount(userId = 'guest') {
         }
         
         // 获取购物车数量
-        const itemCount = getCartItemCount(userId);
+        const itemCount = await getCartItemCount(userId);
         
         // 更新页面中的购物车计数
         const cartCountElements = document.querySelectorAll('.cart-count');
@@ -716,6 +1507,115 @@ function updateCartCount(userId = 'guest') {
     }
 }
 
+/**
+ * 连接购物车推送（SSE），其他设备或标签页修改购物车时触发 cartUpdated 事件（detail.remote 为 true）
+ * EventSource 无法携带 Authorization 请求头，因此用 fetch 读取事件流；断线或5xx后按指数退避重连，
+ * 4xx（如会话过期）时停止重连，等待 authChanged 事件用新的令牌重新订阅
+ */
+async function connectCartStream() {
+    if (typeof window === 'undefined' || !window.fetch || !window.TextDecoder || !window.AbortController) {
+        return;
+    }
+    
+    // 登录状态变化后令牌改变，断开旧连接重新订阅
+    if (cartStreamController) {
+        cartStreamController.abort();
+    }
+    const controller = new AbortController();
+    cartStreamController = controller;
+    
+    let retryDelay = STREAM_RETRY_MS;
+    let connectedBefore = false;
+    
+    while (!controller.signal.aborted) {
+        try {
+            const response = await cartFetch(`${API_BASE_URL}/stream`, {
+                signal: controller.signal,
+                headers: { Accept: 'text/event-stream' }
+            });
+            
+            if (response.ok && response.body) {
+                // 断线期间可能错过推送，重连后刷新一次
+                if (connectedBefore) {
+                    dispatchRemoteCartUpdate({ type: 'reconnect' });
+                }
+                connectedBefore = true;
+                retryDelay = STREAM_RETRY_MS;
+                await readCartStream(response);
+            } else if (response.status >= 400 && response.status < 500) {
+                console.warn(`Cart stream rejected with status ${response.status}, waiting for the next login change`);
+                return;
+            }
+        } catch (error) {
+            if (controller.signal.aborted) {
+                return;
+            }
+        }
+        
+        await new Promise(resolve => setTimeout(resolve, retryDelay));
+        retryDelay = Math.min(retryDelay * 2, STREAM_MAX_RETRY_MS);
+    }
+}
+
+/**
+ * 逐条解析事件流，直到连接关闭
+ * @param {Response} response - 推送接口的响应
+ */
+async function readCartStream(response) {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    
+    while (true) {
+        const { value, done } = await reader.read();
+        if (done) {
+            return;
+        }
+        
+        buffer += decoder.decode(value, { stream: true });
+        let boundary;
+        while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+            handleStreamMessage(buffer.slice(0, boundary));
+            buffer = buffer.slice(boundary + 2);
+        }
+    }
+}
+
+/**
+ * 处理一条SSE消息，忽略心跳和本页面自己触发的变化
+ * @param {string} message - 消息文本
+ */
+function handleStreamMessage(message) {
+    let event = 'message';
+    const data = [];
+    message.split('\n').forEach(line => {
+        if (line.startsWith('event:')) {
+            event = line.slice(6).trim();
+        } else if (line.startsWith('data:')) {
+            data.push(line.slice(5).trim());
+        }
+    });
+    
+    if (event !== 'cart' || data.length === 0) {
+        return;
+    }
+    
+    const change = safeJSONParse(data.join('\n'));
+    if (change && change.clientId !== CART_CLIENT_ID) {
+        dispatchRemoteCartUpdate(change);
+    }
+}
+
+/**
+ * 触发来自服务器推送的 cartUpdated 事件
+ * @param {Object} change - 推送的变化 { type, productId }
+ */
+function dispatchRemoteCartUpdate(change) {
+    window.dispatchEvent(new CustomEvent('cartUpdated', { 
+        detail: { userId: 'guest', remote: true, change } 
+    }));
+}
+
 // 监听localStorage变化，以便在多个标签页间同步购物车
 function setupStorageSync() {
     if (typeof window !== 'undefined') {
@@ -731,6 +1631,14 @@ function setupStorageSync() {
             console.log('Cart updated event received');
             updateCartCount(event.detail?.userId);
         });
+        
+        // 用户登录后合并游客购物车；登录或退出后令牌改变，重新订阅购物车推送
+        window.addEventListener('authChanged', (event) => {
+            if (event.detail?.isLoggedIn) {
+                mergeGuestCart();
+            }
+            connectCartStream();
+        });
     }
 }
 
@@ -740,6 +1648,10 @@ function initCart() {
     setupStorageSync();
     // 初始更新购物车数量显示
     updateCartCount();
+    // 登录页面不加载cart.js，因此在登录后的首个页面合并游客购物车
+    mergeGuestCart();
+    // 订阅其他设备上的购物车变化
+    connectCartStream();
     console.log('Shopping cart initialized successfully');
 }
 
@@ -842,13 +1754,28 @@ function safeJSONParse(jsonString, defaultValue = null) {
 // 导出购物车功能供其他文件使用
 window.cart = {
     getCart,
+    getCartDetails,
+    getCartPricing,
     saveCart,
     addToCart,
     removeFromCart,
     updateCartItemQuantity,
     clearCart,
+    mergeGuestCart,
+    applyCoupon,
+    removeCoupon,
+    getCheckoutQuote,
+    tokenizeCard,
+    completePaymentChallenge,
+    placeOrder,
+    getOrders,
+    getOrder,
     calculateCartTotal,
     getCartItemCount,
+    getStockLevels,
+    getCartItemKey,
+    getSyncState,
+    syncPendingOperations,
     validateProductData,
     updateCartCount,
     initCart
@@ -0,0 +1,647 @@
+// 商品目录 - MySQL中的商品表、首次导入 data/products.json 以及商品API
+const express = require('express');
+const fs = require('fs');
+const path = require('path');
+const { authenticate, requireAdmin } = require('./session');
+const { addMissingColumns, addMissingIndexes } = require('./schema');
+const { expandCategoryNames, categoryExists } = require('./categories');
+const { supplierExists } = require('./suppliers');
+const { getVariants, insertVariants, syncProductPrice, createVariantsRouter } = require('./variants');
+const { RATING_JOIN, toRatingAverage, createReviewsRouter } = require('./reviews');
+const { setStock, removeStock } = require('./stock-ledger');
+
+// 首次启动时导入的商品数据文件
+const PRODUCTS_FILE = path.join(__dirname, 'data', 'products.json');
+
+// 创建商品表（如果不存在），表为空时从JSON文件一次性导入商品、规格和初始库存
+// 库存数量保存在 inventory 表中，因此必须在库存表和规格表创建之后调用
+async function createProductTable(pool) {
+  const query = `
+    CREATE TABLE IF NOT EXISTS products (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      name VARCHAR(255) NOT NULL,
+      category VARCHAR(100) NOT NULL,
+      price DECIMAL(10, 2) NOT NULL,
+      original_price DECIMAL(10, 2) NOT NULL,
+      discount DECIMAL(5, 2) DEFAULT 0,
+      description TEXT,
+      image_url VARCHAR(500) DEFAULT '',
+      supplier VARCHAR(255) DEFAULT '',
+      origin_country VARCHAR(100) DEFAULT '',
+      spice_level VARCHAR(50) DEFAULT '',
+      reorder_point INT DEFAULT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      FULLTEXT KEY products_search (name, description, supplier)
+    );
+  `;
+
+  try {
+    await pool.execute(query);
+    // reorder_point 为NULL时使用全局默认再订货点（见 stock-alerts.js）
+    await addMissingColumns(pool, 'products', {
+      reorder_point: 'INT DEFAULT NULL AFTER spice_level'
+    });
+    await addMissingIndexes(pool, 'products', {
+      products_search: 'FULLTEXT (name, description, supplier)'
+    });
+    console.log('Products table created or already exists');
+    await importProductsFromFile(pool);
+  } catch (error) {
+    console.error('Error creating products table:', error);
+  }
+}
+
+// 商品表为空时导入 data/products.json（保留原有商品ID，购物车和订单中的引用不受影响）
+// 有 variants 的商品按规格记录库存，商品本身不写入库存
+async function importProductsFromFile(pool) {
+  const [[{ count }]] = await pool.query('SELECT COUNT(*) AS count FROM products');
+  if (count > 0) {
+    return;
+  }
+
+  const products = JSON.parse(await fs.promises.readFile(PRODUCTS_FILE, 'utf8'));
+  if (products.length === 0) {
+    return;
+  }
+
+  let connection;
+  try {
+    connection = await pool.getConnection();
+    await connection.beginTransaction();
+
+    await connection.query(
+      `INSERT INTO products (id, name, category, price, original_price, discount, description, image_url, supplier, origin_country, spice_level)
+       VALUES ?`,
+      [products.map(product => [
+        product.id,
+        product.name,
+        product.category,
+        product.price,
+        product.original_price || product.price,
+        product.discount || 0,
+        product.description || '',
+        product.image_url || '',
+        product.supplier || '',
+        product.origin_country || '',
+        product.spice_level || ''
+      ])]
+    );
+    const withoutVariants = products.filter(product => !Array.isArray(product.variants) || product.variants.length === 0);
+    if (withoutVariants.length > 0) {
+      await connection.query(
+        'INSERT IGNORE INTO inventory (product_id, quantity) VALUES ?',
+        [withoutVariants.map(product => [String(product.id), product.quantity || 0])]
+      );
+    }
+    for (const product of products) {
+      if (Array.isArray(product.variants) && product.variants.length > 0) {
+        await insertVariants(connection, product.id, product.variants);
+      }
+    }
+
+    await connection.commit();
+    console.log(`Imported ${products.length} products from ${PRODUCTS_FILE}`);
+  } catch (error) {
+    if (connection) await connection.rollback();
+    throw error;
+  } finally {
+    if (connection) connection.release();
+  }
+}
+
+// 将数据库记录转换为前端使用的商品对象（与 data/products.json 的字段一致）
+function toProduct(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    price: parseFloat(row.price),
+    original_price: parseFloat(row.original_price),
+    discount: parseFloat(row.discount),
+    quantity: row.quantity,
+    description: row.description,
+    image_url: row.image_url,
+    supplier: row.supplier,
+    category: row.category,
+    origin_country: row.origin_country,
+    spice_level: row.spice_level,
+    reorder_point: row.reorder_point,
+    variant_count: Number(row.variant_count || 0),
+    rating_average: toRatingAverage(row.rating_average),
+    review_count: Number(row.review_count || 0)
+  };
+}
+
+// 商品库存：有规格的商品为各规格库存之和，否则为商品本身的库存
+const STOCK_JOIN = `
+  LEFT JOIN inventory i ON i.product_id = CAST(p.id AS CHAR)
+  LEFT JOIN (
+    SELECT v.product_id, COUNT(*) AS variant_count, SUM(COALESCE(vi.quantity, 0)) AS quantity
+    FROM product_variants v
+    LEFT JOIN inventory vi ON vi.product_id = CONCAT(v.product_id, ':', v.id)
+    GROUP BY v.product_id
+  ) vs ON vs.product_id = p.id
+`;
+const STOCK_QUANTITY = 'CAST(COALESCE(vs.quantity, i.quantity, 0) AS SIGNED)';
+
+// 查询商品时一并带出库存数量、规格数量和评分汇总
+const PRODUCT_COLUMNS = `
+  p.*, ${STOCK_QUANTITY} AS quantity, COALESCE(vs.variant_count, 0) AS variant_count,
+  rs.rating_average, COALESCE(rs.review_count, 0) AS review_count
+`;
+const PRODUCT_SELECT = `
+  SELECT ${PRODUCT_COLUMNS}
+  FROM products p
+  ${STOCK_JOIN}
+  ${RATING_JOIN}
+`;
+
+// 读取全部商品
+async function getProducts(db) {
+  const [rows] = await db.query(`${PRODUCT_SELECT} ORDER BY p.id`);
+  return rows.map(toProduct);
+}
+
+// 按ID读取单个商品（包括全部规格），不存在时返回null
+async function getProduct(db, productId) {
+  const [rows] = await db.query(`${PRODUCT_SELECT} WHERE p.id = ?`, [productId]);
+  if (rows.length === 0) {
+    return null;
+  }
+  return { ...toProduct(rows[0]), variants: await getVariants(db, productId) };
+}
+
+// 按ID批量查找商品，返回以字符串ID为键的Map
+async function getProductsByIds(db, productIds) {
+  const result = new Map();
+  const ids = [...new Set(productIds.map(String))];
+  if (ids.length === 0) {
+    return result;
+  }
+
+  const [rows] = await db.query(`${PRODUCT_SELECT} WHERE p.id IN (?)`, [ids]);
+  rows.forEach(row => {
+    result.set(String(row.id), toProduct(row));
+  });
+
+  return result;
+}
+
+// 商品列表的排序方式：column 为排序值，相同排序值的商品按ID升序排列
+// popularity 按未取消订单中的销量排序，需要关联销量统计；rating 按已发布评价的平均分排序
+const PRODUCT_SORTS = {
+  featured: { column: 'p.id', direction: 'ASC' },
+  price_asc: { column: 'p.price', direction: 'ASC' },
+  price_desc: { column: 'p.price', direction: 'DESC' },
+  discount: { column: 'p.discount', direction: 'DESC' },
+  newest: { column: 'UNIX_TIMESTAMP(p.created_at)', direction: 'DESC' },
+  popularity: { column: 'COALESCE(sales.sold, 0)', direction: 'DESC', joinSales: true },
+  rating: { column: 'COALESCE(rs.rating_average, 0)', direction: 'DESC' }
+};
+
+// 每个商品的销量（不含已取消和已退款的订单）
+const SALES_JOIN = `
+  LEFT JOIN (
+    SELECT oi.product_id, SUM(oi.quantity) AS sold
+    FROM order_items oi
+    JOIN orders o ON o.id = oi.order_id
+    WHERE o.status NOT IN ('cancelled', 'refunded')
+    GROUP BY oi.product_id
+  ) sales ON sales.product_id = CAST(p.id AS CHAR)
+`;
+
+// 商品列表每页数量
+const DEFAULT_PAGE_SIZE = 24;
+const MAX_PAGE_SIZE = 100;
+
+// 把搜索词转换为全文检索的 BOOLEAN MODE 查询：每个词都必须出现，并按前缀匹配
+// 去掉词中的运算符等符号，没有可用的词时返回空字符串
+function toFulltextQuery(q) {
+  return String(q || '')
+    .split(/\s+/)
+    .map(word => word.replace(/[^\p{L}\p{N}]/gu, ''))
+    .filter(Boolean)
+    .map(word => `+${word}*`)
+    .join(' ');
+}
+
+// 多选筛选条件既可以用逗号分隔，也可以重复传同一个参数
+function parseList(value) {
+  const values = Array.isArray(value) ? value : [value];
+  return values
+    .flatMap(item => (typeof item === 'string' ? item.split(',') : []))
+    .map(item => item.trim())
+    .filter(Boolean);
+}
+
+// 游标为 base64url 编码的 { sort, value, id }，即上一页最后一个商品的排序值和ID
+function encodeCursor(sort, row) {
+  return Buffer.from(JSON.stringify({ sort, value: row.sort_value, id: row.id })).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  try {
+    const decoded = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    return decoded && Number.isInteger(decoded.id) ? decoded : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// 校验商品列表的查询参数，返回 { errors, query }
+function parseProductQuery(params = {}) {
+  const errors = [];
+  const optionalNumber = value => (value === undefined || value === '' ? null : Number(value));
+
+  const query = {
+    q: typeof params.q === 'string' ? params.q.trim() : '',
+    categories: parseList(params.category),
+    originCountries: parseList(params.origin_country),
+    spiceLevels: parseList(params.spice_level),
+    minPrice: optionalNumber(params.min_price),
+    maxPrice: optionalNumber(params.max_price),
+    inStock: params.in_stock === 'true' || params.in_stock === '1',
+    sort: params.sort || 'featured',
+    limit: params.limit === undefined ? DEFAULT_PAGE_SIZE : Number(params.limit),
+    cursor: null
+  };
+
+  if (!PRODUCT_SORTS[query.sort]) {
+    errors.push(`Sort must be one of: ${Object.keys(PRODUCT_SORTS).join(', ')}`);
+  }
+  if (query.minPrice !== null && (!Number.isFinite(query.minPrice) || query.minPrice < 0)) {
+    errors.push('Minimum price must be a non-negative number');
+  }
+  if (query.maxPrice !== null && (!Number.isFinite(query.maxPrice) || query.maxPrice < 0)) {
+    errors.push('Maximum price must be a non-negative number');
+  }
+  if (!Number.isInteger(query.limit) || query.limit < 1 || query.limit > MAX_PAGE_SIZE) {
+    errors.push(`Limit must be a whole number between 1 and ${MAX_PAGE_SIZE}`);
+  }
+  if (params.cursor) {
+    query.cursor = decodeCursor(params.cursor);
+    if (!query.cursor || query.cursor.sort !== query.sort) {
+      errors.push('Invalid cursor');
+    }
+  }
+
+  return { errors, query };
+}
+
+// 按搜索词、筛选条件和排序查询一页商品，返回 { products, nextCursor, total }
+// 使用游标分页：下一页从上一页最后一个商品之后开始，翻页期间新增或删除商品不会导致重复或遗漏
+async function searchProducts(db, query) {
+  const sort = PRODUCT_SORTS[query.sort];
+  const where = [];
+  const params = [];
+
+  const fulltext = toFulltextQuery(query.q);
+  if (fulltext) {
+    where.push('MATCH (p.name, p.description, p.supplier) AGAINST (? IN BOOLEAN MODE)');
+    params.push(fulltext);
+  }
+  // 分类可以用名称或slug指定，并包括其下级分类中的商品
+  if (query.categories.length > 0) {
+    where.push('p.category IN (?)');
+    params.push(await expandCategoryNames(db, query.categories));
+  }
+  if (query.originCountries.length > 0) {
+    where.push('p.origin_country IN (?)');
+    params.push(query.originCountries);
+  }
+  if (query.spiceLevels.length > 0) {
+    where.push('p.spice_level IN (?)');
+    params.push(query.spiceLevels);
+  }
+  if (query.minPrice !== null) {
+    where.push('p.price >= ?');
+    params.push(query.minPrice);
+  }
+  if (query.maxPrice !== null) {
+    where.push('p.price <= ?');
+    params.push(query.maxPrice);
+  }
+  if (query.inStock) {
+    where.push(`${STOCK_QUANTITY} > 0`);
+  }
+
+  const from = `
+    FROM products p
+    ${STOCK_JOIN}
+    ${RATING_JOIN}
+    ${sort.joinSales ? SALES_JOIN : ''}
+  `;
+  const filters = where.length > 0 ? `WHERE ${where.join(' AND ')}` : '';
+
+  const [[{ total }]] = await db.query(`SELECT COUNT(*) AS total ${from} ${filters}`, params);
+
+  // 游标条件：排序值在上一页最后一个商品之后，排序值相同时ID更大
+  const pageWhere = [...where];
+  const pageParams = [...params];
+  if (query.cursor) {
+    const comparison = sort.direction === 'ASC' ? '>' : '<';
+    pageWhere.push(`(${sort.column} ${comparison} ? OR (${sort.column} = ? AND p.id > ?))`);
+    pageParams.push(query.cursor.value, query.cursor.value, query.cursor.id);
+  }
+
+  // 多取一条用于判断是否还有下一页
+  const [rows] = await db.query(
+    `SELECT ${PRODUCT_COLUMNS}, ${sort.column} AS sort_value
+     ${from}
+     ${pageWhere.length > 0 ? `WHERE ${pageWhere.join(' AND ')}` : ''}
+     ORDER BY ${sort.column} ${sort.direction}, p.id ASC
+     LIMIT ?`,
+    [...pageParams, query.limit + 1]
+  );
+
+  const page = rows.slice(0, query.limit);
+  return {
+    products: page.map(toProduct),
+    nextCursor: rows.length > query.limit ? encodeCursor(query.sort, page[page.length - 1]) : null,
+    total: Number(total)
+  };
+}
+
+// 商品列表筛选栏的可选值：商品使用的分类、产地、辣度和价格范围
+async function getProductFilters(db) {
+  const distinct = async column => {
+    const [rows] = await db.query(`SELECT DISTINCT ${column} AS value FROM products WHERE ${column} <> '' ORDER BY ${column}`);
+    return rows.map(row => row.value);
+  };
+  const [[prices]] = await db.query('SELECT MIN(price) AS min, MAX(price) AS max FROM products');
+
+  return {
+    categories: await distinct('category'),
+    originCountries: await distinct('origin_country'),
+    spiceLevels: await distinct('spice_level'),
+    priceRange: {
+      min: prices.min === null ? 0 : parseFloat(prices.min),
+      max: prices.max === null ? 0 : parseFloat(prices.max)
+    },
+    sorts: Object.keys(PRODUCT_SORTS)
+  };
+}
+
+// 校验管理员提交的商品数据，返回 { errors, product }
+function validateProduct(body = {}) {
+  const errors = [];
+  const text = value => (typeof value === 'string' ? value.trim() : '');
+
+  const product = {
+    name: text(body.name),
+    category: text(body.category),
+    price: Number(body.price),
+    original_price: body.original_price === undefined || body.original_price === '' ? Number(body.price) : Number(body.original_price),
+    quantity: body.quantity === undefined ? undefined : Number(body.quantity),
+    description: text(body.description),
+    image_url: text(body.image_url),
+    supplier: text(body.supplier),
+    origin_country: text(body.origin_country),
+    spice_level: text(body.spice_level),
+    reorder_point: body.reorder_point === undefined || body.reorder_point === '' || body.reorder_point === null
+      ? null
+      : Number(body.reorder_point)
+  };
+
+  if (!product.name) {
+    errors.push('Product name is required');
+  } else if (product.name.length > 255) {
+    errors.push('Product name must be at most 255 characters');
+  }
+  if (!product.category) {
+    errors.push('Category is required');
+  }
+  if (!Number.isFinite(product.price) || product.price < 0) {
+    errors.push('Price must be a non-negative number');
+  }
+  if (!Number.isFinite(product.original_price) || product.original_price < 0) {
+    errors.push('Original price must be a non-negative number');
+  } else if (product.price > product.original_price) {
+    errors.push('Price cannot be higher than the original price');
+  }
+  if (product.quantity !== undefined && (!Number.isInteger(product.quantity) || product.quantity < 0)) {
+    errors.push('Quantity must be a non-negative whole number');
+  }
+  if (product.image_url.length > 500) {
+    errors.push('Image URL must be at most 500 characters');
+  }
+  if (product.reorder_point !== null && (!Number.isInteger(product.reorder_point) || product.reorder_point < 0)) {
+    errors.push('Reorder point must be a non-negative whole number');
+  }
+
+  // 折扣由原价和售价计算，避免与价格不一致
+  product.discount = product.original_price > 0 && product.price < product.original_price
+    ? Math.round(((product.original_price - product.price) / product.original_price) * 100)
+    : 0;
+
+  return { errors, product };
+}
+
+function productValues(product) {
+  return [
+    product.name,
+    product.category,
+    product.price,
+    product.original_price,
+    product.discount,
+    product.description,
+    product.image_url,
+    product.supplier,
+    product.origin_country,
+    product.spice_level,
+    product.reorder_point
+  ];
+}
+
+// 商品API：查询对所有人开放，新增、修改、删除仅限管理员
+function createProductsRouter(pool) {
+  const router = express.Router();
+  const adminOnly = [authenticate(pool), requireAdmin(pool)];
+
+  // 搜索商品：全文搜索、筛选、排序和游标分页
+  // 查询参数：q, category, origin_country, spice_level, min_price, max_price, in_stock, sort, limit, cursor
+  router.get('/', async (req, res) => {
+    const { errors, query } = parseProductQuery(req.query);
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, message: errors[0], errors });
+    }
+
+    try {
+      res.json({ success: true, ...await searchProducts(pool, query) });
+    } catch (error) {
+      console.error('Error getting products:', error);
+      res.status(500).json({ success: false, message: 'Error getting products' });
+    }
+  });
+
+  // 筛选栏的可选值（必须定义在 /:id 之前）
+  router.get('/filters', async (req, res) => {
+    try {
+      res.json({ success: true, filters: await getProductFilters(pool) });
+    } catch (error) {
+      console.error('Error getting product filters:', error);
+      res.status(500).json({ success: false, message: 'Error getting product filters' });
+    }
+  });
+
+  // 商品规格
+  router.use('/:productId/variants', createVariantsRouter(pool));
+
+  // 商品评价
+  router.use('/:productId/reviews', createReviewsRouter(pool));
+
+  // 获取单个商品（包括全部规格）
+  router.get('/:id', async (req, res) => {
+    try {
+      const product = await getProduct(pool, req.params.id);
+      if (!product) {
+        return res.status(404).json({ success: false, message: 'Product not found' });
+      }
+      res.json({ success: true, product });
+    } catch (error) {
+      console.error('Error getting product:', error);
+      res.status(500).json({ success: false, message: 'Error getting product' });
+    }
+  });
+
+  // 新增商品，同时写入初始库存
+  router.post('/', adminOnly, async (req, res) => {
+    const { errors, product } = validateProduct(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, message: errors[0], errors });
+    }
+
+    let connection;
+    try {
+      if (!await categoryExists(pool, product.category)) {
+        const message = `Category ${product.category} does not exist`;
+        return res.status(400).json({ success: false, message, errors: [message] });
+      }
+      if (product.supplier && !await supplierExists(pool, product.supplier)) {
+        const message = `Supplier ${product.supplier} does not exist`;
+        return res.status(400).json({ success: false, message, errors: [message] });
+      }
+
+      connection = await pool.getConnection();
+      await connection.beginTransaction();
+
+      const [result] = await connection.execute(
+        `INSERT INTO products (name, category, price, original_price, discount, description, image_url, supplier, origin_country, spice_level, reorder_point)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        productValues(product)
+      );
+      await setStock(connection, String(result.insertId), product.quantity || 0, {
+        type: 'initial',
+        createdBy: req.auth.userId
+      });
+
+      await connection.commit();
+      res.status(201).json({ success: true, message: 'Product created', product: await getProduct(pool, result.insertId) });
+    } catch (error) {
+      if (connection) await connection.rollback();
+      console.error('Error creating product:', error);
+      res.status(500).json({ success: false, message: 'Error creating product' });
+    } finally {
+      if (connection) connection.release();
+    }
+  });
+
+  // 修改商品，提交了 quantity 时同步设置库存（有规格的商品忽略 quantity）
+  router.put('/:id', adminOnly, async (req, res) => {
+    const { errors, product } = validateProduct(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, message: errors[0], errors });
+    }
+
+    let connection;
+    try {
+      if (!await categoryExists(pool, product.category)) {
+        const message = `Category ${product.category} does not exist`;
+        return res.status(400).json({ success: false, message, errors: [message] });
+      }
+      if (product.supplier && !await supplierExists(pool, product.supplier)) {
+        const message = `Supplier ${product.supplier} does not exist`;
+        return res.status(400).json({ success: false, message, errors: [message] });
+      }
+
+      connection = await pool.getConnection();
+      await connection.beginTransaction();
+
+      const [result] = await connection.execute(
+        `UPDATE products SET name = ?, category = ?, price = ?, original_price = ?, discount = ?, description = ?,
+         image_url = ?, supplier = ?, origin_country = ?, spice_level = ?, reorder_point = ? WHERE id = ?`,
+        [...productValues(product), req.params.id]
+      );
+      if (result.affectedRows === 0) {
+        await connection.rollback();
+        return res.status(404).json({ success: false, message: 'Product not found' });
+      }
+
+      // 有规格的商品按规格管理库存和价格，商品价格保持为最便宜规格的价格
+      const [variants] = await connection.execute('SELECT id FROM product_variants WHERE product_id = ? LIMIT 1', [req.params.id]);
+      if (variants.length > 0) {
+        await syncProductPrice(connection, req.params.id);
+      } else if (product.quantity !== undefined) {
+        // 直接设置的库存视为盘点修正，差额记入库存流水
+        await setStock(connection, String(req.params.id), product.quantity, {
+          type: 'adjustment',
+          reasonCode: 'count_correction',
+          createdBy: req.auth.userId
+        });
+      }
+
+      await connection.commit();
+      res.json({ success: true, message: 'Product updated', product: await getProduct(pool, req.params.id) });
+    } catch (error) {
+      if (connection) await connection.rollback();
+      console.error('Error updating product:', error);
+      res.status(500).json({ success: false, message: 'Error updating product' });
+    } finally {
+      if (connection) connection.release();
+    }
+  });
+
+  // 删除商品，同时移除规格、库存记录（剩余库存清零记入库存流水）和各购物车中的该商品（历史订单保留商品名称和价格快照）
+  router.delete('/:id', adminOnly, async (req, res) => {
+    let connection;
+    try {
+      connection = await pool.getConnection();
+      await connection.beginTransaction();
+
+      const [result] = await connection.execute('DELETE FROM products WHERE id = ?', [req.params.id]);
+      if (result.affectedRows === 0) {
+        await connection.rollback();
+        return res.status(404).json({ success: false, message: 'Product not found' });
+      }
+
+      await connection.execute('DELETE FROM product_variants WHERE product_id = ?', [req.params.id]);
+      const [stock] = await connection.execute(
+        'SELECT product_id FROM inventory WHERE product_id = ? OR product_id LIKE ?',
+        [String(req.params.id), `${req.params.id}:%`]
+      );
+      await removeStock(connection, stock.map(row => row.product_id), req.auth.userId);
+      await connection.execute('DELETE FROM cart WHERE product_id = ?', [String(req.params.id)]);
+      await connection.execute('DELETE FROM product_reviews WHERE product_id = ?', [req.params.id]);
+
+      await connection.commit();
+      res.json({ success: true, message: 'Product deleted' });
+    } catch (error) {
+      if (connection) await connection.rollback();
+      console.error('Error deleting product:', error);
+      res.status(500).json({ success: false, message: 'Error deleting product' });
+    } finally {
+      if (connection) connection.release();
+    }
+  });
+
+  return router;
+}
+
+module.exports = {
+  createProductTable,
+  getProducts,
+  getProduct,
+  getProductsByIds,
+  searchProducts,
+  createProductsRouter
+};
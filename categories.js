@@ -0,0 +1,300 @@
+// 商品分类 - 分类表（名称、slug、排序、上级分类、图片）以及分类API
+// 商品和优惠券通过分类名称引用分类，因此修改分类名称时会同步更新这两处的引用
+const express = require('express');
+
+// 创建分类表（如果不存在），表为空时根据已有商品的分类生成初始分类
+// 需要在商品表创建之后调用
+async function createCategoryTable(pool) {
+  const query = `
+    CREATE TABLE IF NOT EXISTS categories (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      name VARCHAR(100) NOT NULL,
+      slug VARCHAR(100) NOT NULL,
+      parent_id INT DEFAULT NULL,
+      sort_order INT NOT NULL DEFAULT 0,
+      image_url VARCHAR(500) DEFAULT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      UNIQUE KEY category_name (name),
+      UNIQUE KEY category_slug (slug),
+      KEY category_parent (parent_id)
+    );
+  `;
+
+  try {
+    await pool.execute(query);
+    const [[{ count }]] = await pool.query('SELECT COUNT(*) AS count FROM categories');
+    if (count === 0) {
+      const [rows] = await pool.query("SELECT DISTINCT category FROM products WHERE category <> '' ORDER BY category");
+      if (rows.length > 0) {
+        await pool.query(
+          'INSERT INTO categories (name, slug, sort_order) VALUES ?',
+          [rows.map((row, index) => [row.category, slugify(row.category), index])]
+        );
+      }
+    }
+    console.log('Categories table created or already exists');
+  } catch (error) {
+    console.error('Error creating categories table:', error);
+  }
+}
+
+// 由分类名称生成slug：小写字母、数字和连字符
+function slugify(name) {
+  return String(name).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'category';
+}
+
+function toCategory(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    slug: row.slug,
+    parentId: row.parent_id,
+    sortOrder: row.sort_order,
+    imageUrl: row.image_url,
+    productCount: Number(row.product_count || 0)
+  };
+}
+
+// 读取全部分类（按排序值和名称排列），附带直接属于该分类的商品数量
+async function getCategories(db) {
+  const [rows] = await db.query(`
+    SELECT c.*, COUNT(p.id) AS product_count
+    FROM categories c
+    LEFT JOIN products p ON p.category = c.name
+    GROUP BY c.id
+    ORDER BY c.sort_order, c.name
+  `);
+  return rows.map(toCategory);
+}
+
+// 查找分类的所有下级分类ID（包括自身）
+function descendantIds(categories, categoryId) {
+  const ids = new Set([categoryId]);
+  let added = true;
+  while (added) {
+    added = false;
+    categories.forEach(category => {
+      if (category.parentId !== null && ids.has(category.parentId) && !ids.has(category.id)) {
+        ids.add(category.id);
+        added = true;
+      }
+    });
+  }
+  return ids;
+}
+
+// 把按名称或slug指定的分类展开为包括下级分类在内的分类名称列表，用于商品筛选
+// 不存在的分类原样保留（只会匹配不到商品）
+async function expandCategoryNames(db, values) {
+  const categories = await getCategories(db);
+  const names = new Set();
+
+  values.forEach(value => {
+    const category = categories.find(c => c.name === value || c.slug === value);
+    if (!category) {
+      names.add(value);
+      return;
+    }
+    const ids = descendantIds(categories, category.id);
+    categories.filter(c => ids.has(c.id)).forEach(c => names.add(c.name));
+  });
+
+  return [...names];
+}
+
+// 判断分类名称是否存在（新增或修改商品时校验）
+async function categoryExists(db, name) {
+  const [rows] = await db.execute('SELECT id FROM categories WHERE name = ?', [name]);
+  return rows.length > 0;
+}
+
+// 校验管理员提交的分类数据，返回 { errors, category }
+function validateCategory(body = {}) {
+  const errors = [];
+  const text = value => (typeof value === 'string' ? value.trim() : '');
+
+  const category = {
+    name: text(body.name),
+    slug: text(body.slug).toLowerCase(),
+    parentId: body.parentId === undefined || body.parentId === null || body.parentId === '' ? null : Number(body.parentId),
+    sortOrder: body.sortOrder === undefined || body.sortOrder === '' ? 0 : Number(body.sortOrder),
+    imageUrl: text(body.imageUrl) || null
+  };
+
+  if (!category.name) {
+    errors.push('Category name is required');
+  } else if (category.name.length > 100) {
+    errors.push('Category name must be at most 100 characters');
+  }
+  if (!category.slug && category.name) {
+    category.slug = slugify(category.name);
+  }
+  if (!/^[a-z0-9]+(?:-[a-z0-9]+)*$/.test(category.slug) || category.slug.length > 100) {
+    errors.push('Slug may only contain lowercase letters, numbers and single hyphens');
+  }
+  if (category.parentId !== null && (!Number.isInteger(category.parentId) || category.parentId < 1)) {
+    errors.push('Parent category is invalid');
+  }
+  if (!Number.isInteger(category.sortOrder)) {
+    errors.push('Sort order must be a whole number');
+  }
+  if (category.imageUrl && category.imageUrl.length > 500) {
+    errors.push('Image URL must be at most 500 characters');
+  }
+
+  return { errors, category };
+}
+
+function categoryValues(category) {
+  return [category.name, category.slug, category.parentId, category.sortOrder, category.imageUrl];
+}
+
+// 校验上级分类存在，且修改时不能把分类放到自身或其下级分类之下
+// 返回错误信息或null
+async function checkParent(db, category, categoryId = null) {
+  if (category.parentId === null) {
+    return null;
+  }
+
+  const categories = await getCategories(db);
+  if (!categories.some(c => c.id === category.parentId)) {
+    return 'Parent category not found';
+  }
+  if (categoryId !== null && descendantIds(categories, categoryId).has(category.parentId)) {
+    return 'A category cannot be placed under itself or one of its subcategories';
+  }
+  return null;
+}
+
+// 分类API：GET /api/categories，所有人可查询
+function createCategoriesRouter(pool) {
+  const router = express.Router();
+
+  router.get('/', async (req, res) => {
+    try {
+      res.json({ success: true, categories: await getCategories(pool) });
+    } catch (error) {
+      console.error('Error getting categories:', error);
+      res.status(500).json({ success: false, message: 'Error getting categories' });
+    }
+  });
+
+  return router;
+}
+
+// 管理员分类API - 分类的增删改
+function createAdminCategoriesRouter(pool) {
+  const router = express.Router();
+
+  // 新增分类
+  router.post('/', async (req, res) => {
+    const { errors, category } = validateCategory(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, message: errors[0], errors });
+    }
+
+    try {
+      const parentError = await checkParent(pool, category);
+      if (parentError) {
+        return res.status(400).json({ success: false, message: parentError, errors: [parentError] });
+      }
+
+      const [result] = await pool.execute(
+        'INSERT INTO categories (name, slug, parent_id, sort_order, image_url) VALUES (?, ?, ?, ?, ?)',
+        categoryValues(category)
+      );
+      res.status(201).json({ success: true, message: 'Category created', category: { ...category, id: result.insertId } });
+    } catch (error) {
+      if (error.code === 'ER_DUP_ENTRY') {
+        return res.status(409).json({ success: false, message: 'A category with this name or slug already exists' });
+      }
+      console.error('Error creating category:', error);
+      res.status(500).json({ success: false, message: 'Error creating category' });
+    }
+  });
+
+  // 修改分类，名称变化时同步更新商品和优惠券中的分类名称
+  router.put('/:id', async (req, res) => {
+    const { errors, category } = validateCategory(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, message: errors[0], errors });
+    }
+
+    const categoryId = Number(req.params.id);
+    let connection;
+    try {
+      connection = await pool.getConnection();
+      await connection.beginTransaction();
+
+      const [rows] = await connection.execute('SELECT name FROM categories WHERE id = ? FOR UPDATE', [categoryId]);
+      if (rows.length === 0) {
+        await connection.rollback();
+        return res.status(404).json({ success: false, message: 'Category not found' });
+      }
+
+      const parentError = await checkParent(connection, category, categoryId);
+      if (parentError) {
+        await connection.rollback();
+        return res.status(400).json({ success: false, message: parentError, errors: [parentError] });
+      }
+
+      await connection.execute(
+        'UPDATE categories SET name = ?, slug = ?, parent_id = ?, sort_order = ?, image_url = ? WHERE id = ?',
+        [...categoryValues(category), categoryId]
+      );
+
+      const previousName = rows[0].name;
+      if (previousName !== category.name) {
+        await connection.execute('UPDATE products SET category = ? WHERE category = ?', [category.name, previousName]);
+        await connection.execute('UPDATE coupons SET category = ? WHERE category = ?', [category.name, previousName]);
+      }
+
+      await connection.commit();
+      res.json({ success: true, message: 'Category updated', category: { ...category, id: categoryId } });
+    } catch (error) {
+      if (connection) await connection.rollback();
+      if (error.code === 'ER_DUP_ENTRY') {
+        return res.status(409).json({ success: false, message: 'A category with this name or slug already exists' });
+      }
+      console.error('Error updating category:', error);
+      res.status(500).json({ success: false, message: 'Error updating category' });
+    } finally {
+      if (connection) connection.release();
+    }
+  });
+
+  // 删除分类，仍有商品或下级分类时不能删除
+  router.delete('/:id', async (req, res) => {
+    try {
+      const categories = await getCategories(pool);
+      const category = categories.find(c => c.id === Number(req.params.id));
+      if (!category) {
+        return res.status(404).json({ success: false, message: 'Category not found' });
+      }
+      if (category.productCount > 0) {
+        return res.status(409).json({ success: false, message: `Move the ${category.productCount} product(s) in ${category.name} to another category first` });
+      }
+      if (categories.some(c => c.parentId === category.id)) {
+        return res.status(409).json({ success: false, message: `Remove or move the subcategories of ${category.name} first` });
+      }
+
+      await pool.execute('DELETE FROM categories WHERE id = ?', [category.id]);
+      res.json({ success: true, message: 'Category deleted' });
+    } catch (error) {
+      console.error('Error deleting category:', error);
+      res.status(500).json({ success: false, message: 'Error deleting category' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = {
+  createCategoryTable,
+  getCategories,
+  expandCategoryNames,
+  categoryExists,
+  createCategoriesRouter,
+  createAdminCategoriesRouter
+};
@@ -0,0 +1,426 @@
+// 优惠券 - 促销规则、购物车适用性判断（含拒绝原因）以及管理员优惠券API
+const express = require('express');
+const { isGuestId } = require('./session');
+const { expandCategoryNames } = require('./categories');
+
+// 优惠券类型：按比例折扣、固定金额减免、免运费、买X送Y
+const COUPON_TYPES = ['percent', 'fixed', 'free_shipping', 'buy_x_get_y'];
+
+// 优惠券被拒绝的原因代码
+const COUPON_REJECTIONS = {
+  NOT_FOUND: 'COUPON_NOT_FOUND',
+  INACTIVE: 'COUPON_INACTIVE',
+  NOT_STARTED: 'COUPON_NOT_STARTED',
+  EXPIRED: 'COUPON_EXPIRED',
+  LOGIN_REQUIRED: 'COUPON_LOGIN_REQUIRED',
+  USAGE_LIMIT_REACHED: 'COUPON_USAGE_LIMIT_REACHED',
+  NO_ELIGIBLE_ITEMS: 'COUPON_NO_ELIGIBLE_ITEMS',
+  MIN_SPEND_NOT_MET: 'COUPON_MIN_SPEND_NOT_MET',
+  QUANTITY_NOT_MET: 'COUPON_QUANTITY_NOT_MET'
+};
+
+// 创建优惠券表、购物车已应用优惠券表和使用记录表（如果不存在）
+async function createCouponTables(pool) {
+  const couponsQuery = `
+    CREATE TABLE IF NOT EXISTS coupons (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      code VARCHAR(50) NOT NULL UNIQUE,
+      description VARCHAR(255) DEFAULT '',
+      type VARCHAR(20) NOT NULL,
+      value DECIMAL(10, 2) NOT NULL DEFAULT 0,
+      buy_quantity INT DEFAULT NULL,
+      get_quantity INT DEFAULT NULL,
+      min_spend DECIMAL(10, 2) NOT NULL DEFAULT 0,
+      category VARCHAR(100) DEFAULT NULL,
+      starts_at DATETIME DEFAULT NULL,
+      expires_at DATETIME DEFAULT NULL,
+      usage_limit_per_user INT DEFAULT NULL,
+      active TINYINT(1) NOT NULL DEFAULT 1,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+    );
+  `;
+  const cartCouponsQuery = `
+    CREATE TABLE IF NOT EXISTS cart_coupons (
+      user_id VARCHAR(50) PRIMARY KEY,
+      coupon_id INT NOT NULL,
+      applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+  `;
+  const redemptionsQuery = `
+    CREATE TABLE IF NOT EXISTS coupon_redemptions (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      coupon_id INT NOT NULL,
+      user_id VARCHAR(50) NOT NULL,
+      order_id INT NOT NULL,
+      discount_amount DECIMAL(10, 2) NOT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      KEY redemption_coupon_user (coupon_id, user_id)
+    );
+  `;
+
+  try {
+    await pool.execute(couponsQuery);
+    await pool.execute(cartCouponsQuery);
+    await pool.execute(redemptionsQuery);
+    console.log('Coupon tables created or already exist');
+  } catch (error) {
+    console.error('Error creating coupon tables:', error);
+  }
+}
+
+// 优惠券代码不区分大小写，统一存为大写
+function normalizeCode(code) {
+  return typeof code === 'string' ? code.trim().toUpperCase() : '';
+}
+
+function toCoupon(row) {
+  return {
+    id: row.id,
+    code: row.code,
+    description: row.description,
+    type: row.type,
+    value: parseFloat(row.value),
+    buyQuantity: row.buy_quantity,
+    getQuantity: row.get_quantity,
+    minSpend: parseFloat(row.min_spend),
+    category: row.category,
+    startsAt: row.starts_at,
+    expiresAt: row.expires_at,
+    usageLimitPerUser: row.usage_limit_per_user,
+    active: Boolean(row.active)
+  };
+}
+
+// 按代码查找优惠券，不存在时返回null
+async function findCouponByCode(db, code) {
+  const [rows] = await db.execute('SELECT * FROM coupons WHERE code = ?', [normalizeCode(code)]);
+  return rows.length > 0 ? toCoupon(rows[0]) : null;
+}
+
+// 用户已使用某优惠券的次数
+async function getUsageCount(db, couponId, userId) {
+  const [rows] = await db.execute(
+    'SELECT COUNT(*) AS count FROM coupon_redemptions WHERE coupon_id = ? AND user_id = ?',
+    [couponId, userId]
+  );
+  return Number(rows[0].count);
+}
+
+function formatMoney(amount) {
+  return `$${amount.toFixed(2)}`;
+}
+
+function formatDate(date) {
+  return new Date(date).toISOString().slice(0, 10);
+}
+
+function reject(code, message) {
+  return { valid: false, reason: code, message, discount: 0, freeShipping: false };
+}
+
+// 判断优惠券能否用于已定价的购物车行，返回 { valid, reason, message, discount, freeShipping }
+// discount 为未取整的减免金额，由调用方计入价格明细时取整
+// categoryNames 为优惠券分类及其下级分类的名称（见 expandCategoryNames），未提供时只匹配优惠券分类本身
+function evaluateCoupon(coupon, items, { usageCount = 0, guest = false, now = new Date(), categoryNames = null } = {}) {
+  if (!coupon.active) {
+    return reject(COUPON_REJECTIONS.INACTIVE, `Coupon ${coupon.code} is no longer active`);
+  }
+  if (coupon.startsAt && new Date(coupon.startsAt) > now) {
+    return reject(COUPON_REJECTIONS.NOT_STARTED, `Coupon ${coupon.code} can be used from ${formatDate(coupon.startsAt)}`);
+  }
+  if (coupon.expiresAt && new Date(coupon.expiresAt) <= now) {
+    return reject(COUPON_REJECTIONS.EXPIRED, `Coupon ${coupon.code} expired on ${formatDate(coupon.expiresAt)}`);
+  }
+
+  // 限制每人使用次数的优惠券需要登录，游客身份无法跨设备统计次数
+  if (coupon.usageLimitPerUser) {
+    if (guest) {
+      return reject(COUPON_REJECTIONS.LOGIN_REQUIRED, `Log in to use coupon ${coupon.code}`);
+    }
+    if (usageCount >= coupon.usageLimitPerUser) {
+      return reject(
+        COUPON_REJECTIONS.USAGE_LIMIT_REACHED,
+        `You have already used coupon ${coupon.code} ${usageCount} time${usageCount === 1 ? '' : 's'}`
+      );
+    }
+  }
+
+  // 限定分类的优惠券同样适用于下级分类中的商品，与商品目录的分类筛选一致
+  const categories = coupon.category ? new Set(categoryNames || [coupon.category]) : null;
+  const eligible = items.filter(item => item.available && (!categories || categories.has(item.category)));
+  if (eligible.length === 0) {
+    return reject(
+      COUPON_REJECTIONS.NO_ELIGIBLE_ITEMS,
+      coupon.category
+        ? `Coupon ${coupon.code} only applies to ${coupon.category} products`
+        : 'Your cart is empty'
+    );
+  }
+
+  const eligibleSubtotal = eligible.reduce((total, item) => total + item.line_total, 0);
+  if (eligibleSubtotal < coupon.minSpend) {
+    return reject(
+      COUPON_REJECTIONS.MIN_SPEND_NOT_MET,
+      `Spend at least ${formatMoney(coupon.minSpend)}${coupon.category ? ` on ${coupon.category} products` : ''} to use coupon ${coupon.code} ` +
+        `(you have ${formatMoney(eligibleSubtotal)})`
+    );
+  }
+
+  switch (coupon.type) {
+    case 'percent':
+      return { valid: true, reason: null, message: null, discount: eligibleSubtotal * coupon.value / 100, freeShipping: false };
+    case 'fixed':
+      return { valid: true, reason: null, message: null, discount: Math.min(coupon.value, eligibleSubtotal), freeShipping: false };
+    case 'free_shipping':
+      return { valid: true, reason: null, message: null, discount: 0, freeShipping: true };
+    case 'buy_x_get_y': {
+      // 每买 buyQuantity 件送 getQuantity 件，赠送的是符合条件的商品中最便宜的几件
+      const groupSize = coupon.buyQuantity + coupon.getQuantity;
+      const units = eligible
+        .flatMap(item => Array(item.quantity).fill(item.price))
+        .sort((a, b) => a - b);
+      const freeUnits = Math.floor(units.length / groupSize) * coupon.getQuantity;
+      if (freeUnits === 0) {
+        const missing = groupSize - units.length;
+        return reject(
+          COUPON_REJECTIONS.QUANTITY_NOT_MET,
+          `Add ${missing} more${coupon.category ? ` ${coupon.category}` : ''} item${missing === 1 ? '' : 's'} to use coupon ${coupon.code}`
+        );
+      }
+      const discount = units.slice(0, freeUnits).reduce((total, price) => total + price, 0);
+      return { valid: true, reason: null, message: null, discount, freeShipping: false };
+    }
+    default:
+      return reject(COUPON_REJECTIONS.INACTIVE, `Coupon ${coupon.code} is no longer active`);
+  }
+}
+
+// 查询用户的使用次数后判断优惠券是否可用
+async function checkCoupon(db, coupon, items, userId) {
+  const guest = isGuestId(userId);
+  const usageCount = coupon.usageLimitPerUser && !guest ? await getUsageCount(db, coupon.id, userId) : 0;
+  const categoryNames = coupon.category ? await expandCategoryNames(db, [coupon.category]) : null;
+  return evaluateCoupon(coupon, items, { usageCount, guest, categoryNames });
+}
+
+// 读取购物车已应用的优惠券并判断当前是否仍然可用，未应用时返回null
+// 返回 { coupon, result }
+async function getCartCoupon(db, userId, items, { forUpdate = false } = {}) {
+  const [rows] = await db.execute(
+    `SELECT coupons.* FROM cart_coupons
+     JOIN coupons ON coupons.id = cart_coupons.coupon_id
+     WHERE cart_coupons.user_id = ?${forUpdate ? ' FOR UPDATE' : ''}`,
+    [userId]
+  );
+  if (rows.length === 0) {
+    return null;
+  }
+
+  const coupon = toCoupon(rows[0]);
+  return { coupon, result: await checkCoupon(db, coupon, items, userId) };
+}
+
+// 在下单事务中记录优惠券使用
+async function recordRedemption(connection, couponId, userId, orderId, discountAmount) {
+  await connection.execute(
+    'INSERT INTO coupon_redemptions (coupon_id, user_id, order_id, discount_amount) VALUES (?, ?, ?, ?)',
+    [couponId, userId, orderId, discountAmount]
+  );
+}
+
+// 将表单中的日期转换为 DATETIME，空值表示不限
+function parseDate(value) {
+  if (value === undefined || value === null || value === '') {
+    return { ok: true, date: null };
+  }
+  const date = new Date(value);
+  return { ok: !isNaN(date.getTime()), date };
+}
+
+// 校验管理员提交的优惠券数据，返回 { errors, coupon }
+function validateCoupon(body = {}) {
+  const errors = [];
+  const optionalNumber = value => (value === undefined || value === null || value === '' ? null : Number(value));
+
+  const startsAt = parseDate(body.startsAt);
+  const expiresAt = parseDate(body.expiresAt);
+  const coupon = {
+    code: normalizeCode(body.code),
+    description: typeof body.description === 'string' ? body.description.trim() : '',
+    type: body.type,
+    value: optionalNumber(body.value) || 0,
+    buyQuantity: optionalNumber(body.buyQuantity),
+    getQuantity: optionalNumber(body.getQuantity),
+    minSpend: optionalNumber(body.minSpend) || 0,
+    category: typeof body.category === 'string' && body.category.trim() ? body.category.trim() : null,
+    startsAt: startsAt.date,
+    expiresAt: expiresAt.date,
+    usageLimitPerUser: optionalNumber(body.usageLimitPerUser),
+    active: body.active === undefined ? true : Boolean(body.active)
+  };
+
+  if (!/^[A-Z0-9_-]{3,50}$/.test(coupon.code)) {
+    errors.push('Code must be 3-50 letters, numbers, dashes or underscores');
+  }
+  if (!COUPON_TYPES.includes(coupon.type)) {
+    errors.push(`Type must be one of: ${COUPON_TYPES.join(', ')}`);
+  }
+  if (coupon.type === 'percent' && !(coupon.value > 0 && coupon.value <= 100)) {
+    errors.push('Percentage must be between 0 and 100');
+  }
+  if (coupon.type === 'fixed' && !(coupon.value > 0)) {
+    errors.push('Fixed amount must be greater than 0');
+  }
+  if (coupon.type === 'buy_x_get_y') {
+    if (!Number.isInteger(coupon.buyQuantity) || coupon.buyQuantity < 1) {
+      errors.push('Buy quantity must be a whole number of at least 1');
+    }
+    if (!Number.isInteger(coupon.getQuantity) || coupon.getQuantity < 1) {
+      errors.push('Free quantity must be a whole number of at least 1');
+    }
+  } else {
+    coupon.buyQuantity = null;
+    coupon.getQuantity = null;
+  }
+  if (!Number.isFinite(coupon.minSpend) || coupon.minSpend < 0) {
+    errors.push('Minimum spend must be a non-negative number');
+  }
+  if (coupon.usageLimitPerUser !== null && (!Number.isInteger(coupon.usageLimitPerUser) || coupon.usageLimitPerUser < 1)) {
+    errors.push('Usage limit per user must be a whole number of at least 1');
+  }
+  if (!startsAt.ok) {
+    errors.push('Start date is not valid');
+  }
+  if (!expiresAt.ok) {
+    errors.push('Expiry date is not valid');
+  }
+  if (coupon.startsAt && coupon.expiresAt && coupon.expiresAt <= coupon.startsAt) {
+    errors.push('Expiry date must be after the start date');
+  }
+
+  return { errors, coupon };
+}
+
+function couponValues(coupon) {
+  return [
+    coupon.code,
+    coupon.description,
+    coupon.type,
+    coupon.value,
+    coupon.buyQuantity,
+    coupon.getQuantity,
+    coupon.minSpend,
+    coupon.category,
+    coupon.startsAt,
+    coupon.expiresAt,
+    coupon.usageLimitPerUser,
+    coupon.active ? 1 : 0
+  ];
+}
+
+// 管理员优惠券API - 优惠券的增删改查
+function createAdminCouponsRouter(pool) {
+  const router = express.Router();
+
+  // 优惠券列表，包含已使用次数
+  router.get('/', async (req, res) => {
+    try {
+      const [rows] = await pool.query(
+        `SELECT coupons.*, COUNT(coupon_redemptions.id) AS redemption_count
+         FROM coupons
+         LEFT JOIN coupon_redemptions ON coupon_redemptions.coupon_id = coupons.id
+         GROUP BY coupons.id
+         ORDER BY coupons.created_at DESC, coupons.id DESC`
+      );
+      res.json({
+        success: true,
+        coupons: rows.map(row => ({ ...toCoupon(row), redemptionCount: Number(row.redemption_count) }))
+      });
+    } catch (error) {
+      console.error('Error getting coupons:', error);
+      res.status(500).json({ success: false, message: 'Error getting coupons' });
+    }
+  });
+
+  // 新增优惠券
+  router.post('/', async (req, res) => {
+    const { errors, coupon } = validateCoupon(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, message: errors[0], errors });
+    }
+
+    try {
+      const [result] = await pool.execute(
+        `INSERT INTO coupons (code, description, type, value, buy_quantity, get_quantity, min_spend, category,
+          starts_at, expires_at, usage_limit_per_user, active)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        couponValues(coupon)
+      );
+      res.status(201).json({ success: true, message: 'Coupon created', coupon: { ...coupon, id: result.insertId } });
+    } catch (error) {
+      if (error.code === 'ER_DUP_ENTRY') {
+        return res.status(409).json({ success: false, message: `Coupon code ${coupon.code} already exists` });
+      }
+      console.error('Error creating coupon:', error);
+      res.status(500).json({ success: false, message: 'Error creating coupon' });
+    }
+  });
+
+  // 修改优惠券
+  router.put('/:id', async (req, res) => {
+    const { errors, coupon } = validateCoupon(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, message: errors[0], errors });
+    }
+
+    try {
+      const [result] = await pool.execute(
+        `UPDATE coupons SET code = ?, description = ?, type = ?, value = ?, buy_quantity = ?, get_quantity = ?,
+          min_spend = ?, category = ?, starts_at = ?, expires_at = ?, usage_limit_per_user = ?, active = ?
+         WHERE id = ?`,
+        [...couponValues(coupon), req.params.id]
+      );
+      if (result.affectedRows === 0) {
+        return res.status(404).json({ success: false, message: 'Coupon not found' });
+      }
+      res.json({ success: true, message: 'Coupon updated', coupon: { ...coupon, id: Number(req.params.id) } });
+    } catch (error) {
+      if (error.code === 'ER_DUP_ENTRY') {
+        return res.status(409).json({ success: false, message: `Coupon code ${coupon.code} already exists` });
+      }
+      console.error('Error updating coupon:', error);
+      res.status(500).json({ success: false, message: 'Error updating coupon' });
+    }
+  });
+
+  // 删除优惠券，同时从各购物车中移除（历史订单保留优惠券代码）
+  router.delete('/:id', async (req, res) => {
+    try {
+      const [result] = await pool.execute('DELETE FROM coupons WHERE id = ?', [req.params.id]);
+      if (result.affectedRows === 0) {
+        return res.status(404).json({ success: false, message: 'Coupon not found' });
+      }
+      await pool.execute('DELETE FROM cart_coupons WHERE coupon_id = ?', [req.params.id]);
+      res.json({ success: true, message: 'Coupon deleted' });
+    } catch (error) {
+      console.error('Error deleting coupon:', error);
+      res.status(500).json({ success: false, message: 'Error deleting coupon' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = {
+  COUPON_TYPES,
+  COUPON_REJECTIONS,
+  createCouponTables,
+  normalizeCode,
+  findCouponByCode,
+  evaluateCoupon,
+  checkCoupon,
+  getCartCoupon,
+  recordRedemption,
+  createAdminCouponsRouter
+};
@@ -0,0 +1,634 @@
+// 论坛 - 主题帖、多层回复、点赞，以及版主（员工和管理员）的隐藏、锁定和禁言
+// 每个主题的第一条帖子（parent_id 为NULL）是主题正文，回复通过 parent_id 指向被回复的帖子
+// 帖子内容按纯文本保存，由前端转义后显示；删除为软删除，保留回复的层级结构
+const express = require('express');
+const { requireUser, getUserRole, isStaffRole } = require('./session');
+
+// 标题和正文的长度限制
+const MAX_TITLE_LENGTH = 200;
+const MAX_BODY_LENGTH = 5000;
+
+// 主题列表每页数量
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 50;
+
+// 创建论坛相关的表（如果不存在）
+async function createForumTables(pool) {
+  const threadsQuery = `
+    CREATE TABLE IF NOT EXISTS forum_threads (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      user_id VARCHAR(50) NOT NULL,
+      title VARCHAR(200) NOT NULL,
+      locked TINYINT(1) NOT NULL DEFAULT 0,
+      hidden TINYINT(1) NOT NULL DEFAULT 0,
+      moderation_note VARCHAR(255) DEFAULT NULL,
+      last_post_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      deleted_at TIMESTAMP NULL DEFAULT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      KEY thread_last_post (last_post_at)
+    );
+  `;
+  const postsQuery = `
+    CREATE TABLE IF NOT EXISTS forum_posts (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      thread_id INT NOT NULL,
+      parent_id INT DEFAULT NULL,
+      user_id VARCHAR(50) NOT NULL,
+      body TEXT NOT NULL,
+      hidden TINYINT(1) NOT NULL DEFAULT 0,
+      moderation_note VARCHAR(255) DEFAULT NULL,
+      edited_at TIMESTAMP NULL DEFAULT NULL,
+      deleted_at TIMESTAMP NULL DEFAULT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      KEY post_thread (thread_id)
+    );
+  `;
+  // 每个用户对每条帖子只能点赞一次
+  const likesQuery = `
+    CREATE TABLE IF NOT EXISTS forum_likes (
+      post_id INT NOT NULL,
+      user_id VARCHAR(50) NOT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (post_id, user_id)
+    );
+  `;
+  // 禁言记录，expires_at 为NULL表示永久禁言
+  const bansQuery = `
+    CREATE TABLE IF NOT EXISTS forum_bans (
+      user_id VARCHAR(50) PRIMARY KEY,
+      reason VARCHAR(255) NOT NULL DEFAULT '',
+      banned_by VARCHAR(50) NOT NULL,
+      expires_at DATETIME DEFAULT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+  `;
+
+  try {
+    await pool.execute(threadsQuery);
+    await pool.execute(postsQuery);
+    await pool.execute(likesQuery);
+    await pool.execute(bansQuery);
+    console.log('Forum tables created or already exist');
+  } catch (error) {
+    console.error('Error creating forum tables:', error);
+  }
+}
+
+// 规范化用户输入的文本：统一换行符，去掉换行和制表符以外的控制字符，去掉首尾空白
+function cleanText(value) {
+  return typeof value === 'string'
+    ? value.replace(/\r\n?/g, '\n').replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F\u007F]/g, '').trim()
+    : '';
+}
+
+function validateTitle(title, errors) {
+  if (title.length < 3) {
+    errors.push('Title must be at least 3 characters');
+  } else if (title.length > MAX_TITLE_LENGTH) {
+    errors.push(`Title must be at most ${MAX_TITLE_LENGTH} characters`);
+  }
+}
+
+function validateBody(body, errors) {
+  if (!body) {
+    errors.push('Post cannot be empty');
+  } else if (body.length > MAX_BODY_LENGTH) {
+    errors.push(`Post must be at most ${MAX_BODY_LENGTH} characters`);
+  }
+}
+
+// 读取用户当前有效的禁言记录，没有时返回null
+async function getActiveBan(db, userId) {
+  const [rows] = await db.execute(
+    'SELECT * FROM forum_bans WHERE user_id = ? AND (expires_at IS NULL OR expires_at > NOW())',
+    [userId]
+  );
+  return rows.length > 0 ? { reason: rows[0].reason, expiresAt: rows[0].expires_at } : null;
+}
+
+// 当前访问者：登录用户ID、是否版主以及禁言状态，游客和未登录访问者为 { userId: null }
+async function getViewer(pool, auth) {
+  if (!auth || auth.guest) {
+    return { userId: null, isModerator: false, ban: null };
+  }
+  return {
+    userId: auth.userId,
+    isModerator: isStaffRole(await getUserRole(pool, auth.userId)),
+    ban: await getActiveBan(pool, auth.userId)
+  };
+}
+
+// 中间件：加载当前访问者到 req.viewer
+function loadViewer(pool) {
+  return async (req, res, next) => {
+    try {
+      req.viewer = await getViewer(pool, req.auth);
+      next();
+    } catch (error) {
+      console.error('Error loading forum viewer:', error);
+      res.status(500).json({ success: false, message: 'Error loading forum' });
+    }
+  };
+}
+
+// 中间件：被禁言的用户不能发帖、修改或点赞
+function rejectBanned(req, res, next) {
+  const { ban } = req.viewer;
+  if (ban) {
+    const until = ban.expiresAt ? ` until ${new Date(ban.expiresAt).toISOString()}` : '';
+    return res.status(403).json({
+      success: false,
+      message: `You are banned from posting in the forum${until}${ban.reason ? `: ${ban.reason}` : ''}`
+    });
+  }
+  next();
+}
+
+// 帖子对象：已删除的帖子不返回内容和作者；被隐藏的帖子只有版主能看到内容
+function toPost(row, viewer) {
+  const deleted = row.deleted_at !== null;
+  const hidden = Boolean(row.hidden);
+  const visible = !deleted && (!hidden || viewer.isModerator);
+
+  return {
+    id: row.id,
+    parentId: row.parent_id,
+    author: deleted ? null : row.username || 'Former member',
+    userId: viewer.isModerator ? row.user_id : undefined,
+    body: visible ? row.body : null,
+    likes: Number(row.like_count || 0),
+    liked: Boolean(row.liked),
+    mine: viewer.userId !== null && row.user_id === viewer.userId,
+    hidden,
+    deleted,
+    moderationNote: viewer.isModerator ? row.moderation_note : undefined,
+    editedAt: row.edited_at,
+    createdAt: row.created_at
+  };
+}
+
+function toThread(row, viewer) {
+  const hidden = Boolean(row.hidden);
+  return {
+    id: row.id,
+    title: row.title,
+    author: row.username || 'Former member',
+    userId: viewer.isModerator ? row.user_id : undefined,
+    locked: Boolean(row.locked),
+    hidden,
+    moderationNote: viewer.isModerator ? row.moderation_note : undefined,
+    replyCount: Number(row.reply_count || 0),
+    likes: Number(row.like_count || 0),
+    lastPostAt: row.last_post_at,
+    createdAt: row.created_at
+  };
+}
+
+// 读取主题（已删除的主题视为不存在，被隐藏的主题只有版主可见），不存在时返回null
+async function findThread(db, threadId, viewer) {
+  const [rows] = await db.query(
+    `SELECT t.*, u.username
+     FROM forum_threads t
+     LEFT JOIN users u ON CAST(u.id AS CHAR) = t.user_id
+     WHERE t.id = ? AND t.deleted_at IS NULL`,
+    [threadId]
+  );
+  const thread = rows[0];
+  if (!thread || (thread.hidden && !viewer.isModerator)) {
+    return null;
+  }
+  return thread;
+}
+
+// 读取帖子及其所属主题，帖子不存在、已删除或主题不可见时返回null
+async function findPost(db, postId, viewer) {
+  const [rows] = await db.query('SELECT * FROM forum_posts WHERE id = ? AND deleted_at IS NULL', [postId]);
+  const post = rows[0];
+  if (!post) {
+    return null;
+  }
+  const thread = await findThread(db, post.thread_id, viewer);
+  return thread ? { post, thread } : null;
+}
+
+async function countLikes(db, postId) {
+  const [[{ likes }]] = await db.query('SELECT COUNT(*) AS likes FROM forum_likes WHERE post_id = ?', [postId]);
+  return Number(likes);
+}
+
+// 论坛API：/api/forum，浏览对所有人开放，发帖、修改、删除和点赞需要登录
+function createForumRouter(pool) {
+  const router = express.Router();
+  router.use(loadViewer(pool));
+  const writer = [requireUser, rejectBanned];
+
+  // 主题列表，按最近回复时间排列，查询参数：page, limit
+  router.get('/threads', async (req, res) => {
+    try {
+      const { viewer } = req;
+      const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+      const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+      const where = viewer.isModerator ? 't.deleted_at IS NULL' : 't.deleted_at IS NULL AND t.hidden = 0';
+
+      const [[{ total }]] = await pool.query(`SELECT COUNT(*) AS total FROM forum_threads t WHERE ${where}`);
+      const [rows] = await pool.query(
+        `SELECT t.*, u.username, op.body AS opening_body, op.hidden AS opening_hidden,
+           (SELECT COUNT(*) FROM forum_posts r
+            WHERE r.thread_id = t.id AND r.parent_id IS NOT NULL AND r.deleted_at IS NULL AND r.hidden = 0) AS reply_count,
+           (SELECT COUNT(*) FROM forum_likes l WHERE l.post_id = op.id) AS like_count
+         FROM forum_threads t
+         JOIN forum_posts op ON op.thread_id = t.id AND op.parent_id IS NULL
+         LEFT JOIN users u ON CAST(u.id AS CHAR) = t.user_id
+         WHERE ${where}
+         ORDER BY t.last_post_at DESC, t.id DESC
+         LIMIT ? OFFSET ?`,
+        [limit, (page - 1) * limit]
+      );
+
+      res.json({
+        success: true,
+        threads: rows.map(row => ({
+          ...toThread(row, viewer),
+          excerpt: row.opening_hidden && !viewer.isModerator ? null : row.opening_body.slice(0, 200)
+        })),
+        pagination: { page, limit, total, totalPages: Math.ceil(total / limit) },
+        viewer: { loggedIn: viewer.userId !== null, isModerator: viewer.isModerator, ban: viewer.ban }
+      });
+    } catch (error) {
+      console.error('Error getting forum threads:', error);
+      res.status(500).json({ success: false, message: 'Error getting forum threads' });
+    }
+  });
+
+  // 发起新主题
+  router.post('/threads', writer, async (req, res) => {
+    const title = cleanText(req.body.title);
+    const body = cleanText(req.body.body);
+    const errors = [];
+    validateTitle(title, errors);
+    validateBody(body, errors);
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, message: errors[0], errors });
+    }
+
+    let connection;
+    try {
+      connection = await pool.getConnection();
+      await connection.beginTransaction();
+
+      const [result] = await connection.execute(
+        'INSERT INTO forum_threads (user_id, title) VALUES (?, ?)',
+        [req.auth.userId, title]
+      );
+      await connection.execute(
+        'INSERT INTO forum_posts (thread_id, user_id, body) VALUES (?, ?, ?)',
+        [result.insertId, req.auth.userId, body]
+      );
+
+      await connection.commit();
+      res.status(201).json({ success: true, message: 'Thread created', threadId: result.insertId });
+    } catch (error) {
+      if (connection) await connection.rollback();
+      console.error('Error creating forum thread:', error);
+      res.status(500).json({ success: false, message: 'Error creating forum thread' });
+    } finally {
+      if (connection) connection.release();
+    }
+  });
+
+  // 主题详情：主题信息和全部帖子（按时间排列，前端根据 parentId 组织回复层级）
+  router.get('/threads/:id', async (req, res) => {
+    try {
+      const { viewer } = req;
+      const thread = await findThread(pool, req.params.id, viewer);
+      if (!thread) {
+        return res.status(404).json({ success: false, message: 'Thread not found' });
+      }
+
+      const [rows] = await pool.query(
+        `SELECT p.*, u.username,
+           (SELECT COUNT(*) FROM forum_likes l WHERE l.post_id = p.id) AS like_count,
+           EXISTS (SELECT 1 FROM forum_likes l WHERE l.post_id = p.id AND l.user_id = ?) AS liked
+         FROM forum_posts p
+         LEFT JOIN users u ON CAST(u.id AS CHAR) = p.user_id
+         WHERE p.thread_id = ?
+         ORDER BY p.created_at, p.id`,
+        [viewer.userId, thread.id]
+      );
+      const posts = rows.map(row => toPost(row, viewer));
+
+      res.json({
+        success: true,
+        thread: { ...toThread(thread, viewer), replyCount: posts.filter(p => p.parentId !== null && !p.deleted && !p.hidden).length },
+        posts,
+        viewer: { loggedIn: viewer.userId !== null, isModerator: viewer.isModerator, ban: viewer.ban }
+      });
+    } catch (error) {
+      console.error('Error getting forum thread:', error);
+      res.status(500).json({ success: false, message: 'Error getting forum thread' });
+    }
+  });
+
+  // 回复主题或其中的某条帖子（parentId 为空时回复主题正文），已锁定的主题不能回复
+  router.post('/threads/:id/posts', writer, async (req, res) => {
+    const body = cleanText(req.body.body);
+    const errors = [];
+    validateBody(body, errors);
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, message: errors[0], errors });
+    }
+
+    try {
+      const thread = await findThread(pool, req.params.id, req.viewer);
+      if (!thread) {
+        return res.status(404).json({ success: false, message: 'Thread not found' });
+      }
+      if (thread.locked) {
+        return res.status(409).json({ success: false, message: 'This thread is locked' });
+      }
+
+      const [parents] = req.body.parentId
+        ? await pool.execute(
+          'SELECT id FROM forum_posts WHERE id = ? AND thread_id = ? AND deleted_at IS NULL',
+          [Number(req.body.parentId), thread.id]
+        )
+        : await pool.execute('SELECT id FROM forum_posts WHERE thread_id = ? AND parent_id IS NULL', [thread.id]);
+      if (parents.length === 0) {
+        return res.status(404).json({ success: false, message: 'The post you are replying to no longer exists' });
+      }
+
+      const [result] = await pool.execute(
+        'INSERT INTO forum_posts (thread_id, parent_id, user_id, body) VALUES (?, ?, ?, ?)',
+        [thread.id, parents[0].id, req.auth.userId, body]
+      );
+      await pool.execute('UPDATE forum_threads SET last_post_at = NOW() WHERE id = ?', [thread.id]);
+
+      res.status(201).json({ success: true, message: 'Reply posted', postId: result.insertId });
+    } catch (error) {
+      console.error('Error posting forum reply:', error);
+      res.status(500).json({ success: false, message: 'Error posting reply' });
+    }
+  });
+
+  // 作者修改自己的帖子，修改主题正文时可以同时修改标题；已锁定的主题不能修改
+  router.put('/posts/:id', writer, async (req, res) => {
+    const body = cleanText(req.body.body);
+    const title = req.body.title === undefined ? null : cleanText(req.body.title);
+    const errors = [];
+    validateBody(body, errors);
+    if (title !== null) {
+      validateTitle(title, errors);
+    }
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, message: errors[0], errors });
+    }
+
+    try {
+      const found = await findPost(pool, req.params.id, req.viewer);
+      if (!found) {
+        return res.status(404).json({ success: false, message: 'Post not found' });
+      }
+      const { post, thread } = found;
+      if (post.user_id !== req.auth.userId) {
+        return res.status(403).json({ success: false, message: 'You can only edit your own posts' });
+      }
+      if (thread.locked) {
+        return res.status(409).json({ success: false, message: 'This thread is locked' });
+      }
+
+      await pool.execute('UPDATE forum_posts SET body = ?, edited_at = NOW() WHERE id = ?', [body, post.id]);
+      if (title !== null && post.parent_id === null) {
+        await pool.execute('UPDATE forum_threads SET title = ? WHERE id = ?', [title, thread.id]);
+      }
+
+      res.json({ success: true, message: 'Post updated' });
+    } catch (error) {
+      console.error('Error updating forum post:', error);
+      res.status(500).json({ success: false, message: 'Error updating post' });
+    }
+  });
+
+  // 作者或版主删除帖子，删除主题正文即删除整个主题
+  router.delete('/posts/:id', requireUser, async (req, res) => {
+    try {
+      const found = await findPost(pool, req.params.id, req.viewer);
+      if (!found) {
+        return res.status(404).json({ success: false, message: 'Post not found' });
+      }
+      const { post, thread } = found;
+      if (post.user_id !== req.auth.userId && !req.viewer.isModerator) {
+        return res.status(403).json({ success: false, message: 'You can only delete your own posts' });
+      }
+
+      if (post.parent_id === null) {
+        await pool.execute('UPDATE forum_threads SET deleted_at = NOW() WHERE id = ?', [thread.id]);
+        return res.json({ success: true, message: 'Thread deleted', threadDeleted: true });
+      }
+
+      await pool.execute("UPDATE forum_posts SET body = '', deleted_at = NOW() WHERE id = ?", [post.id]);
+      await pool.execute('DELETE FROM forum_likes WHERE post_id = ?', [post.id]);
+      res.json({ success: true, message: 'Post deleted', threadDeleted: false });
+    } catch (error) {
+      console.error('Error deleting forum post:', error);
+      res.status(500).json({ success: false, message: 'Error deleting post' });
+    }
+  });
+
+  // 点赞，重复点赞不会重复计数
+  router.post('/posts/:id/like', writer, async (req, res) => {
+    try {
+      const found = await findPost(pool, req.params.id, req.viewer);
+      if (!found) {
+        return res.status(404).json({ success: false, message: 'Post not found' });
+      }
+
+      await pool.execute('INSERT IGNORE INTO forum_likes (post_id, user_id) VALUES (?, ?)', [found.post.id, req.auth.userId]);
+      res.json({ success: true, liked: true, likes: await countLikes(pool, found.post.id) });
+    } catch (error) {
+      console.error('Error liking forum post:', error);
+      res.status(500).json({ success: false, message: 'Error liking post' });
+    }
+  });
+
+  // 取消点赞
+  router.delete('/posts/:id/like', requireUser, async (req, res) => {
+    try {
+      await pool.execute('DELETE FROM forum_likes WHERE post_id = ? AND user_id = ?', [req.params.id, req.auth.userId]);
+      res.json({ success: true, liked: false, likes: await countLikes(pool, req.params.id) });
+    } catch (error) {
+      console.error('Error unliking forum post:', error);
+      res.status(500).json({ success: false, message: 'Error unliking post' });
+    }
+  });
+
+  return router;
+}
+
+// 审核备注：可选，最多255个字符
+function readModerationNote(body, errors) {
+  const note = cleanText(body.moderationNote);
+  if (note.length > 255) {
+    errors.push('Moderation note must be at most 255 characters');
+  }
+  return note || null;
+}
+
+// 版主论坛API - 隐藏/锁定主题、隐藏帖子、禁言用户
+function createAdminForumRouter(pool) {
+  const router = express.Router();
+
+  // 修改主题的隐藏和锁定状态，只修改请求中提供的字段
+  router.put('/threads/:id', async (req, res) => {
+    const errors = [];
+    const note = readModerationNote(req.body, errors);
+    const updates = [];
+    const params = [];
+    ['hidden', 'locked'].forEach(field => {
+      if (req.body[field] !== undefined) {
+        if (typeof req.body[field] !== 'boolean') {
+          errors.push(`${field} must be true or false`);
+        }
+        updates.push(`${field} = ?`);
+        params.push(req.body[field] ? 1 : 0);
+      }
+    });
+    if (updates.length === 0) {
+      errors.push('Nothing to update');
+    }
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, message: errors[0], errors });
+    }
+
+    try {
+      const [result] = await pool.execute(
+        `UPDATE forum_threads SET ${updates.join(', ')}, moderation_note = ? WHERE id = ? AND deleted_at IS NULL`,
+        [...params, note, req.params.id]
+      );
+      if (result.affectedRows === 0) {
+        return res.status(404).json({ success: false, message: 'Thread not found' });
+      }
+      res.json({ success: true, message: 'Thread updated' });
+    } catch (error) {
+      console.error('Error moderating forum thread:', error);
+      res.status(500).json({ success: false, message: 'Error moderating thread' });
+    }
+  });
+
+  // 隐藏或恢复帖子
+  router.put('/posts/:id', async (req, res) => {
+    const errors = [];
+    const note = readModerationNote(req.body, errors);
+    if (typeof req.body.hidden !== 'boolean') {
+      errors.push('hidden must be true or false');
+    }
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, message: errors[0], errors });
+    }
+
+    try {
+      const [result] = await pool.execute(
+        'UPDATE forum_posts SET hidden = ?, moderation_note = ? WHERE id = ? AND deleted_at IS NULL',
+        [req.body.hidden ? 1 : 0, note, req.params.id]
+      );
+      if (result.affectedRows === 0) {
+        return res.status(404).json({ success: false, message: 'Post not found' });
+      }
+      res.json({ success: true, message: req.body.hidden ? 'Post hidden' : 'Post restored' });
+    } catch (error) {
+      console.error('Error moderating forum post:', error);
+      res.status(500).json({ success: false, message: 'Error moderating post' });
+    }
+  });
+
+  // 当前有效的禁言列表
+  router.get('/bans', async (req, res) => {
+    try {
+      const [rows] = await pool.query(
+        `SELECT b.*, u.username
+         FROM forum_bans b
+         LEFT JOIN users u ON CAST(u.id AS CHAR) = b.user_id
+         WHERE b.expires_at IS NULL OR b.expires_at > NOW()
+         ORDER BY b.created_at DESC`
+      );
+      res.json({
+        success: true,
+        bans: rows.map(row => ({
+          userId: row.user_id,
+          username: row.username,
+          reason: row.reason,
+          bannedBy: row.banned_by,
+          expiresAt: row.expires_at,
+          createdAt: row.created_at
+        }))
+      });
+    } catch (error) {
+      console.error('Error getting forum bans:', error);
+      res.status(500).json({ success: false, message: 'Error getting forum bans' });
+    }
+  });
+
+  // 禁言用户：days 为空时永久禁言，重复禁言会覆盖之前的记录
+  router.post('/bans', async (req, res) => {
+    const userId = String(req.body.userId || '');
+    const reason = cleanText(req.body.reason);
+    const days = req.body.days === undefined || req.body.days === null || req.body.days === '' ? null : Number(req.body.days);
+    const errors = [];
+    if (!/^\d+$/.test(userId)) {
+      errors.push('A registered user is required');
+    }
+    if (reason.length > 255) {
+      errors.push('Reason must be at most 255 characters');
+    }
+    if (days !== null && (!Number.isInteger(days) || days < 1)) {
+      errors.push('Days must be a positive whole number');
+    }
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, message: errors[0], errors });
+    }
+
+    try {
+      const role = await getUserRole(pool, userId);
+      if (role === null) {
+        return res.status(404).json({ success: false, message: 'User not found' });
+      }
+      if (isStaffRole(role)) {
+        return res.status(400).json({ success: false, message: 'Staff and admin accounts cannot be banned' });
+      }
+
+      const expiresAt = days === null ? null : new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+      await pool.execute(
+        `INSERT INTO forum_bans (user_id, reason, banned_by, expires_at) VALUES (?, ?, ?, ?)
+         ON DUPLICATE KEY UPDATE reason = VALUES(reason), banned_by = VALUES(banned_by),
+           expires_at = VALUES(expires_at), created_at = CURRENT_TIMESTAMP`,
+        [userId, reason, req.auth.userId, expiresAt]
+      );
+      res.status(201).json({ success: true, message: days === null ? 'User banned' : `User banned for ${days} day(s)` });
+    } catch (error) {
+      console.error('Error banning forum user:', error);
+      res.status(500).json({ success: false, message: 'Error banning user' });
+    }
+  });
+
+  // 解除禁言
+  router.delete('/bans/:userId', async (req, res) => {
+    try {
+      const [result] = await pool.execute('DELETE FROM forum_bans WHERE user_id = ?', [req.params.userId]);
+      if (result.affectedRows === 0) {
+        return res.status(404).json({ success: false, message: 'Ban not found' });
+      }
+      res.json({ success: true, message: 'Ban lifted' });
+    } catch (error) {
+      console.error('Error lifting forum ban:', error);
+      res.status(500).json({ success: false, message: 'Error lifting ban' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = {
+  createForumTables,
+  createForumRouter,
+  createAdminForumRouter
+};
@@ -0,0 +1,146 @@
+// 库存 - 可售库存查询、加购校验以及结账时的原子扣减
+// 库存按可售单位记录：没有规格的商品以商品ID为键，商品规格以 "商品ID:规格ID" 为键（见 itemKey）
+const express = require('express');
+
+// 库存不足时返回给前端的错误码
+const INSUFFICIENT_STOCK = 'INSUFFICIENT_STOCK';
+
+// 可售单位的键，同时用作库存表的 product_id 和购物车接口中的购物车行标识
+function itemKey(productId, variantId = null) {
+  return variantId ? `${productId}:${variantId}` : String(productId);
+}
+
+// 解析 itemKey，返回 { productId, variantId }（没有规格时 variantId 为null），格式无效时返回null
+function parseItemKey(key) {
+  const match = /^(\d+)(?::(\d+))?$/.exec(String(key));
+  if (!match) {
+    return null;
+  }
+  return { productId: match[1], variantId: match[2] ? Number(match[2]) : null };
+}
+
+// 创建库存表（如果不存在），初始库存由商品表首次导入时写入
+async function createInventoryTable(pool) {
+  const query = `
+    CREATE TABLE IF NOT EXISTS inventory (
+      product_id VARCHAR(50) PRIMARY KEY,
+      quantity INT NOT NULL DEFAULT 0,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+    );
+  `;
+
+  try {
+    await pool.execute(query);
+    console.log('Inventory table created or already exists');
+  } catch (error) {
+    console.error('Error creating inventory table:', error);
+  }
+}
+
+// 批量查询库存，返回以 itemKey 为键的Map（没有库存记录的视为0）
+async function getStockLevels(db, itemKeys) {
+  const ids = [...new Set(itemKeys.map(String))];
+  const stock = new Map(ids.map(id => [id, 0]));
+
+  if (ids.length === 0) {
+    return stock;
+  }
+
+  const [rows] = await db.query('SELECT product_id, quantity FROM inventory WHERE product_id IN (?)', [ids]);
+  rows.forEach(row => {
+    stock.set(row.product_id, row.quantity);
+  });
+
+  return stock;
+}
+
+// 校验购物车中某商品（或规格）的目标数量是否超过库存
+// 返回 { ok, stock }
+async function checkStock(db, key, quantity) {
+  const stock = (await getStockLevels(db, [key])).get(String(key));
+  return { ok: quantity <= stock, stock };
+}
+
+// 库存不足时的统一响应体
+function insufficientStockResponse(productName, stock, extra = {}) {
+  return {
+    success: false,
+    code: INSUFFICIENT_STOCK,
+    message: stock > 0
+      ? `Only ${stock} of ${productName} left in stock`
+      : `${productName} is out of stock`,
+    available: stock,
+    ...extra
+  };
+}
+
+// 在事务中按订单行扣减库存，任一商品库存不足时返回不足的商品列表（调用方负责回滚）
+// lines: [{ productId, variantId, name, variantName, quantity }]
+async function decrementStock(connection, lines) {
+  const shortages = [];
+  const keyOf = line => itemKey(line.productId, line.variantId);
+
+  // 按库存键排序加锁，避免并发结账时死锁
+  const sorted = [...lines].sort((a, b) => keyOf(a).localeCompare(keyOf(b)));
+
+  for (const line of sorted) {
+    const [result] = await connection.execute(
+      'UPDATE inventory SET quantity = quantity - ? WHERE product_id = ? AND quantity >= ?',
+      [line.quantity, keyOf(line), line.quantity]
+    );
+    if (result.affectedRows === 0) {
+      shortages.push(line);
+    }
+  }
+
+  if (shortages.length === 0) {
+    return { success: true, shortages };
+  }
+
+  const stock = await getStockLevels(connection, shortages.map(keyOf));
+  return {
+    success: false,
+    shortages: shortages.map(line => ({
+      productId: line.productId,
+      variantId: line.variantId || null,
+      name: line.name,
+      variantName: line.variantName || null,
+      requested: line.quantity,
+      available: stock.get(keyOf(line))
+    }))
+  };
+}
+
+// 公开的库存查询API：GET /api/stock?ids=1,2,3:4（商品规格使用 "商品ID:规格ID"）
+function createStockRouter(pool) {
+  const router = express.Router();
+
+  router.get('/', async (req, res) => {
+    try {
+      const ids = String(req.query.ids || '').split(',').map(id => id.trim()).filter(Boolean);
+      if (ids.length === 0 || ids.length > 100) {
+        return res.status(400).json({ success: false, message: 'Provide between 1 and 100 product or variant ids' });
+      }
+
+      const stock = await getStockLevels(pool, ids);
+      res.json({ success: true, stock: Object.fromEntries(stock) });
+    } catch (error) {
+      console.error('Error getting stock levels:', error);
+      res.status(500).json({ success: false, message: 'Error getting stock levels' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = {
+  INSUFFICIENT_STOCK,
+  itemKey,
+  parseItemKey,
+  createInventoryTable,
+  getStockLevels,
+  checkStock,
+  insufficientStockResponse,
+  decrementStock,
+  createStockRouter
+};
@@ -0,0 +1,249 @@
+// 本地模拟支付网关 - 实现 payments.js 中的支付服务商接口，用于离线开发和测试
+// 模拟真实网关的流程：浏览器把卡信息提交给网关换取一次性令牌，服务器只用令牌授权
+// 网关状态只保存在内存中（不保存完整卡号和CVV），服务重启后未完成的授权会丢失
+const express = require('express');
+const crypto = require('crypto');
+
+// 测试卡号：其他通过Luhn校验的卡号都视为授权成功
+const TEST_CARDS = {
+  '4242424242424242': { scenario: 'success' },
+  '5555555555554444': { scenario: 'success' },
+  '4000000000000002': { scenario: 'decline', reason: 'Your card was declined' },
+  '4000000000009995': { scenario: 'decline', reason: 'Your card has insufficient funds' },
+  '4000000000003220': { scenario: 'three_d_secure' }
+};
+
+// 卡令牌有效期（15分钟），只能使用一次
+const TOKEN_TTL_MS = 15 * 60 * 1000;
+
+// 回调签名允许的时间偏差（5分钟），防止重放
+const WEBHOOK_TOLERANCE_MS = 5 * 60 * 1000;
+
+// 回调签名密钥和回调地址，未配置时使用随机密钥和本机的回调接口
+const WEBHOOK_SECRET = process.env.MOCK_GATEWAY_WEBHOOK_SECRET || crypto.randomBytes(32).toString('hex');
+const WEBHOOK_URL = process.env.MOCK_GATEWAY_WEBHOOK_URL ||
+  `http://localhost:${process.env.PORT || 3000}/api/payments/webhooks/mock`;
+
+// token => { brand, last4, scenario, reason, expiresAt }
+const tokens = new Map();
+// reference => { amount, status }
+const charges = new Map();
+
+function randomId(prefix) {
+  return `${prefix}_${crypto.randomBytes(12).toString('hex')}`;
+}
+
+// Luhn校验
+function passesLuhn(number) {
+  let sum = 0;
+  for (let i = 0; i < number.length; i++) {
+    let digit = Number(number[number.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+}
+
+function cardBrand(number) {
+  if (number.startsWith('4')) return 'visa';
+  if (/^5[1-5]/.test(number)) return 'mastercard';
+  if (/^3[47]/.test(number)) return 'amex';
+  return 'card';
+}
+
+// 校验卡号、有效期（MM/YY）和CVV，返回错误信息或null
+function validateCard({ number, expiry, cvc }) {
+  if (!/^\d{12,19}$/.test(number) || !passesLuhn(number)) {
+    return 'Your card number is invalid';
+  }
+
+  const match = /^(\d{2})\s*\/\s*(\d{2})$/.exec(expiry);
+  const month = match ? Number(match[1]) : 0;
+  if (month < 1 || month > 12) {
+    return 'Expiry date must be in MM/YY format';
+  }
+  // 有效期到当月最后一天为止
+  if (new Date(2000 + Number(match[2]), month, 1) <= new Date()) {
+    return 'Your card has expired';
+  }
+
+  if (!/^\d{3,4}$/.test(cvc)) {
+    return 'Your card security code is invalid';
+  }
+
+  return null;
+}
+
+function sign(timestamp, body) {
+  return crypto.createHmac('sha256', WEBHOOK_SECRET).update(`${timestamp}.${body}`).digest('hex');
+}
+
+// 向商户服务器发送签名的回调事件
+async function sendWebhook(event) {
+  const body = JSON.stringify(event);
+  const timestamp = Date.now();
+
+  try {
+    const response = await fetch(WEBHOOK_URL, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'X-Mock-Signature': `t=${timestamp},v1=${sign(timestamp, body)}`
+      },
+      body
+    });
+    if (!response.ok) {
+      console.error(`Mock gateway webhook ${event.type} was rejected with status ${response.status}`);
+    }
+  } catch (error) {
+    console.error('Error delivering mock gateway webhook:', error);
+  }
+}
+
+function findCharge(reference) {
+  const charge = charges.get(reference);
+  if (!charge) {
+    throw new Error(`Unknown mock gateway charge: ${reference}`);
+  }
+  return charge;
+}
+
+// 支付服务商接口实现
+const mockGateway = {
+  async authorize({ amount, source }) {
+    // PayPal 在模拟网关中总是授权成功
+    if (source.type === 'paypal') {
+      const reference = randomId('ch');
+      charges.set(reference, { amount, status: 'authorized' });
+      return { status: 'authorized', reference, card: null };
+    }
+
+    const card = tokens.get(source.token);
+    tokens.delete(source.token);
+    if (!card || card.expiresAt < Date.now()) {
+      return { status: 'declined', failureReason: 'Your card details have expired, please enter them again' };
+    }
+    if (card.scenario === 'decline') {
+      return { status: 'declined', failureReason: card.reason };
+    }
+
+    const reference = randomId('ch');
+    const summary = { brand: card.brand, last4: card.last4 };
+
+    if (card.scenario === 'three_d_secure') {
+      charges.set(reference, { amount, status: 'requires_action' });
+      return {
+        status: 'requires_action',
+        reference,
+        card: summary,
+        nextAction: { type: 'three_d_secure', url: `/api/payments/mock/challenges/${reference}` }
+      };
+    }
+
+    charges.set(reference, { amount, status: 'authorized' });
+    return { status: 'authorized', reference, card: summary };
+  },
+
+  async capture(reference) {
+    const charge = findCharge(reference);
+    if (charge.status === 'captured') {
+      return { status: 'captured' };
+    }
+    if (charge.status !== 'authorized') {
+      throw new Error(`Cannot capture a ${charge.status} charge`);
+    }
+    charge.status = 'captured';
+    return { status: 'captured' };
+  },
+
+  async refund(reference) {
+    const charge = findCharge(reference);
+    if (charge.status === 'refunded' || charge.status === 'voided') {
+      return { status: charge.status };
+    }
+    charge.status = charge.status === 'captured' ? 'refunded' : 'voided';
+    return { status: charge.status };
+  },
+
+  // 校验 X-Mock-Signature: t=<时间戳>,v1=<HMAC>，签名无效或过期时返回null
+  parseWebhook(rawBody, headers) {
+    const header = String(headers['x-mock-signature'] || '');
+    const parts = Object.fromEntries(header.split(',').map(part => part.split('=')));
+    const timestamp = Number(parts.t);
+    if (!rawBody || !parts.v1 || !(Math.abs(Date.now() - timestamp) < WEBHOOK_TOLERANCE_MS)) {
+      return null;
+    }
+
+    const expected = Buffer.from(sign(timestamp, rawBody.toString('utf8')));
+    const actual = Buffer.from(parts.v1);
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+      return null;
+    }
+
+    try {
+      const event = JSON.parse(rawBody.toString('utf8'));
+      return { type: event.type, reference: event.reference, reason: event.reason };
+    } catch (error) {
+      return null;
+    }
+  }
+};
+
+// 模拟网关自身的接口（真实网关中由网关域名提供）：卡令牌和 3-D Secure 验证
+function createMockGatewayRouter() {
+  const router = express.Router();
+
+  // 用卡信息换取一次性令牌，卡信息不会写入日志或数据库
+  router.post('/tokens', (req, res) => {
+    const card = {
+      number: String(req.body.number || '').replace(/[\s-]/g, ''),
+      expiry: String(req.body.expiry || '').trim(),
+      cvc: String(req.body.cvc || '').trim()
+    };
+
+    const error = validateCard(card);
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+
+    const token = randomId('tok');
+    const testCard = TEST_CARDS[card.number] || { scenario: 'success' };
+    tokens.set(token, {
+      brand: cardBrand(card.number),
+      last4: card.number.slice(-4),
+      scenario: testCard.scenario,
+      reason: testCard.reason,
+      expiresAt: Date.now() + TOKEN_TTL_MS
+    });
+
+    res.status(201).json({ success: true, token, brand: cardBrand(card.number), last4: card.number.slice(-4) });
+  });
+
+  // 完成 3-D Secure 验证，并通过回调通知商户服务器结果
+  router.post('/challenges/:reference', async (req, res) => {
+    const charge = charges.get(req.params.reference);
+    if (!charge || charge.status !== 'requires_action') {
+      return res.status(404).json({ success: false, message: 'No pending 3-D Secure challenge' });
+    }
+
+    const approved = req.body.approve === true;
+    charge.status = approved ? 'authorized' : 'failed';
+
+    await sendWebhook(approved
+      ? { type: 'payment.authorized', reference: req.params.reference }
+      : { type: 'payment.failed', reference: req.params.reference, reason: '3-D Secure authentication failed' });
+
+    res.json({ success: true, status: charge.status });
+  });
+
+  return router;
+}
+
+module.exports = {
+  TEST_CARDS,
+  mockGateway,
+  createMockGatewayRouter
+};
@@ -0,0 +1,70 @@
+// 通知 - 店铺运营提醒（例如低库存）通过可替换的发送方式（transport）发出
+// transport 为 { send(notification) }，由 NOTIFICATION_TRANSPORT 环境变量选择，默认 console 写入服务器日志
+// file 把每条通知作为一行JSON追加到 NOTIFICATION_FILE（默认为系统临时目录下的 notifications.log，不写入项目目录），便于本地开发和测试时检查；邮件等方式通过 registerNotificationTransport 注册
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const transports = {};
+
+function registerNotificationTransport(name, transport) {
+  transports[name] = transport;
+}
+
+function getNotificationTransport(name = process.env.NOTIFICATION_TRANSPORT || 'console') {
+  const transport = transports[name];
+  if (!transport) {
+    throw new Error(`Notification transport "${name}" is not registered`);
+  }
+  return transport;
+}
+
+// 写入服务器日志
+const consoleTransport = {
+  async send(notification) {
+    console.log(`[notification] ${notification.subject}\n${notification.text}`);
+  }
+};
+
+// 追加写入本地文件，每行一条JSON
+function createFileTransport(file) {
+  return {
+    async send(notification) {
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      await fs.promises.appendFile(file, `${JSON.stringify(notification)}\n`);
+    }
+  };
+}
+
+registerNotificationTransport('console', consoleTransport);
+registerNotificationTransport('file', createFileTransport(
+  process.env.NOTIFICATION_FILE || path.join(os.tmpdir(), 'notifications.log')
+));
+
+// 发送一条通知，收件人为 NOTIFICATION_TO（逗号分隔，邮件类 transport 使用）
+// 通知失败只记录日志，不影响调用方的业务流程
+async function sendNotification({ type, subject, text, data = {} }) {
+  const notification = {
+    type,
+    to: String(process.env.NOTIFICATION_TO || '').split(',').map(address => address.trim()).filter(Boolean),
+    subject,
+    text,
+    data,
+    createdAt: new Date().toISOString()
+  };
+
+  try {
+    await getNotificationTransport().send(notification);
+    return true;
+  } catch (error) {
+    console.error(`Error sending ${type} notification:`, error);
+    return false;
+  }
+}
+
+module.exports = {
+  registerNotificationTransport,
+  getNotificationTransport,
+  createFileTransport,
+  sendNotification
+};
@@ -0,0 +1,121 @@
+// 订单状态流转 - 状态定义、合法的状态转换以及带时间戳的转换记录
+const { returnOrderStock } = require('./stock-ledger');
+
+// 全部订单状态（按正常履约顺序排列）
+const ORDER_STATUSES = ['pending', 'paid', 'packed', 'shipped', 'delivered', 'cancelled', 'refunded'];
+
+// 已付款且未取消或退款的订单状态：这些订单计入销售额，其中的商品算作"已购买"
+const PAID_ORDER_STATUSES = ['paid', 'packed', 'shipped', 'delivered'];
+
+// 每个状态允许转换到的下一个状态，cancelled 和 refunded 为终态
+const ORDER_TRANSITIONS = {
+  pending: ['paid', 'cancelled'],
+  paid: ['packed', 'cancelled', 'refunded'],
+  packed: ['shipped', 'cancelled'],
+  shipped: ['delivered'],
+  delivered: ['refunded'],
+  cancelled: [],
+  refunded: []
+};
+
+// 尚未发货的订单状态：在这些状态下取消或退款时商品退回库存，已发货订单的退货由管理员入库登记
+const UNSHIPPED_STATUSES = ['pending', 'paid', 'packed'];
+
+// 创建订单状态转换记录表（如果不存在）
+async function createOrderStatusTable(pool) {
+  const query = `
+    CREATE TABLE IF NOT EXISTS order_status_history (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      order_id INT NOT NULL,
+      from_status VARCHAR(20) DEFAULT NULL,
+      to_status VARCHAR(20) NOT NULL,
+      reason VARCHAR(255) DEFAULT '',
+      changed_by VARCHAR(50) NOT NULL,
+      created_at TIMESTAMP(3) DEFAULT CURRENT_TIMESTAMP(3),
+      KEY status_history_order (order_id)
+    );
+  `;
+
+  try {
+    await pool.execute(query);
+    console.log('Order status history table created or already exists');
+  } catch (error) {
+    console.error('Error creating order status history table:', error);
+  }
+}
+
+// 判断状态转换是否合法
+function canTransition(fromStatus, toStatus) {
+  return (ORDER_TRANSITIONS[fromStatus] || []).includes(toStatus);
+}
+
+// 写入一条状态转换记录（新订单的 fromStatus 为null）
+async function recordTransition(connection, orderId, fromStatus, toStatus, { reason = '', changedBy = 'system' } = {}) {
+  await connection.execute(
+    'INSERT INTO order_status_history (order_id, from_status, to_status, reason, changed_by) VALUES (?, ?, ?, ?, ?)',
+    [orderId, fromStatus, toStatus, String(reason).slice(0, 255), String(changedBy)]
+  );
+}
+
+// 在事务中转换订单状态，非法转换返回 409
+// 返回 { success, status, message, fromStatus, toStatus }
+async function transitionOrder(connection, orderId, toStatus, { reason = '', changedBy = 'system' } = {}) {
+  if (!ORDER_STATUSES.includes(toStatus)) {
+    return { success: false, status: 400, message: `Unknown order status: ${toStatus}` };
+  }
+
+  const [rows] = await connection.execute('SELECT id, status FROM orders WHERE id = ? FOR UPDATE', [orderId]);
+  const order = rows[0];
+  if (!order) {
+    return { success: false, status: 404, message: 'Order not found' };
+  }
+
+  if (!canTransition(order.status, toStatus)) {
+    return {
+      success: false,
+      status: 409,
+      message: `Cannot change order status from ${order.status} to ${toStatus}`
+    };
+  }
+
+  await connection.execute('UPDATE orders SET status = ? WHERE id = ?', [toStatus, orderId]);
+  await recordTransition(connection, orderId, order.status, toStatus, { reason, changedBy });
+
+  if ((toStatus === 'cancelled' || toStatus === 'refunded') && UNSHIPPED_STATUSES.includes(order.status)) {
+    await returnOrderStock(connection, orderId, changedBy);
+  }
+
+  return {
+    success: true,
+    status: 200,
+    message: `Order status changed to ${toStatus}`,
+    fromStatus: order.status,
+    toStatus
+  };
+}
+
+// 查询订单的状态转换记录（按时间先后）
+async function getOrderHistory(db, orderId) {
+  const [rows] = await db.execute(
+    'SELECT from_status, to_status, reason, changed_by, created_at FROM order_status_history WHERE order_id = ? ORDER BY created_at, id',
+    [orderId]
+  );
+  return rows.map(row => ({
+    fromStatus: row.from_status,
+    toStatus: row.to_status,
+    reason: row.reason,
+    changedBy: row.changed_by,
+    changedAt: row.created_at
+  }));
+}
+
+module.exports = {
+  ORDER_STATUSES,
+  PAID_ORDER_STATUSES,
+  ORDER_TRANSITIONS,
+  createOrderStatusTable,
+  canTransition,
+  recordTransition,
+  transitionOrder,
+  getOrderHistory
+};
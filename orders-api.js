@@ -0,0 +1,735 @@
+// 订单后端API - 根据服务器端购物车下单
+const express = require('express');
+const crypto = require('crypto');
+const { roundMoney, getPricedCart } = require('./cart-pricing');
+const { recordRedemption } = require('./coupons');
+const { addMissingColumns } = require('./schema');
+const { publishCartChange } = require('./cart-events');
+const { INSUFFICIENT_STOCK, decrementStock } = require('./inventory');
+const { notifyLowStock } = require('./stock-alerts');
+const { recordSale } = require('./stock-ledger');
+const {
+  ORDER_STATUSES,
+  ORDER_TRANSITIONS,
+  createOrderStatusTable,
+  recordTransition,
+  transitionOrder,
+  getOrderHistory
+} = require('./order-status');
+const {
+  ONLINE_PAYMENT_METHODS,
+  PAYMENT_DECLINED,
+  PAYMENT_CAPTURE_FAILED,
+  createPaymentTable,
+  getOrderPayment,
+  authorizeOrderPayment,
+  voidAuthorization,
+  captureOrderPayment,
+  refundOrderPayment
+} = require('./payments');
+
+// 支持的支付方式（与 cart.html 结账表单中的选项一致）
+const PAYMENT_METHODS = ['credit-card', 'paypal', 'cash-on-delivery'];
+
+// 创建订单表和订单项表（如果不存在）
+async function createOrderTables(pool) {
+  const ordersQuery = `
+    CREATE TABLE IF NOT EXISTS orders (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      user_id VARCHAR(50) NOT NULL,
+      status VARCHAR(20) NOT NULL DEFAULT 'pending',
+      subtotal_amount DECIMAL(10, 2) DEFAULT NULL,
+      discount_amount DECIMAL(10, 2) NOT NULL DEFAULT 0,
+      coupon_code VARCHAR(50) DEFAULT NULL,
+      shipping_amount DECIMAL(10, 2) NOT NULL DEFAULT 0,
+      tax_amount DECIMAL(10, 2) NOT NULL DEFAULT 0,
+      total_amount DECIMAL(10, 2) NOT NULL,
+      full_name VARCHAR(255) NOT NULL,
+      email VARCHAR(255) NOT NULL,
+      phone VARCHAR(50) NOT NULL,
+      shipping_address TEXT NOT NULL,
+      shipping_city VARCHAR(100) NOT NULL,
+      shipping_region VARCHAR(100) NOT NULL DEFAULT '',
+      shipping_postal_code VARCHAR(20) NOT NULL,
+      shipping_country VARCHAR(100) NOT NULL,
+      payment_method VARCHAR(30) NOT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      KEY order_user (user_id)
+    );
+  `;
+  const orderItemsQuery = `
+    CREATE TABLE IF NOT EXISTS order_items (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      order_id INT NOT NULL,
+      product_id VARCHAR(50) NOT NULL,
+      variant_id INT DEFAULT NULL,
+      product_name VARCHAR(255) NOT NULL,
+      variant_name VARCHAR(100) DEFAULT NULL,
+      sku VARCHAR(64) DEFAULT NULL,
+      quantity INT NOT NULL,
+      unit_price DECIMAL(10, 2) NOT NULL,
+      total_price DECIMAL(10, 2) NOT NULL,
+      KEY order_item_order (order_id)
+    );
+  `;
+  // 下单请求的幂等键：同一用户重复提交同一个键时返回第一次下单的结果
+  const idempotencyQuery = `
+    CREATE TABLE IF NOT EXISTS order_idempotency_keys (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      user_id VARCHAR(50) NOT NULL,
+      idempotency_key VARCHAR(100) NOT NULL,
+      request_hash CHAR(64) DEFAULT NULL,
+      order_id INT DEFAULT NULL,
+      status_code SMALLINT DEFAULT NULL,
+      response JSON DEFAULT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE KEY user_idempotency_key (user_id, idempotency_key)
+    );
+  `;
+
+  try {
+    await pool.execute(ordersQuery);
+    await pool.execute(orderItemsQuery);
+    await pool.execute(idempotencyQuery);
+    await addMissingColumns(pool, 'order_idempotency_keys', {
+      request_hash: 'CHAR(64) DEFAULT NULL AFTER idempotency_key',
+      status_code: 'SMALLINT DEFAULT NULL AFTER order_id'
+    });
+    await addMissingColumns(pool, 'orders', {
+      subtotal_amount: 'DECIMAL(10, 2) DEFAULT NULL AFTER status',
+      discount_amount: 'DECIMAL(10, 2) NOT NULL DEFAULT 0 AFTER subtotal_amount',
+      coupon_code: 'VARCHAR(50) DEFAULT NULL AFTER discount_amount',
+      shipping_amount: 'DECIMAL(10, 2) NOT NULL DEFAULT 0 AFTER coupon_code',
+      tax_amount: 'DECIMAL(10, 2) NOT NULL DEFAULT 0 AFTER shipping_amount',
+      shipping_region: 'VARCHAR(100) NOT NULL DEFAULT \'\' AFTER shipping_city'
+    });
+    await addMissingColumns(pool, 'order_items', {
+      variant_id: 'INT DEFAULT NULL AFTER product_id',
+      variant_name: 'VARCHAR(100) DEFAULT NULL AFTER product_name',
+      sku: 'VARCHAR(64) DEFAULT NULL AFTER variant_name'
+    });
+    console.log('Order tables created or already exist');
+  } catch (error) {
+    console.error('Error creating order tables:', error);
+  }
+
+  await createOrderStatusTable(pool);
+  await createPaymentTable(pool);
+}
+
+// 校验结账表单中的顾客信息和收货地址，返回错误信息或null
+function validateCheckout(body) {
+  const { customerInfo = {}, shippingAddress = {}, paymentMethod } = body;
+  const required = {
+    'Full name': customerInfo.fullName,
+    Email: customerInfo.email,
+    Phone: customerInfo.phone,
+    Address: shippingAddress.address,
+    City: shippingAddress.city,
+    'Postal code': shippingAddress.postalCode,
+    Country: shippingAddress.country
+  };
+
+  for (const [label, value] of Object.entries(required)) {
+    if (typeof value !== 'string' || value.trim() === '') {
+      return `${label} is required`;
+    }
+  }
+
+  // 州/省是可选项，用于匹配地区税率
+  if (shippingAddress.region !== undefined && typeof shippingAddress.region !== 'string') {
+    return 'Region must be text';
+  }
+
+  if (!PAYMENT_METHODS.includes(paymentMethod)) {
+    return 'Invalid payment method';
+  }
+
+  // 信用卡只接受支付网关签发的令牌，卡号等信息不能提交到订单接口
+  if (paymentMethod === 'credit-card' && (typeof body.paymentToken !== 'string' || body.paymentToken === '')) {
+    return 'Card details are required';
+  }
+
+  return null;
+}
+
+// 订单行的显示名称，规格行附带规格名称
+function lineName(name, variantName) {
+  return variantName ? `${name} (${variantName})` : name;
+}
+
+// 幂等键格式：由 cart.html 生成的 UUID 或其他不超过100位的字母、数字、连字符和下划线
+const IDEMPOTENCY_KEY_PATTERN = /^[A-Za-z0-9_-]{1,100}$/;
+
+// 下单请求的摘要，同一个幂等键只能用于内容相同的请求
+// 银行卡令牌每次提交都会重新获取，不计入摘要
+function orderRequestHash({ customerInfo, shippingAddress, paymentMethod }) {
+  const fields = [
+    customerInfo.fullName,
+    customerInfo.email,
+    customerInfo.phone,
+    shippingAddress.address,
+    shippingAddress.city,
+    shippingAddress.region || '',
+    shippingAddress.postalCode,
+    shippingAddress.country,
+    paymentMethod
+  ].map(value => String(value).trim());
+  return crypto.createHash('sha256').update(JSON.stringify(fields)).digest('hex');
+}
+
+// 订单列表每页数量上限
+const MAX_PAGE_SIZE = 50;
+
+// 订单详情中展示的支付信息，不包含服务商引用号
+function toPaymentSummary(payment) {
+  if (!payment) {
+    return null;
+  }
+  return {
+    status: payment.status,
+    method: payment.method,
+    amount: payment.amount,
+    cardBrand: payment.cardBrand,
+    cardLast4: payment.cardLast4,
+    failureReason: payment.failureReason
+  };
+}
+
+// 查询订单详情，订单不存在时返回null
+async function getOrderDetail(db, orderId) {
+  const [orders] = await db.execute('SELECT * FROM orders WHERE id = ?', [orderId]);
+  const order = orders[0];
+
+  if (!order) {
+    return null;
+  }
+
+  const [items] = await db.execute(
+    'SELECT * FROM order_items WHERE order_id = ? ORDER BY id',
+    [order.id]
+  );
+  const lines = items.map(item => ({
+    productId: item.product_id,
+    variantId: item.variant_id,
+    name: item.product_name,
+    variantName: item.variant_name,
+    sku: item.sku,
+    quantity: item.quantity,
+    unitPrice: parseFloat(item.unit_price),
+    totalPrice: parseFloat(item.total_price)
+  }));
+
+  return {
+    id: order.id,
+    userId: order.user_id,
+    status: order.status,
+    createdAt: order.created_at,
+    updatedAt: order.updated_at,
+    paymentMethod: order.payment_method,
+    customer: {
+      fullName: order.full_name,
+      email: order.email,
+      phone: order.phone
+    },
+    shippingAddress: {
+      address: order.shipping_address,
+      city: order.shipping_city,
+      region: order.shipping_region,
+      postalCode: order.shipping_postal_code,
+      country: order.shipping_country
+    },
+    items: lines,
+    totals: {
+      subtotal: order.subtotal_amount === null
+        ? roundMoney(lines.reduce((total, line) => total + line.totalPrice, 0))
+        : parseFloat(order.subtotal_amount),
+      discount: parseFloat(order.discount_amount),
+      couponCode: order.coupon_code,
+      shipping: parseFloat(order.shipping_amount),
+      tax: parseFloat(order.tax_amount),
+      total: parseFloat(order.total_amount)
+    },
+    payment: toPaymentSummary(await getOrderPayment(db, order.id)),
+    history: await getOrderHistory(db, order.id)
+  };
+}
+
+function createOrdersRouter(pool) {
+  const router = express.Router();
+
+  // 下单：根据当前用户的服务器端购物车生成订单，价格取自商品目录
+  router.post('/', async (req, res) => {
+    const validationError = validateCheckout(req.body);
+    if (validationError) {
+      return res.status(400).json({ success: false, message: validationError });
+    }
+
+    const idempotencyKey = req.get('Idempotency-Key');
+    if (idempotencyKey !== undefined && !IDEMPOTENCY_KEY_PATTERN.test(idempotencyKey)) {
+      return res.status(400).json({ success: false, message: 'Invalid Idempotency-Key header' });
+    }
+
+    const { customerInfo, shippingAddress, paymentMethod, paymentToken } = req.body;
+    const userId = req.auth.userId;
+    let connection;
+    let payment = null;
+    let committed = false;
+
+    try {
+      connection = await pool.getConnection();
+      await connection.beginTransaction();
+
+      // 先占用幂等键：并发的重复请求会在唯一索引上等待本事务结束，
+      // 本事务提交后重复请求直接返回已保存的结果（包括状态码），回滚（如支付被拒绝）后重复请求可以重新下单
+      // 同一个键用于内容不同的请求时返回 422，不会返回另一个订单的结果
+      if (idempotencyKey) {
+        const requestHash = orderRequestHash(req.body);
+        try {
+          await connection.execute(
+            'INSERT INTO order_idempotency_keys (user_id, idempotency_key, request_hash) VALUES (?, ?, ?)',
+            [userId, idempotencyKey, requestHash]
+          );
+        } catch (error) {
+          if (error.code !== 'ER_DUP_ENTRY') {
+            throw error;
+          }
+          await connection.rollback();
+          const [rows] = await pool.execute(
+            'SELECT request_hash, status_code, response FROM order_idempotency_keys WHERE user_id = ? AND idempotency_key = ?',
+            [userId, idempotencyKey]
+          );
+          if (rows[0].request_hash && rows[0].request_hash !== requestHash) {
+            return res.status(422).json({
+              success: false,
+              message: 'This Idempotency-Key was already used for a different order request'
+            });
+          }
+          const response = typeof rows[0].response === 'string' ? JSON.parse(rows[0].response) : rows[0].response;
+          return res.status(rows[0].status_code || 201).json(response);
+        }
+      }
+
+      // 与购物车页面使用同一份定价，保证下单金额与页面显示一致
+      const { items: cartItems, pricing, cartCoupon } = await getPricedCart(connection, userId, {
+        forUpdate: true,
+        address: { country: shippingAddress.country, region: shippingAddress.region }
+      });
+
+      if (cartItems.length === 0) {
+        await connection.rollback();
+        return res.status(400).json({ success: false, message: 'Your cart is empty' });
+      }
+
+      const unavailable = cartItems.filter(item => !item.available);
+      if (unavailable.length > 0) {
+        await connection.rollback();
+        return res.status(409).json({
+          success: false,
+          message: `Some items are no longer available: ${unavailable.map(item => lineName(item.name, item.variant_name)).join(', ')}`
+        });
+      }
+
+      if (!pricing.shippingAvailable) {
+        await connection.rollback();
+        return res.status(400).json({ success: false, message: pricing.shippingMessage });
+      }
+
+      const lines = cartItems.map(item => ({
+        productId: item.product_id,
+        variantId: item.variant_id,
+        name: item.name,
+        variantName: item.variant_name,
+        sku: item.sku,
+        quantity: item.quantity,
+        unitPrice: item.price,
+        totalPrice: item.line_total
+      }));
+      const totalAmount = pricing.total;
+      // 不再满足条件的优惠券不计入订单，页面显示的价格明细中已附带原因
+      const appliedCoupon = cartCoupon && cartCoupon.result.valid ? cartCoupon.coupon : null;
+
+      // 原子扣减库存，任一商品库存不足则整个订单回滚
+      const stockResult = await decrementStock(connection, lines);
+      if (!stockResult.success) {
+        await connection.rollback();
+        return res.status(409).json({
+          success: false,
+          code: INSUFFICIENT_STOCK,
+          message: `Not enough stock for: ${stockResult.shortages.map(item => `${lineName(item.name, item.variantName)} (${item.available} left)`).join(', ')}`,
+          shortages: stockResult.shortages
+        });
+      }
+
+      const [orderResult] = await connection.execute(
+        `INSERT INTO orders (user_id, subtotal_amount, discount_amount, coupon_code, shipping_amount, tax_amount,
+          total_amount, full_name, email, phone, shipping_address, shipping_city, shipping_region,
+          shipping_postal_code, shipping_country, payment_method)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          userId,
+          pricing.subtotal,
+          pricing.discount,
+          appliedCoupon ? appliedCoupon.code : null,
+          pricing.shipping,
+          pricing.tax,
+          totalAmount,
+          customerInfo.fullName.trim(),
+          customerInfo.email.trim(),
+          customerInfo.phone.trim(),
+          shippingAddress.address.trim(),
+          shippingAddress.city.trim(),
+          (shippingAddress.region || '').trim(),
+          shippingAddress.postalCode.trim(),
+          shippingAddress.country.trim(),
+          paymentMethod
+        ]
+      );
+      const orderId = orderResult.insertId;
+
+      await connection.query(
+        `INSERT INTO order_items (order_id, product_id, variant_id, product_name, variant_name, sku, quantity, unit_price, total_price)
+         VALUES ?`,
+        [lines.map(line => [
+          orderId,
+          line.productId,
+          line.variantId,
+          line.name,
+          line.variantName,
+          line.sku,
+          line.quantity,
+          line.unitPrice,
+          line.totalPrice
+        ])]
+      );
+      await recordSale(connection, orderId, lines, userId);
+
+      if (appliedCoupon) {
+        await recordRedemption(connection, appliedCoupon.id, userId, orderId, pricing.discount);
+      }
+
+      await recordTransition(connection, orderId, null, 'pending', { changedBy: userId });
+
+      // 在线支付在提交订单前授权，授权被拒绝时整个订单回滚，购物车和库存保持不变
+      if (ONLINE_PAYMENT_METHODS.includes(paymentMethod)) {
+        payment = await authorizeOrderPayment(connection, { orderId, amount: totalAmount, paymentMethod, paymentToken });
+        if (payment.status === 'declined') {
+          await connection.rollback();
+          return res.status(402).json({ success: false, code: PAYMENT_DECLINED, message: payment.failureReason });
+        }
+      }
+
+      let statusCode = 201;
+      let response = {
+        success: true,
+        message: 'Order placed successfully',
+        orderId,
+        totalAmount,
+        payment: payment ? { status: payment.status, nextAction: payment.nextAction } : null
+      };
+      if (idempotencyKey) {
+        await connection.execute(
+          'UPDATE order_idempotency_keys SET order_id = ?, status_code = ?, response = ? WHERE user_id = ? AND idempotency_key = ?',
+          [orderId, 201, JSON.stringify(response), userId, idempotencyKey]
+        );
+      }
+
+      await connection.execute('DELETE FROM cart WHERE user_id = ?', [userId]);
+      await connection.execute('DELETE FROM cart_coupons WHERE user_id = ?', [userId]);
+      await connection.commit();
+      committed = true;
+      publishCartChange(userId, { type: 'order' }, req);
+      // 不等待低库存检查和通知完成
+      notifyLowStock(pool, lines);
+
+      // 授权成功立即扣款，订单在扣款后变为已支付；需要 3-D Secure 时等待网关回调
+      // 扣款失败时订单已经提交（保持待支付，管理员可以重试扣款或取消订单），返回失败并同步更新幂等键保存的结果
+      if (payment && payment.status === 'authorized') {
+        const capture = await captureOrderPayment(pool, orderId);
+        if (!capture.success) {
+          statusCode = 502;
+          response = {
+            success: false,
+            code: PAYMENT_CAPTURE_FAILED,
+            message: `Order #${orderId} was placed, but the payment could not be taken yet. The order stays pending until the payment goes through.`,
+            orderId,
+            totalAmount,
+            payment: { status: 'authorized', nextAction: null }
+          };
+          if (idempotencyKey) {
+            try {
+              await pool.execute(
+                'UPDATE order_idempotency_keys SET status_code = ?, response = ? WHERE user_id = ? AND idempotency_key = ?',
+                [statusCode, JSON.stringify(response), userId, idempotencyKey]
+              );
+            } catch (error) {
+              console.error(`Error saving the checkout response for order ${orderId}:`, error);
+            }
+          }
+        }
+      }
+
+      res.status(statusCode).json(response);
+    } catch (error) {
+      if (connection && !committed) await connection.rollback();
+      // 订单未能提交时撤销已获得的授权
+      if (payment && payment.reference && !committed) {
+        await voidAuthorization(payment);
+      }
+      console.error('Error placing order:', error);
+      res.status(500).json({ success: false, message: 'Error placing order' });
+    } finally {
+      if (connection) connection.release();
+    }
+  });
+
+  // 获取当前用户的订单列表（分页，最新的在前）
+  router.get('/', async (req, res) => {
+    try {
+      const userId = req.auth.userId;
+      const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+      const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 10, 1), MAX_PAGE_SIZE);
+
+      const [countRows] = await pool.execute('SELECT COUNT(*) AS total FROM orders WHERE user_id = ?', [userId]);
+      const total = countRows[0].total;
+
+      const [orders] = await pool.query(
+        `SELECT orders.id, orders.status, orders.total_amount, orders.created_at,
+           COALESCE(SUM(order_items.quantity), 0) AS item_count
+         FROM orders
+         LEFT JOIN order_items ON order_items.order_id = orders.id
+         WHERE orders.user_id = ?
+         GROUP BY orders.id
+         ORDER BY orders.created_at DESC, orders.id DESC
+         LIMIT ? OFFSET ?`,
+        [userId, limit, (page - 1) * limit]
+      );
+
+      res.json({
+        success: true,
+        orders: orders.map(order => ({
+          id: order.id,
+          status: order.status,
+          totalAmount: parseFloat(order.total_amount),
+          itemCount: Number(order.item_count),
+          createdAt: order.created_at
+        })),
+        pagination: { page, limit, total, totalPages: Math.ceil(total / limit) }
+      });
+    } catch (error) {
+      console.error('Error getting orders:', error);
+      res.status(500).json({ success: false, message: 'Error getting orders' });
+    }
+  });
+
+  // 获取订单详情（商品行、金额、收货地址、状态和状态记录）
+  router.get('/:id', async (req, res) => {
+    try {
+      const order = await getOrderDetail(pool, req.params.id);
+
+      if (!order || order.userId !== req.auth.userId) {
+        return res.status(404).json({ success: false, message: 'Order not found' });
+      }
+
+      res.json({ success: true, order });
+    } catch (error) {
+      console.error('Error getting order:', error);
+      res.status(500).json({ success: false, message: 'Error getting order' });
+    }
+  });
+
+  return router;
+}
+
+// 管理员订单API - 按状态筛选、推进履约状态、取消订单
+function createAdminOrdersRouter(pool) {
+  const router = express.Router();
+
+  // 订单列表，可按状态筛选
+  router.get('/', async (req, res) => {
+    try {
+      const { status } = req.query;
+      if (status && !ORDER_STATUSES.includes(status)) {
+        return res.status(400).json({ success: false, message: `Unknown order status: ${status}` });
+      }
+
+      const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+      const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), MAX_PAGE_SIZE);
+      const where = status ? 'WHERE orders.status = ?' : '';
+      const params = status ? [status] : [];
+
+      const [countRows] = await pool.query(`SELECT COUNT(*) AS total FROM orders ${where}`, params);
+      const total = countRows[0].total;
+
+      const [orders] = await pool.query(
+        `SELECT orders.id, orders.user_id, orders.status, orders.total_amount, orders.full_name,
+           orders.email, orders.created_at, COALESCE(SUM(order_items.quantity), 0) AS item_count,
+           (SELECT payments.status FROM payments WHERE payments.order_id = orders.id ORDER BY payments.id DESC LIMIT 1) AS payment_status
+         FROM orders
+         LEFT JOIN order_items ON order_items.order_id = orders.id
+         ${where}
+         GROUP BY orders.id
+         ORDER BY orders.created_at DESC, orders.id DESC
+         LIMIT ? OFFSET ?`,
+        [...params, limit, (page - 1) * limit]
+      );
+
+      res.json({
+        success: true,
+        orders: orders.map(order => ({
+          id: order.id,
+          userId: order.user_id,
+          status: order.status,
+          totalAmount: parseFloat(order.total_amount),
+          customerName: order.full_name,
+          email: order.email,
+          itemCount: Number(order.item_count),
+          createdAt: order.created_at,
+          paymentStatus: order.payment_status || null,
+          nextStatuses: ORDER_TRANSITIONS[order.status] || []
+        })),
+        pagination: { page, limit, total, totalPages: Math.ceil(total / limit) }
+      });
+    } catch (error) {
+      console.error('Error getting admin orders:', error);
+      res.status(500).json({ success: false, message: 'Error getting orders' });
+    }
+  });
+
+  // 各状态的订单数量
+  router.get('/stats', async (req, res) => {
+    try {
+      const [rows] = await pool.execute('SELECT status, COUNT(*) AS count FROM orders GROUP BY status');
+      const counts = {};
+      ORDER_STATUSES.forEach(status => {
+        counts[status] = 0;
+      });
+      rows.forEach(row => {
+        counts[row.status] = Number(row.count);
+      });
+
+      res.json({
+        success: true,
+        counts,
+        total: Object.values(counts).reduce((total, count) => total + count, 0)
+      });
+    } catch (error) {
+      console.error('Error getting order stats:', error);
+      res.status(500).json({ success: false, message: 'Error getting order stats' });
+    }
+  });
+
+  // 订单详情
+  router.get('/:id', async (req, res) => {
+    try {
+      const order = await getOrderDetail(pool, req.params.id);
+      if (!order) {
+        return res.status(404).json({ success: false, message: 'Order not found' });
+      }
+      res.json({ success: true, order });
+    } catch (error) {
+      console.error('Error getting order:', error);
+      res.status(500).json({ success: false, message: 'Error getting order' });
+    }
+  });
+
+  // 在事务中执行状态转换并返回结果
+  // 取消或退款时先在事务之外退还在线支付（未扣款的授权直接撤销），退款失败则不改变订单状态；
+  // 退款后订单未能更新时支付已记录为退款，重试不会重复退款
+  async function changeStatus(req, res, toStatus, reason) {
+    let connection;
+
+    try {
+      if (toStatus === 'cancelled' || toStatus === 'refunded') {
+        const [orders] = await pool.execute('SELECT status FROM orders WHERE id = ?', [req.params.id]);
+        if (orders.length === 0) {
+          return res.status(404).json({ success: false, message: 'Order not found' });
+        }
+        if (!(ORDER_TRANSITIONS[orders[0].status] || []).includes(toStatus)) {
+          return res.status(409).json({
+            success: false,
+            message: `Cannot change order status from ${orders[0].status} to ${toStatus}`
+          });
+        }
+
+        try {
+          await refundOrderPayment(pool, req.params.id);
+        } catch (error) {
+          console.error('Error refunding payment:', error);
+          return res.status(502).json({ success: false, message: 'The payment provider could not refund this order' });
+        }
+      }
+
+      connection = await pool.getConnection();
+      await connection.beginTransaction();
+
+      const result = await transitionOrder(connection, req.params.id, toStatus, {
+        reason,
+        changedBy: req.auth.userId
+      });
+
+      if (!result.success) {
+        await connection.rollback();
+        return res.status(result.status).json({ success: false, message: result.message });
+      }
+
+      await connection.commit();
+      res.json({ success: true, message: result.message, status: result.toStatus });
+    } catch (error) {
+      if (connection) await connection.rollback();
+      console.error('Error changing order status:', error);
+      res.status(500).json({ success: false, message: 'Error changing order status' });
+    } finally {
+      if (connection) connection.release();
+    }
+  }
+
+  // 推进订单状态
+  router.post('/:id/status', async (req, res) => {
+    const { status, reason = '' } = req.body;
+    if (status === 'cancelled') {
+      return res.status(400).json({ success: false, message: 'Use the cancel endpoint to cancel an order' });
+    }
+
+    // 在线支付的订单只能在扣款后由支付流程标记为已支付，货到付款由管理员在收款后标记
+    if (status === 'paid') {
+      try {
+        if (await getOrderPayment(pool, req.params.id)) {
+          return res.status(409).json({
+            success: false,
+            message: 'Orders paid online are marked paid automatically once the payment is captured. Use Retry capture instead.'
+          });
+        }
+      } catch (error) {
+        console.error('Error getting order payment:', error);
+        return res.status(500).json({ success: false, message: 'Error changing order status' });
+      }
+    }
+
+    changeStatus(req, res, status, reason);
+  });
+
+  // 重试扣款：下单或 3-D Secure 验证后扣款失败的订单保持待支付，已授权的支付可以再次扣款
+  router.post('/:id/capture', async (req, res) => {
+    const result = await captureOrderPayment(pool, req.params.id);
+    res.status(result.status).json({ success: result.success, message: result.message });
+  });
+
+  // 取消订单，必须填写原因
+  router.post('/:id/cancel', (req, res) => {
+    const reason = String(req.body.reason || '').trim();
+    if (!reason) {
+      return res.status(400).json({ success: false, message: 'A cancellation reason is required' });
+    }
+    changeStatus(req, res, 'cancelled', reason);
+  });
+
+  return router;
+}
+
+module.exports = {
+  createOrderTables,
+  createOrdersRouter,
+  createAdminOrdersRouter
+};
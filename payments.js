@@ -0,0 +1,361 @@
+// 支付 - 支付服务商接口、订单支付记录（授权、扣款、退款）以及支付回调处理
+// 银行卡信息只在浏览器和支付服务商之间传递，服务器只保存服务商返回的引用号、卡组织和卡号后四位
+const express = require('express');
+const { transitionOrder } = require('./order-status');
+
+// 需要通过支付服务商在线付款的支付方式，货到付款由管理员在收款后手动标记为已支付
+const ONLINE_PAYMENT_METHODS = ['credit-card', 'paypal'];
+
+// 支付被拒绝时返回给前端的错误码
+const PAYMENT_DECLINED = 'PAYMENT_DECLINED';
+
+// 订单已提交但扣款失败时返回给前端的错误码（订单保持待支付）
+const PAYMENT_CAPTURE_FAILED = 'PAYMENT_CAPTURE_FAILED';
+
+// 已注册的支付服务商：name => provider
+// provider 需要实现：
+//   authorize({ amount, currency, source, orderId }) => { status: 'authorized' | 'requires_action' | 'declined', reference, card, nextAction, failureReason }
+//   capture(reference, amount) => { status: 'captured' }（对已扣款的引用号重复调用同样返回 captured）
+//   refund(reference, amount) => { status: 'refunded' | 'voided' }（未扣款的授权直接撤销，重复调用返回相同结果）
+//   parseWebhook(rawBody, headers) => { type, reference, reason } 或 null（签名无效）
+const providers = {};
+
+function registerPaymentProvider(name, provider) {
+  providers[name] = provider;
+}
+
+// 当前使用的支付服务商，由 PAYMENT_PROVIDER 环境变量选择，默认使用本地模拟网关
+function getPaymentProvider(name = process.env.PAYMENT_PROVIDER || 'mock') {
+  const provider = providers[name];
+  if (!provider) {
+    throw new Error(`Payment provider "${name}" is not registered`);
+  }
+  return provider;
+}
+
+// 创建支付记录表（如果不存在）
+async function createPaymentTable(pool) {
+  const query = `
+    CREATE TABLE IF NOT EXISTS payments (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      order_id INT NOT NULL,
+      provider VARCHAR(30) NOT NULL,
+      provider_reference VARCHAR(100) NOT NULL,
+      method VARCHAR(30) NOT NULL,
+      status VARCHAR(20) NOT NULL,
+      amount DECIMAL(10, 2) NOT NULL,
+      currency CHAR(3) NOT NULL DEFAULT 'USD',
+      card_brand VARCHAR(20) DEFAULT NULL,
+      card_last4 CHAR(4) DEFAULT NULL,
+      failure_reason VARCHAR(255) DEFAULT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      UNIQUE KEY payment_reference (provider, provider_reference),
+      KEY payment_order (order_id)
+    );
+  `;
+
+  try {
+    await pool.execute(query);
+    console.log('Payments table created or already exists');
+  } catch (error) {
+    console.error('Error creating payments table:', error);
+  }
+}
+
+function toPayment(row) {
+  return {
+    id: row.id,
+    orderId: row.order_id,
+    provider: row.provider,
+    reference: row.provider_reference,
+    method: row.method,
+    status: row.status,
+    amount: parseFloat(row.amount),
+    currency: row.currency,
+    cardBrand: row.card_brand,
+    cardLast4: row.card_last4,
+    failureReason: row.failure_reason
+  };
+}
+
+// 查询订单最近一次支付记录，没有时返回null
+async function getOrderPayment(db, orderId, { forUpdate = false } = {}) {
+  const [rows] = await db.execute(
+    `SELECT * FROM payments WHERE order_id = ? ORDER BY id DESC LIMIT 1${forUpdate ? ' FOR UPDATE' : ''}`,
+    [orderId]
+  );
+  return rows.length > 0 ? toPayment(rows[0]) : null;
+}
+
+// 在下单事务中向支付服务商申请授权并写入支付记录
+// 信用卡使用浏览器从支付服务商获得的 paymentToken，PayPal 不需要卡信息
+async function authorizeOrderPayment(connection, { orderId, amount, paymentMethod, paymentToken }) {
+  const providerName = process.env.PAYMENT_PROVIDER || 'mock';
+  const provider = getPaymentProvider(providerName);
+  const source = paymentMethod === 'credit-card' ? { type: 'card', token: paymentToken } : { type: 'paypal' };
+
+  const result = await provider.authorize({ amount, currency: 'USD', source, orderId });
+  if (result.status === 'declined') {
+    return { status: 'declined', failureReason: result.failureReason };
+  }
+
+  await connection.execute(
+    `INSERT INTO payments (order_id, provider, provider_reference, method, status, amount, card_brand, card_last4)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      orderId,
+      providerName,
+      result.reference,
+      paymentMethod,
+      result.status,
+      amount,
+      result.card ? result.card.brand : null,
+      result.card ? result.card.last4 : null
+    ]
+  );
+
+  return {
+    status: result.status,
+    provider: providerName,
+    reference: result.reference,
+    amount,
+    nextAction: result.nextAction || null
+  };
+}
+
+// 撤销没有随订单提交的授权（下单事务失败时调用），失败只记录日志
+async function voidAuthorization(payment) {
+  try {
+    await getPaymentProvider(payment.provider).refund(payment.reference, payment.amount);
+  } catch (error) {
+    console.error(`Error voiding payment ${payment.reference}:`, error);
+  }
+}
+
+// 在短事务中锁定订单最近一次支付记录，状态为 fromStatuses 之一时改为 intent（capturing 或 refunding）并提交
+// 调用支付服务商之前先记录意图，网络请求期间不持有行锁；未完成的意图留在支付记录中，重试时继续处理
+// 返回修改前的支付记录，不符合条件时返回null
+async function beginPaymentIntent(pool, orderId, fromStatuses, intent) {
+  let connection;
+
+  try {
+    connection = await pool.getConnection();
+    await connection.beginTransaction();
+
+    const payment = await getOrderPayment(connection, orderId, { forUpdate: true });
+    if (!payment || !fromStatuses.includes(payment.status)) {
+      await connection.rollback();
+      return null;
+    }
+
+    await connection.execute('UPDATE payments SET status = ? WHERE id = ?', [intent, payment.id]);
+    await connection.commit();
+    return payment;
+  } catch (error) {
+    if (connection) await connection.rollback();
+    throw error;
+  } finally {
+    if (connection) connection.release();
+  }
+}
+
+// 扣款并把订单标记为已支付，只有已授权的支付（或上次未完成的扣款）才会扣款
+// 服务商扣款失败时支付恢复为已授权，订单保持待支付，管理员可以重试扣款或取消订单
+// 返回 { success, status, message }
+async function captureOrderPayment(pool, orderId) {
+  let payment;
+  try {
+    payment = await beginPaymentIntent(pool, orderId, ['authorized', 'capturing'], 'capturing');
+  } catch (error) {
+    console.error(`Error capturing payment for order ${orderId}:`, error);
+    return { success: false, status: 500, message: 'Error capturing payment' };
+  }
+  if (!payment) {
+    return { success: false, status: 409, message: 'No authorized payment to capture' };
+  }
+
+  try {
+    await getPaymentProvider(payment.provider).capture(payment.reference, payment.amount);
+  } catch (error) {
+    console.error(`Error capturing payment for order ${orderId}:`, error);
+    try {
+      await pool.execute(
+        'UPDATE payments SET status = ?, failure_reason = ? WHERE id = ? AND status = ?',
+        ['authorized', 'Payment capture failed', payment.id, 'capturing']
+      );
+    } catch (updateError) {
+      console.error(`Error restoring payment for order ${orderId}:`, updateError);
+    }
+    return { success: false, status: 502, message: 'The payment provider could not capture the payment' };
+  }
+
+  let connection;
+  try {
+    connection = await pool.getConnection();
+    await connection.beginTransaction();
+
+    // 扣款期间订单可能已被取消（支付已撤销），此时不再标记为已支付
+    const [updated] = await connection.execute(
+      'UPDATE payments SET status = ?, failure_reason = NULL WHERE id = ? AND status = ?',
+      ['captured', payment.id, 'capturing']
+    );
+    if (updated.affectedRows === 0) {
+      await connection.rollback();
+      return { success: false, status: 409, message: 'The payment was cancelled while it was being captured' };
+    }
+
+    const result = await transitionOrder(connection, orderId, 'paid', { reason: 'Payment captured', changedBy: 'payments' });
+    if (!result.success) {
+      throw new Error(result.message);
+    }
+
+    await connection.commit();
+    return { success: true, status: 200, message: 'Payment captured' };
+  } catch (error) {
+    if (connection) await connection.rollback();
+    // 服务商已经扣款，支付记录保持 capturing，重试扣款时完成记录（服务商的扣款接口可以重复调用）
+    console.error(`Error recording captured payment for order ${orderId}:`, error);
+    return { success: false, status: 500, message: 'The payment was captured but the order could not be updated' };
+  } finally {
+    if (connection) connection.release();
+  }
+}
+
+// 退还已扣款的支付，或撤销尚未扣款的授权（包括未完成的扣款或退款）
+// 在订单状态事务之外调用：先记录退款意图，再调用服务商，最后写入结果；服务商失败时恢复原状态并抛出错误
+// 订单没有在线支付记录（如货到付款）或已经退款时返回null
+async function refundOrderPayment(pool, orderId) {
+  const payment = await beginPaymentIntent(
+    pool,
+    orderId,
+    ['authorized', 'captured', 'requires_action', 'capturing', 'refunding'],
+    'refunding'
+  );
+  if (!payment) {
+    return null;
+  }
+
+  let result;
+  try {
+    result = await getPaymentProvider(payment.provider).refund(payment.reference, payment.amount);
+  } catch (error) {
+    await pool.execute('UPDATE payments SET status = ? WHERE id = ? AND status = ?', [payment.status, payment.id, 'refunding']);
+    throw error;
+  }
+
+  await pool.execute('UPDATE payments SET status = ? WHERE id = ?', [result.status, payment.id]);
+  return result.status;
+}
+
+// 处理一条已验证签名的支付回调事件
+async function handlePaymentEvent(pool, providerName, event) {
+  const [rows] = await pool.execute(
+    'SELECT * FROM payments WHERE provider = ? AND provider_reference = ?',
+    [providerName, event.reference]
+  );
+  if (rows.length === 0) {
+    return;
+  }
+  const payment = toPayment(rows[0]);
+
+  switch (event.type) {
+    // 3-D Secure 验证通过后完成授权，随即扣款
+    // 扣款因服务商或数据库错误失败时抛出错误（回调返回 500），由网关重试回调时再次扣款
+    case 'payment.authorized':
+      if (['requires_action', 'authorized', 'capturing'].includes(payment.status)) {
+        await pool.execute(
+          'UPDATE payments SET status = ? WHERE id = ? AND status = ?',
+          ['authorized', payment.id, 'requires_action']
+        );
+        const result = await captureOrderPayment(pool, payment.orderId);
+        if (!result.success && result.status >= 500) {
+          throw new Error(`Capturing payment for order ${payment.orderId} failed: ${result.message}`);
+        }
+      }
+      break;
+
+    // 3-D Secure 验证失败，取消订单
+    case 'payment.failed':
+      if (payment.status === 'requires_action') {
+        let connection;
+        try {
+          connection = await pool.getConnection();
+          await connection.beginTransaction();
+          await connection.execute(
+            'UPDATE payments SET status = ?, failure_reason = ? WHERE id = ?',
+            ['failed', String(event.reason || 'Payment failed').slice(0, 255), payment.id]
+          );
+          const result = await transitionOrder(connection, payment.orderId, 'cancelled', {
+            reason: `Payment failed: ${event.reason || 'unknown reason'}`,
+            changedBy: 'payments'
+          });
+          if (!result.success) {
+            throw new Error(result.message);
+          }
+          await connection.commit();
+        } catch (error) {
+          if (connection) await connection.rollback();
+          throw error;
+        } finally {
+          if (connection) connection.release();
+        }
+      }
+      break;
+
+    // 在服务商后台发起的退款，同步支付状态
+    case 'payment.refunded':
+      if (payment.status === 'captured') {
+        await pool.execute('UPDATE payments SET status = ? WHERE id = ?', ['refunded', payment.id]);
+      }
+      break;
+
+    default:
+      break;
+  }
+}
+
+// 支付回调API：POST /api/payments/webhooks/:provider
+// 签名由各服务商的 parseWebhook 校验，因此需要原始请求体（见 cart-api.js 中的 bodyParser 配置）
+function createPaymentWebhookRouter(pool) {
+  const router = express.Router();
+
+  router.post('/webhooks/:provider', async (req, res) => {
+    let provider;
+    try {
+      provider = getPaymentProvider(req.params.provider);
+    } catch (error) {
+      return res.status(404).json({ success: false, message: 'Unknown payment provider' });
+    }
+
+    const event = provider.parseWebhook(req.rawBody, req.headers);
+    if (!event) {
+      return res.status(400).json({ success: false, message: 'Invalid webhook signature' });
+    }
+
+    try {
+      await handlePaymentEvent(pool, req.params.provider, event);
+      res.json({ success: true, received: true });
+    } catch (error) {
+      console.error('Error handling payment webhook:', error);
+      res.status(500).json({ success: false, message: 'Error handling payment webhook' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = {
+  ONLINE_PAYMENT_METHODS,
+  PAYMENT_DECLINED,
+  PAYMENT_CAPTURE_FAILED,
+  registerPaymentProvider,
+  getPaymentProvider,
+  createPaymentTable,
+  getOrderPayment,
+  authorizeOrderPayment,
+  voidAuthorization,
+  captureOrderPayment,
+  refundOrderPayment,
+  createPaymentWebhookRouter
+};
@@ -0,0 +1,456 @@
+// 采购单 - 向供应商订购商品，收货时按采购单的数量和单价补货入库（写入补货记录和库存流水）
+// 状态：draft（草稿，可修改）→ ordered（已下单，按供应商交货周期计算预计到货日期）→ received（已收货）
+// 草稿和已下单的采购单可以取消；采购单中的商品必须由该供应商供应
+const express = require('express');
+const { roundMoney } = require('./cart-pricing');
+const { itemKey, parseItemKey } = require('./inventory');
+const { getStockUnits, receiveStock } = require('./stock-alerts');
+
+const PURCHASE_ORDER_STATUSES = ['draft', 'ordered', 'received', 'cancelled'];
+
+// 每个状态允许转换到的下一个状态，received 和 cancelled 为终态
+const PURCHASE_ORDER_TRANSITIONS = {
+  draft: ['ordered', 'cancelled'],
+  ordered: ['received', 'cancelled'],
+  received: [],
+  cancelled: []
+};
+
+// 采购单列表每页数量，每张采购单最多的商品行数
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+const MAX_ITEMS = 100;
+
+// 创建采购单表和采购单商品表（如果不存在），product_id 为可售单位的键（见 inventory.js 的 itemKey）
+async function createPurchaseOrderTables(pool) {
+  const ordersQuery = `
+    CREATE TABLE IF NOT EXISTS purchase_orders (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      supplier_id INT NOT NULL,
+      status VARCHAR(20) NOT NULL DEFAULT 'draft',
+      expected_at DATE DEFAULT NULL,
+      notes VARCHAR(500) NOT NULL DEFAULT '',
+      created_by VARCHAR(50) NOT NULL,
+      ordered_at TIMESTAMP NULL DEFAULT NULL,
+      received_at TIMESTAMP NULL DEFAULT NULL,
+      received_by VARCHAR(50) DEFAULT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      KEY purchase_order_supplier (supplier_id),
+      KEY purchase_order_status (status)
+    );
+  `;
+
+  const itemsQuery = `
+    CREATE TABLE IF NOT EXISTS purchase_order_items (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      purchase_order_id INT NOT NULL,
+      product_id VARCHAR(50) NOT NULL,
+      quantity INT NOT NULL,
+      unit_cost DECIMAL(10, 2) DEFAULT NULL,
+      KEY purchase_order_item_order (purchase_order_id)
+    );
+  `;
+
+  try {
+    await pool.execute(ordersQuery);
+    await pool.execute(itemsQuery);
+    console.log('Purchase order tables created or already exist');
+  } catch (error) {
+    console.error('Error creating purchase order tables:', error);
+  }
+}
+
+// 采购单及其供应商、商品行数、总数量和总成本（未填写单价的商品行不计入总成本）
+const PURCHASE_ORDER_SELECT = `
+  SELECT po.*, DATE_FORMAT(po.expected_at, '%Y-%m-%d') AS expected_date, s.name AS supplier_name,
+    COALESCE(t.item_count, 0) AS item_count, COALESCE(t.units, 0) AS units, t.total_cost
+  FROM purchase_orders po
+  JOIN suppliers s ON s.id = po.supplier_id
+  LEFT JOIN (
+    SELECT purchase_order_id, COUNT(*) AS item_count, SUM(quantity) AS units, SUM(quantity * unit_cost) AS total_cost
+    FROM purchase_order_items
+    GROUP BY purchase_order_id
+  ) t ON t.purchase_order_id = po.id
+`;
+
+function toPurchaseOrder(row) {
+  return {
+    id: row.id,
+    supplierId: row.supplier_id,
+    supplierName: row.supplier_name,
+    status: row.status,
+    expectedAt: row.expected_date,
+    notes: row.notes,
+    itemCount: Number(row.item_count),
+    units: Number(row.units),
+    totalCost: row.total_cost === null ? null : roundMoney(parseFloat(row.total_cost)),
+    nextStatuses: PURCHASE_ORDER_TRANSITIONS[row.status] || [],
+    createdBy: row.created_by,
+    orderedAt: row.ordered_at,
+    receivedAt: row.received_at,
+    receivedBy: row.received_by,
+    createdAt: row.created_at
+  };
+}
+
+// 读取采购单及其商品行（商品名称取当前的商品和规格，已删除的商品只有库存键）
+async function getPurchaseOrder(db, purchaseOrderId) {
+  const [rows] = await db.query(`${PURCHASE_ORDER_SELECT} WHERE po.id = ?`, [purchaseOrderId]);
+  if (rows.length === 0) {
+    return null;
+  }
+
+  const [items] = await db.query(
+    'SELECT product_id, quantity, unit_cost FROM purchase_order_items WHERE purchase_order_id = ? ORDER BY id',
+    [purchaseOrderId]
+  );
+  const units = await getStockUnits(db, items.map(item => item.product_id));
+
+  return {
+    ...toPurchaseOrder(rows[0]),
+    items: items.map(item => {
+      const unit = units.get(item.product_id);
+      return {
+        key: item.product_id,
+        name: unit ? unit.name : null,
+        variantName: unit ? unit.variantName : null,
+        sku: unit ? unit.sku : null,
+        quantity: item.quantity,
+        unitCost: item.unit_cost === null ? null : parseFloat(item.unit_cost)
+      };
+    })
+  };
+}
+
+// 校验管理员提交的采购单，返回 { errors, purchaseOrder }
+function validatePurchaseOrder(body = {}) {
+  const errors = [];
+  const items = Array.isArray(body.items) ? body.items : [];
+
+  const purchaseOrder = {
+    supplierId: Number(body.supplierId),
+    expectedAt: typeof body.expectedAt === 'string' && body.expectedAt !== '' ? body.expectedAt : null,
+    notes: typeof body.notes === 'string' ? body.notes.trim() : '',
+    items: items.map(item => {
+      const key = parseItemKey(item && item.key);
+      return {
+        key: key ? itemKey(key.productId, key.variantId) : null,
+        quantity: Number(item && item.quantity),
+        unitCost: !item || item.unitCost === undefined || item.unitCost === null || item.unitCost === ''
+          ? null
+          : Number(item.unitCost)
+      };
+    })
+  };
+
+  if (!Number.isInteger(purchaseOrder.supplierId) || purchaseOrder.supplierId < 1) {
+    errors.push('Supplier is required');
+  }
+  if (purchaseOrder.expectedAt !== null &&
+      (!/^\d{4}-\d{2}-\d{2}$/.test(purchaseOrder.expectedAt) || Number.isNaN(Date.parse(purchaseOrder.expectedAt)))) {
+    errors.push('Expected date must be a valid date in YYYY-MM-DD format');
+  }
+  if (purchaseOrder.notes.length > 500) {
+    errors.push('Notes must be at most 500 characters');
+  }
+  if (purchaseOrder.items.length === 0) {
+    errors.push('A purchase order needs at least one item');
+  } else if (purchaseOrder.items.length > MAX_ITEMS) {
+    errors.push(`A purchase order can have at most ${MAX_ITEMS} items`);
+  }
+  purchaseOrder.items.forEach((item, index) => {
+    if (!item.key) {
+      errors.push(`Item ${index + 1}: a product or variant is required`);
+    }
+    if (!Number.isInteger(item.quantity) || item.quantity < 1) {
+      errors.push(`Item ${index + 1}: quantity must be a positive whole number`);
+    }
+    if (item.unitCost !== null && (!Number.isFinite(item.unitCost) || item.unitCost < 0)) {
+      errors.push(`Item ${index + 1}: unit cost must be a non-negative number`);
+    }
+  });
+  const keys = purchaseOrder.items.map(item => item.key).filter(Boolean);
+  if (new Set(keys).size !== keys.length) {
+    errors.push('Each product or variant can only appear once');
+  }
+
+  return { errors, purchaseOrder };
+}
+
+// 校验供应商存在且采购单中的商品都由该供应商供应，返回 { error, supplier }
+async function checkPurchaseOrder(db, purchaseOrder) {
+  const [suppliers] = await db.execute('SELECT id, name FROM suppliers WHERE id = ?', [purchaseOrder.supplierId]);
+  if (suppliers.length === 0) {
+    return { error: 'Supplier not found' };
+  }
+
+  const supplier = suppliers[0];
+  const units = await getStockUnits(db, purchaseOrder.items.map(item => item.key));
+  for (const item of purchaseOrder.items) {
+    const unit = units.get(item.key);
+    if (!unit) {
+      return { error: `Product or variant ${item.key} not found` };
+    }
+    if (unit.supplier !== supplier.name) {
+      const name = unit.variantName ? `${unit.name} (${unit.variantName})` : unit.name;
+      return { error: `${name} is not supplied by ${supplier.name}` };
+    }
+  }
+  return { supplier };
+}
+
+// 在事务中写入采购单的商品行
+async function insertItems(connection, purchaseOrderId, items) {
+  await connection.query(
+    'INSERT INTO purchase_order_items (purchase_order_id, product_id, quantity, unit_cost) VALUES ?',
+    [items.map(item => [purchaseOrderId, item.key, item.quantity, item.unitCost])]
+  );
+}
+
+// 管理员采购单API：/api/admin/purchase-orders
+function createAdminPurchaseOrdersRouter(pool) {
+  const router = express.Router();
+
+  // 采购单列表（最新的在前），查询参数：status, supplierId, page, limit
+  router.get('/', async (req, res) => {
+    try {
+      const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+      const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+      const where = [];
+      const params = [];
+
+      if (PURCHASE_ORDER_STATUSES.includes(req.query.status)) {
+        where.push('po.status = ?');
+        params.push(req.query.status);
+      }
+      if (req.query.supplierId) {
+        where.push('po.supplier_id = ?');
+        params.push(Number(req.query.supplierId));
+      }
+      const whereClause = where.length > 0 ? `WHERE ${where.join(' AND ')}` : '';
+
+      const [[{ count }]] = await pool.query(`SELECT COUNT(*) AS count FROM purchase_orders po ${whereClause}`, params);
+      const total = Number(count);
+      const [rows] = await pool.query(
+        `${PURCHASE_ORDER_SELECT} ${whereClause} ORDER BY po.created_at DESC, po.id DESC LIMIT ? OFFSET ?`,
+        [...params, limit, (page - 1) * limit]
+      );
+
+      res.json({
+        success: true,
+        purchaseOrders: rows.map(toPurchaseOrder),
+        statuses: PURCHASE_ORDER_STATUSES,
+        pagination: { page, limit, total, totalPages: Math.ceil(total / limit) }
+      });
+    } catch (error) {
+      console.error('Error getting purchase orders:', error);
+      res.status(500).json({ success: false, message: 'Error getting purchase orders' });
+    }
+  });
+
+  router.get('/:id', async (req, res) => {
+    try {
+      const purchaseOrder = await getPurchaseOrder(pool, req.params.id);
+      if (!purchaseOrder) {
+        return res.status(404).json({ success: false, message: 'Purchase order not found' });
+      }
+      res.json({ success: true, purchaseOrder });
+    } catch (error) {
+      console.error('Error getting purchase order:', error);
+      res.status(500).json({ success: false, message: 'Error getting purchase order' });
+    }
+  });
+
+  // 新建采购单草稿
+  // 请求体：{ supplierId, items: [{ key, quantity, unitCost }], expectedAt, notes }
+  router.post('/', async (req, res) => {
+    const { errors, purchaseOrder } = validatePurchaseOrder(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, message: errors[0], errors });
+    }
+
+    let connection;
+    try {
+      connection = await pool.getConnection();
+      await connection.beginTransaction();
+
+      const { error } = await checkPurchaseOrder(connection, purchaseOrder);
+      if (error) {
+        await connection.rollback();
+        return res.status(400).json({ success: false, message: error, errors: [error] });
+      }
+
+      const [result] = await connection.execute(
+        'INSERT INTO purchase_orders (supplier_id, expected_at, notes, created_by) VALUES (?, ?, ?, ?)',
+        [purchaseOrder.supplierId, purchaseOrder.expectedAt, purchaseOrder.notes, req.auth.userId]
+      );
+      await insertItems(connection, result.insertId, purchaseOrder.items);
+
+      await connection.commit();
+      res.status(201).json({
+        success: true,
+        message: `Purchase order #${result.insertId} created`,
+        purchaseOrder: await getPurchaseOrder(pool, result.insertId)
+      });
+    } catch (error) {
+      if (connection) await connection.rollback();
+      console.error('Error creating purchase order:', error);
+      res.status(500).json({ success: false, message: 'Error creating purchase order' });
+    } finally {
+      if (connection) connection.release();
+    }
+  });
+
+  // 修改采购单草稿，商品行整体替换
+  router.put('/:id', async (req, res) => {
+    const { errors, purchaseOrder } = validatePurchaseOrder(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, message: errors[0], errors });
+    }
+
+    const purchaseOrderId = Number(req.params.id);
+    let connection;
+    try {
+      connection = await pool.getConnection();
+      await connection.beginTransaction();
+
+      const [rows] = await connection.execute('SELECT status FROM purchase_orders WHERE id = ? FOR UPDATE', [purchaseOrderId]);
+      if (rows.length === 0) {
+        await connection.rollback();
+        return res.status(404).json({ success: false, message: 'Purchase order not found' });
+      }
+      if (rows[0].status !== 'draft') {
+        await connection.rollback();
+        return res.status(409).json({ success: false, message: `A purchase order that is ${rows[0].status} cannot be changed` });
+      }
+
+      const { error } = await checkPurchaseOrder(connection, purchaseOrder);
+      if (error) {
+        await connection.rollback();
+        return res.status(400).json({ success: false, message: error, errors: [error] });
+      }
+
+      await connection.execute(
+        'UPDATE purchase_orders SET supplier_id = ?, expected_at = ?, notes = ? WHERE id = ?',
+        [purchaseOrder.supplierId, purchaseOrder.expectedAt, purchaseOrder.notes, purchaseOrderId]
+      );
+      await connection.execute('DELETE FROM purchase_order_items WHERE purchase_order_id = ?', [purchaseOrderId]);
+      await insertItems(connection, purchaseOrderId, purchaseOrder.items);
+
+      await connection.commit();
+      res.json({
+        success: true,
+        message: `Purchase order #${purchaseOrderId} updated`,
+        purchaseOrder: await getPurchaseOrder(pool, purchaseOrderId)
+      });
+    } catch (error) {
+      if (connection) await connection.rollback();
+      console.error('Error updating purchase order:', error);
+      res.status(500).json({ success: false, message: 'Error updating purchase order' });
+    } finally {
+      if (connection) connection.release();
+    }
+  });
+
+  // 在事务中锁定采购单并转换状态，apply 在状态更新前执行该状态的处理，返回给管理员的提示信息
+  async function changeStatus(req, res, toStatus, apply) {
+    const purchaseOrderId = Number(req.params.id);
+    let connection;
+    try {
+      connection = await pool.getConnection();
+      await connection.beginTransaction();
+
+      const [rows] = await connection.execute(
+        `SELECT po.id, po.status, po.expected_at, s.name AS supplier_name, s.lead_time_days
+         FROM purchase_orders po
+         JOIN suppliers s ON s.id = po.supplier_id
+         WHERE po.id = ?
+         FOR UPDATE`,
+        [purchaseOrderId]
+      );
+      const purchaseOrder = rows[0];
+      if (!purchaseOrder) {
+        await connection.rollback();
+        return res.status(404).json({ success: false, message: 'Purchase order not found' });
+      }
+      if (!PURCHASE_ORDER_TRANSITIONS[purchaseOrder.status].includes(toStatus)) {
+        await connection.rollback();
+        return res.status(409).json({
+          success: false,
+          message: `Cannot change purchase order status from ${purchaseOrder.status} to ${toStatus}`
+        });
+      }
+
+      const message = await apply(connection, purchaseOrder);
+      await connection.execute('UPDATE purchase_orders SET status = ? WHERE id = ?', [toStatus, purchaseOrderId]);
+
+      // 在事务内读取返回的采购单，提交之后不再有可能失败的操作（收货已入库时不会返回错误）
+      const updated = await getPurchaseOrder(connection, purchaseOrderId);
+
+      await connection.commit();
+      res.json({ success: true, message, purchaseOrder: updated });
+    } catch (error) {
+      if (connection) await connection.rollback();
+      console.error('Error changing purchase order status:', error);
+      res.status(500).json({ success: false, message: 'Error changing purchase order status' });
+    } finally {
+      if (connection) connection.release();
+    }
+  }
+
+  // 向供应商下单，未填写预计到货日期时按供应商的交货周期计算
+  router.post('/:id/order', (req, res) => changeStatus(req, res, 'ordered', async (connection, purchaseOrder) => {
+    await connection.execute('UPDATE purchase_orders SET ordered_at = CURRENT_TIMESTAMP WHERE id = ?', [purchaseOrder.id]);
+    if (purchaseOrder.lead_time_days !== null) {
+      await connection.execute(
+        'UPDATE purchase_orders SET expected_at = DATE_ADD(CURDATE(), INTERVAL ? DAY) WHERE id = ? AND expected_at IS NULL',
+        [purchaseOrder.lead_time_days, purchaseOrder.id]
+      );
+    }
+    return `Purchase order #${purchaseOrder.id} placed with ${purchaseOrder.supplier_name}`;
+  }));
+
+  // 收货：每个商品行按采购数量和单价补货入库，已删除的商品或规格跳过
+  router.post('/:id/receive', (req, res) => changeStatus(req, res, 'received', async (connection, purchaseOrder) => {
+    const [items] = await connection.execute(
+      'SELECT product_id, quantity, unit_cost FROM purchase_order_items WHERE purchase_order_id = ? ORDER BY product_id',
+      [purchaseOrder.id]
+    );
+    const units = await getStockUnits(connection, items.map(item => item.product_id));
+
+    let received = 0;
+    for (const item of items.filter(item => units.has(item.product_id))) {
+      await receiveStock(connection, {
+        key: item.product_id,
+        quantity: item.quantity,
+        supplier: purchaseOrder.supplier_name,
+        unitCost: item.unit_cost,
+        purchaseOrderId: purchaseOrder.id,
+        receivedBy: req.auth.userId
+      });
+      received += 1;
+    }
+    await connection.execute(
+      'UPDATE purchase_orders SET received_at = CURRENT_TIMESTAMP, received_by = ? WHERE id = ?',
+      [req.auth.userId, purchaseOrder.id]
+    );
+
+    const skipped = items.length - received;
+    return `Received ${received} item(s) from purchase order #${purchaseOrder.id}` +
+      (skipped > 0 ? `; ${skipped} deleted product(s) skipped` : '');
+  }));
+
+  // 取消采购单
+  router.post('/:id/cancel', (req, res) => changeStatus(req, res, 'cancelled', async (connection, purchaseOrder) =>
+    `Purchase order #${purchaseOrder.id} cancelled`
+  ));
+
+  return router;
+}
+
+module.exports = {
+  PURCHASE_ORDER_STATUSES,
+  createPurchaseOrderTables,
+  createAdminPurchaseOrdersRouter
+};
@@ -0,0 +1,392 @@
+// 商品评价 - 顾客对购买过的商品打分（1-5星）并撰写评价，管理员可以隐藏、恢复或删除评价
+// 每个用户对每个商品只有一条评价，再次提交即修改自己的评价
+// 只有已发布的评价计入商品的平均评分和评分分布
+const express = require('express');
+const { authenticate, requireUser } = require('./session');
+const { PAID_ORDER_STATUSES } = require('./order-status');
+
+// 评价状态：published 对所有人可见，hidden 为管理员隐藏（仅作者和管理员可见）
+const REVIEW_STATUSES = ['published', 'hidden'];
+
+// 评价列表的排序方式
+const REVIEW_SORTS = {
+  newest: 'r.created_at DESC, r.id DESC',
+  highest: 'r.rating DESC, r.created_at DESC, r.id DESC',
+  lowest: 'r.rating ASC, r.created_at DESC, r.id DESC'
+};
+
+// 评价列表每页数量
+const DEFAULT_PAGE_SIZE = 10;
+const MAX_PAGE_SIZE = 50;
+
+// 创建商品评价表（如果不存在），需要在商品表之前创建，商品查询会关联评分统计
+async function createReviewTable(pool) {
+  const query = `
+    CREATE TABLE IF NOT EXISTS product_reviews (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      product_id INT NOT NULL,
+      user_id VARCHAR(50) NOT NULL,
+      order_id INT NOT NULL,
+      rating TINYINT NOT NULL,
+      title VARCHAR(120) NOT NULL DEFAULT '',
+      body TEXT NOT NULL,
+      status VARCHAR(20) NOT NULL DEFAULT 'published',
+      moderation_note VARCHAR(255) DEFAULT NULL,
+      moderated_by VARCHAR(50) DEFAULT NULL,
+      moderated_at TIMESTAMP NULL DEFAULT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      UNIQUE KEY review_product_user (product_id, user_id),
+      KEY review_product_status (product_id, status)
+    );
+  `;
+
+  try {
+    await pool.execute(query);
+    console.log('Product reviews table created or already exists');
+  } catch (error) {
+    console.error('Error creating product reviews table:', error);
+  }
+}
+
+// 每个商品已发布评价的平均分和数量，商品查询通过 LEFT JOIN 带出（别名 rs）
+const RATING_JOIN = `
+  LEFT JOIN (
+    SELECT product_id, AVG(rating) AS rating_average, COUNT(*) AS review_count
+    FROM product_reviews
+    WHERE status = 'published'
+    GROUP BY product_id
+  ) rs ON rs.product_id = p.id
+`;
+
+// 平均分保留一位小数，没有评价时为null
+function toRatingAverage(value) {
+  return value === null || value === undefined ? null : Math.round(parseFloat(value) * 10) / 10;
+}
+
+function toReview(row) {
+  return {
+    id: row.id,
+    productId: row.product_id,
+    author: row.username || 'Customer',
+    rating: row.rating,
+    title: row.title,
+    body: row.body,
+    status: row.status,
+    verifiedPurchase: true,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+// 管理员看到的评价还包括商品名称、用户ID、订单号和审核信息
+function toAdminReview(row) {
+  return {
+    ...toReview(row),
+    productName: row.product_name,
+    userId: row.user_id,
+    orderId: row.order_id,
+    moderationNote: row.moderation_note,
+    moderatedBy: row.moderated_by,
+    moderatedAt: row.moderated_at
+  };
+}
+
+const REVIEW_SELECT = `
+  SELECT r.*, u.username
+  FROM product_reviews r
+  LEFT JOIN users u ON CAST(u.id AS CHAR) = r.user_id
+`;
+
+// 商品的评分汇总：平均分、评价数量和1-5星各自的数量
+async function getRatingSummary(db, productId) {
+  const [rows] = await db.query(
+    `SELECT rating, COUNT(*) AS count
+     FROM product_reviews
+     WHERE product_id = ? AND status = 'published'
+     GROUP BY rating`,
+    [productId]
+  );
+
+  const histogram = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+  let count = 0;
+  let sum = 0;
+  rows.forEach(row => {
+    histogram[row.rating] = Number(row.count);
+    count += Number(row.count);
+    sum += row.rating * Number(row.count);
+  });
+
+  return { average: count > 0 ? toRatingAverage(sum / count) : null, count, histogram };
+}
+
+// 查找用户购买过该商品的最近一个订单，没有买过时返回null
+async function findPurchaseOrder(db, userId, productId) {
+  const [rows] = await db.query(
+    `SELECT o.id
+     FROM orders o
+     JOIN order_items oi ON oi.order_id = o.id
+     WHERE o.user_id = ? AND oi.product_id = ? AND o.status IN (?)
+     ORDER BY o.created_at DESC, o.id DESC
+     LIMIT 1`,
+    [userId, String(productId), PAID_ORDER_STATUSES]
+  );
+  return rows.length > 0 ? rows[0].id : null;
+}
+
+// 读取用户对商品的评价（包括被隐藏的），没有时返回null
+async function getUserReview(db, userId, productId) {
+  const [rows] = await db.query(`${REVIEW_SELECT} WHERE r.product_id = ? AND r.user_id = ?`, [productId, userId]);
+  return rows.length > 0 ? toReview(rows[0]) : null;
+}
+
+// 校验顾客提交的评价，返回 { errors, review }
+function validateReview(body = {}) {
+  const errors = [];
+  const text = value => (typeof value === 'string' ? value.trim() : '');
+
+  const review = {
+    rating: Number(body.rating),
+    title: text(body.title),
+    body: text(body.body)
+  };
+
+  if (!Number.isInteger(review.rating) || review.rating < 1 || review.rating > 5) {
+    errors.push('Rating must be a whole number from 1 to 5');
+  }
+  if (review.title.length > 120) {
+    errors.push('Title must be at most 120 characters');
+  }
+  if (review.body.length < 10) {
+    errors.push('Review must be at least 10 characters');
+  } else if (review.body.length > 2000) {
+    errors.push('Review must be at most 2000 characters');
+  }
+
+  return { errors, review };
+}
+
+// 分页参数：page 从1开始
+function parsePage(query, defaultLimit) {
+  const page = Math.max(parseInt(query.page, 10) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(query.limit, 10) || defaultLimit, 1), MAX_PAGE_SIZE);
+  return { page, limit, offset: (page - 1) * limit };
+}
+
+// 商品评价API：/api/products/:productId/reviews，查询对所有人开放，撰写和删除自己的评价需要登录
+function createReviewsRouter(pool) {
+  const router = express.Router({ mergeParams: true });
+  const userOnly = [authenticate(pool), requireUser];
+
+  // 已发布的评价（分页）以及评分汇总
+  // 查询参数：page, limit, sort (newest | highest | lowest)
+  router.get('/', async (req, res) => {
+    const sort = req.query.sort || 'newest';
+    if (!REVIEW_SORTS[sort]) {
+      return res.status(400).json({ success: false, message: `Sort must be one of: ${Object.keys(REVIEW_SORTS).join(', ')}` });
+    }
+
+    try {
+      const { productId } = req.params;
+      const { page, limit, offset } = parsePage(req.query, DEFAULT_PAGE_SIZE);
+      const summary = await getRatingSummary(pool, productId);
+      const [rows] = await pool.query(
+        `${REVIEW_SELECT}
+         WHERE r.product_id = ? AND r.status = 'published'
+         ORDER BY ${REVIEW_SORTS[sort]}
+         LIMIT ? OFFSET ?`,
+        [productId, limit, offset]
+      );
+
+      res.json({
+        success: true,
+        summary,
+        reviews: rows.map(toReview),
+        pagination: { page, limit, total: summary.count, totalPages: Math.ceil(summary.count / limit) }
+      });
+    } catch (error) {
+      console.error('Error getting reviews:', error);
+      res.status(500).json({ success: false, message: 'Error getting reviews' });
+    }
+  });
+
+  // 当前用户能否评价该商品，以及已写过的评价
+  router.get('/mine', userOnly, async (req, res) => {
+    try {
+      const { productId } = req.params;
+      const review = await getUserReview(pool, req.auth.userId, productId);
+      const canReview = review !== null || (await findPurchaseOrder(pool, req.auth.userId, productId)) !== null;
+      res.json({ success: true, canReview, review });
+    } catch (error) {
+      console.error('Error getting own review:', error);
+      res.status(500).json({ success: false, message: 'Error getting your review' });
+    }
+  });
+
+  // 撰写或修改自己的评价，只有购买过该商品的用户可以评价
+  // 修改不会改变审核状态，被隐藏的评价修改后仍然隐藏
+  router.put('/mine', userOnly, async (req, res) => {
+    const { errors, review } = validateReview(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, message: errors[0], errors });
+    }
+
+    try {
+      const { productId } = req.params;
+      const [products] = await pool.execute('SELECT id FROM products WHERE id = ?', [productId]);
+      if (products.length === 0) {
+        return res.status(404).json({ success: false, message: 'Product not found' });
+      }
+
+      const orderId = await findPurchaseOrder(pool, req.auth.userId, productId);
+      if (orderId === null) {
+        return res.status(403).json({ success: false, message: 'Only customers who have bought this product can review it' });
+      }
+
+      const [result] = await pool.execute(
+        `INSERT INTO product_reviews (product_id, user_id, order_id, rating, title, body)
+         VALUES (?, ?, ?, ?, ?, ?)
+         ON DUPLICATE KEY UPDATE order_id = VALUES(order_id), rating = VALUES(rating), title = VALUES(title), body = VALUES(body)`,
+        [productId, req.auth.userId, orderId, review.rating, review.title, review.body]
+      );
+
+      // affectedRows 为1表示新增，为2表示修改了已有评价
+      const created = result.affectedRows === 1;
+      res.status(created ? 201 : 200).json({
+        success: true,
+        message: created ? 'Thanks for your review!' : 'Your review has been updated',
+        review: await getUserReview(pool, req.auth.userId, productId)
+      });
+    } catch (error) {
+      console.error('Error saving review:', error);
+      res.status(500).json({ success: false, message: 'Error saving review' });
+    }
+  });
+
+  // 删除自己的评价
+  router.delete('/mine', userOnly, async (req, res) => {
+    try {
+      const [result] = await pool.execute(
+        'DELETE FROM product_reviews WHERE product_id = ? AND user_id = ?',
+        [req.params.productId, req.auth.userId]
+      );
+      if (result.affectedRows === 0) {
+        return res.status(404).json({ success: false, message: 'Review not found' });
+      }
+      res.json({ success: true, message: 'Your review has been deleted' });
+    } catch (error) {
+      console.error('Error deleting review:', error);
+      res.status(500).json({ success: false, message: 'Error deleting review' });
+    }
+  });
+
+  return router;
+}
+
+// 管理员评价API - 按状态、评分筛选评价，隐藏/恢复和删除评价
+function createAdminReviewsRouter(pool) {
+  const router = express.Router();
+
+  // 评价列表（所有商品），查询参数：status, rating, productId, page, limit
+  router.get('/', async (req, res) => {
+    const { status, rating, productId } = req.query;
+    if (status && !REVIEW_STATUSES.includes(status)) {
+      return res.status(400).json({ success: false, message: `Status must be one of: ${REVIEW_STATUSES.join(', ')}` });
+    }
+
+    const where = [];
+    const params = [];
+    if (status) {
+      where.push('r.status = ?');
+      params.push(status);
+    }
+    if (rating) {
+      where.push('r.rating = ?');
+      params.push(Number(rating));
+    }
+    if (productId) {
+      where.push('r.product_id = ?');
+      params.push(Number(productId));
+    }
+    const filters = where.length > 0 ? `WHERE ${where.join(' AND ')}` : '';
+
+    try {
+      const { page, limit, offset } = parsePage(req.query, 20);
+      const [countRows] = await pool.query(`SELECT COUNT(*) AS total FROM product_reviews r ${filters}`, params);
+      const total = countRows[0].total;
+
+      const [rows] = await pool.query(
+        `SELECT r.*, u.username, p.name AS product_name
+         FROM product_reviews r
+         LEFT JOIN users u ON CAST(u.id AS CHAR) = r.user_id
+         LEFT JOIN products p ON p.id = r.product_id
+         ${filters}
+         ORDER BY r.created_at DESC, r.id DESC
+         LIMIT ? OFFSET ?`,
+        [...params, limit, offset]
+      );
+
+      res.json({
+        success: true,
+        reviews: rows.map(toAdminReview),
+        pagination: { page, limit, total, totalPages: Math.ceil(total / limit) }
+      });
+    } catch (error) {
+      console.error('Error getting reviews:', error);
+      res.status(500).json({ success: false, message: 'Error getting reviews' });
+    }
+  });
+
+  // 隐藏或恢复评价，可附带审核备注
+  router.put('/:id', async (req, res) => {
+    const { status } = req.body;
+    const note = typeof req.body.moderationNote === 'string' ? req.body.moderationNote.trim() : '';
+    if (!REVIEW_STATUSES.includes(status)) {
+      return res.status(400).json({ success: false, message: `Status must be one of: ${REVIEW_STATUSES.join(', ')}` });
+    }
+    if (note.length > 255) {
+      return res.status(400).json({ success: false, message: 'Moderation note must be at most 255 characters' });
+    }
+
+    try {
+      const [result] = await pool.execute(
+        `UPDATE product_reviews SET status = ?, moderation_note = ?, moderated_by = ?, moderated_at = NOW()
+         WHERE id = ?`,
+        [status, note || null, req.auth.userId, req.params.id]
+      );
+      if (result.affectedRows === 0) {
+        return res.status(404).json({ success: false, message: 'Review not found' });
+      }
+      res.json({ success: true, message: status === 'hidden' ? 'Review hidden' : 'Review published' });
+    } catch (error) {
+      console.error('Error moderating review:', error);
+      res.status(500).json({ success: false, message: 'Error moderating review' });
+    }
+  });
+
+  // 删除评价
+  router.delete('/:id', async (req, res) => {
+    try {
+      const [result] = await pool.execute('DELETE FROM product_reviews WHERE id = ?', [req.params.id]);
+      if (result.affectedRows === 0) {
+        return res.status(404).json({ success: false, message: 'Review not found' });
+      }
+      res.json({ success: true, message: 'Review deleted' });
+    } catch (error) {
+      console.error('Error deleting review:', error);
+      res.status(500).json({ success: false, message: 'Error deleting review' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = {
+  REVIEW_STATUSES,
+  RATING_JOIN,
+  toRatingAverage,
+  createReviewTable,
+  getRatingSummary,
+  createReviewsRouter,
+  createAdminReviewsRouter
+};
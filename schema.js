@@ -0,0 +1,57 @@
+// 数据库结构 - 为早期版本已创建的表补充后来新增的列和索引
+// CREATE TABLE IF NOT EXISTS 不会修改已存在的表，因此新增列和索引需要在这里单独补上
+
+// 为表补充缺少的列，columns 为 { 列名: 列定义 }
+async function addMissingColumns(pool, table, columns) {
+  const [rows] = await pool.query(
+    'SELECT COLUMN_NAME FROM information_schema.COLUMNS WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ?',
+    [table]
+  );
+  const existing = new Set(rows.map(row => row.COLUMN_NAME));
+
+  for (const [name, definition] of Object.entries(columns)) {
+    if (!existing.has(name)) {
+      await pool.query(`ALTER TABLE ${table} ADD COLUMN ${name} ${definition}`);
+      console.log(`Added column ${table}.${name}`);
+    }
+  }
+}
+
+// 为表补充缺少的索引，indexes 为 { 索引名: 索引定义 }，定义为 '(列, ...)'，可加 UNIQUE 或 FULLTEXT 前缀
+async function addMissingIndexes(pool, table, indexes) {
+  const [rows] = await pool.query(
+    'SELECT DISTINCT INDEX_NAME FROM information_schema.STATISTICS WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ?',
+    [table]
+  );
+  const existing = new Set(rows.map(row => row.INDEX_NAME));
+
+  for (const [name, definition] of Object.entries(indexes)) {
+    if (!existing.has(name)) {
+      const [, kind = '', columns] = definition.match(/^(UNIQUE|FULLTEXT)?\s*(\(.+\))$/);
+      await pool.query(`ALTER TABLE ${table} ADD ${kind} INDEX ${name} ${columns}`);
+      console.log(`Added index ${table}.${name}`);
+    }
+  }
+}
+
+// 删除已被新索引取代的旧索引，索引不存在时跳过
+async function dropIndexes(pool, table, names) {
+  const [rows] = await pool.query(
+    'SELECT DISTINCT INDEX_NAME FROM information_schema.STATISTICS WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ?',
+    [table]
+  );
+  const existing = new Set(rows.map(row => row.INDEX_NAME));
+
+  for (const name of names) {
+    if (existing.has(name)) {
+      await pool.query(`ALTER TABLE ${table} DROP INDEX ${name}`);
+      console.log(`Dropped index ${table}.${name}`);
+    }
+  }
+}
+
+module.exports = {
+  addMissingColumns,
+  addMissingIndexes,
+  dropIndexes
+};
@@ -0,0 +1,211 @@
+// 会话令牌 - HMAC签名的用户/游客令牌及Express认证中间件
+const crypto = require('crypto');
+
+// 签名密钥，生产环境必须通过环境变量配置，否则服务重启后所有令牌失效
+const SESSION_SECRET = process.env.SESSION_SECRET || crypto.randomBytes(32).toString('hex');
+if (!process.env.SESSION_SECRET) {
+  console.warn('SESSION_SECRET is not set, using a random secret (sessions will not survive a restart)');
+}
+
+// 用户角色：customer 为普通顾客，staff 负责订单履约和内容审核，admin 拥有全部管理权限
+const ROLES = ['customer', 'staff', 'admin'];
+
+// 登录会话有效期（7天），游客会话有效期（30天）
+const SESSION_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+const GUEST_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+
+function base64url(input) {
+  return Buffer.from(input).toString('base64').replace(/=+$/, '').replace(/\+/g, '-').replace(/\//g, '_');
+}
+
+function sign(data) {
+  return base64url(crypto.createHmac('sha256', SESSION_SECRET).update(data).digest());
+}
+
+// 生成令牌：base64url(JSON负载).签名
+function signToken(payload) {
+  const data = base64url(JSON.stringify(payload));
+  return `${data}.${sign(data)}`;
+}
+
+// 校验令牌签名和有效期，返回负载；无效时返回null
+function verifyToken(token) {
+  if (typeof token !== 'string') {
+    return null;
+  }
+
+  const [data, signature] = token.split('.');
+  if (!data || !signature) {
+    return null;
+  }
+
+  const expected = Buffer.from(sign(data));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return null;
+  }
+
+  try {
+    const payload = JSON.parse(Buffer.from(data.replace(/-/g, '+').replace(/_/g, '/'), 'base64').toString('utf8'));
+    if (!payload || typeof payload.sub !== 'string' || !(payload.exp > Date.now())) {
+      return null;
+    }
+    return payload;
+  } catch (error) {
+    return null;
+  }
+}
+
+// 为登录用户签发令牌，并记录会话以便登出时撤销
+async function issueUserToken(pool, user) {
+  const sid = crypto.randomBytes(32).toString('hex');
+  const exp = Date.now() + SESSION_TTL_MS;
+
+  await pool.execute(
+    'INSERT INTO user_sessions (token, user_id, expires_at) VALUES (?, ?, ?)',
+    [sid, user.id, new Date(exp)]
+  );
+
+  return signToken({ sub: String(user.id), sid, guest: false, exp });
+}
+
+// 为游客签发匿名令牌，游客ID用作购物车的 user_id
+function issueGuestToken() {
+  const guestId = `guest-${crypto.randomBytes(12).toString('hex')}`;
+  const token = signToken({ sub: guestId, guest: true, exp: Date.now() + GUEST_TTL_MS });
+  return { token, guestId };
+}
+
+// 判断购物车/订单中的 user_id 是否属于游客
+function isGuestId(userId) {
+  return String(userId).startsWith('guest-');
+}
+
+// 撤销登录会话
+async function revokeToken(pool, token) {
+  const payload = verifyToken(token);
+  if (payload && payload.sid) {
+    await pool.execute('DELETE FROM user_sessions WHERE token = ?', [payload.sid]);
+  }
+}
+
+// 从 Authorization: Bearer <token> 请求头中读取令牌
+function getRequestToken(req) {
+  const header = req.get('Authorization') || '';
+  const match = header.match(/^Bearer\s+(\S+)$/i);
+  return match ? match[1] : null;
+}
+
+// 解析令牌并校验登录会话是否仍然有效，返回 { userId, guest, sid } 或null
+async function resolveToken(pool, token) {
+  const payload = verifyToken(token);
+  if (!payload) {
+    return null;
+  }
+
+  if (payload.guest) {
+    return { userId: payload.sub, guest: true, sid: null };
+  }
+
+  const [rows] = await pool.execute(
+    'SELECT user_id FROM user_sessions WHERE token = ? AND expires_at > NOW()',
+    [payload.sid]
+  );
+  if (rows.length === 0 || String(rows[0].user_id) !== payload.sub) {
+    return null;
+  }
+
+  return { userId: payload.sub, guest: false, sid: payload.sid };
+}
+
+// 认证中间件：解析请求令牌并挂载到 req.auth（无令牌时为null）
+function authenticate(pool) {
+  return async (req, res, next) => {
+    try {
+      req.auth = await resolveToken(pool, getRequestToken(req));
+      next();
+    } catch (error) {
+      console.error('Error authenticating request:', error);
+      res.status(500).json({ success: false, message: 'Error authenticating request' });
+    }
+  };
+}
+
+// 要求请求携带有效的用户或游客令牌
+function requireSession(req, res, next) {
+  if (!req.auth) {
+    return res.status(401).json({ success: false, message: 'Missing or invalid session token' });
+  }
+  next();
+}
+
+// 要求请求来自已登录用户（游客令牌不可用）
+function requireUser(req, res, next) {
+  if (!req.auth || req.auth.guest) {
+    return res.status(401).json({ success: false, message: 'Not logged in' });
+  }
+  next();
+}
+
+// 读取用户当前的角色，用户不存在时返回null
+async function getUserRole(pool, userId) {
+  const [rows] = await pool.execute('SELECT role FROM users WHERE id = ?', [userId]);
+  return rows.length > 0 ? rows[0].role : null;
+}
+
+// 判断角色是否为员工或管理员（可以进入管理后台）
+function isStaffRole(role) {
+  return role === 'staff' || role === 'admin';
+}
+
+// 要求请求来自拥有指定角色之一的登录用户（角色以数据库中的记录为准，不信任令牌或页面中的角色）
+// 通过后角色保存在 req.auth.role
+function requireRole(pool, roles, message) {
+  return async (req, res, next) => {
+    if (!req.auth || req.auth.guest) {
+      return res.status(401).json({ success: false, message: 'Not logged in' });
+    }
+
+    try {
+      const role = await getUserRole(pool, req.auth.userId);
+      if (!roles.includes(role)) {
+        return res.status(403).json({ success: false, message });
+      }
+      req.auth.role = role;
+      next();
+    } catch (error) {
+      console.error('Error checking user role:', error);
+      res.status(500).json({ success: false, message: 'Error checking user role' });
+    }
+  };
+}
+
+// 要求请求来自管理员账户
+function requireAdmin(pool) {
+  return requireRole(pool, ['admin'], 'Admin access required');
+}
+
+// 要求请求来自员工或管理员账户
+function requireStaff(pool) {
+  return requireRole(pool, ['staff', 'admin'], 'Staff access required');
+}
+
+module.exports = {
+  ROLES,
+  signToken,
+  verifyToken,
+  issueUserToken,
+  issueGuestToken,
+  isGuestId,
+  revokeToken,
+  getRequestToken,
+  resolveToken,
+  getUserRole,
+  isStaffRole,
+  authenticate,
+  requireSession,
+  requireUser,
+  requireRole,
+  requireAdmin,
+  requireStaff
+};
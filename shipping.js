@@ -0,0 +1,252 @@
+// 运费 - 可扩展的运费计算方式、按国家划分的配送区域以及管理员运费API
+const express = require('express');
+
+// 运费计算方式注册表：type => { label, parse(config), validate(config), calculate(config, cart) }
+// parse 把管理员提交的配置转换为数值，validate 返回错误信息或null
+// cart 为 { itemCount, subtotal }，subtotal 为优惠券减免后的商品金额
+const SHIPPING_METHODS = {};
+
+// 注册一种运费计算方式，新的计费规则只需在这里注册即可被运费表使用
+function registerShippingMethod(type, method) {
+  SHIPPING_METHODS[type] = method;
+}
+
+// 固定运费
+registerShippingMethod('flat', {
+  label: 'Flat rate',
+  parse(config) {
+    return { amount: Number(config.amount) };
+  },
+  validate(config) {
+    return Number.isFinite(config.amount) && config.amount >= 0 ? null : 'Flat rate amount must be a non-negative number';
+  },
+  calculate(config) {
+    return config.amount;
+  }
+});
+
+// 按件数阶梯计费：tiers 按 minQuantity 升序，取件数满足的最高一档
+registerShippingMethod('quantity_tiers', {
+  label: 'Quantity tiers',
+  parse(config) {
+    const tiers = Array.isArray(config.tiers) ? config.tiers : [];
+    return { tiers: tiers.map(tier => ({ minQuantity: Number(tier.minQuantity), amount: Number(tier.amount) })) };
+  },
+  validate(config) {
+    if (!Array.isArray(config.tiers) || config.tiers.length === 0) {
+      return 'Add at least one quantity tier';
+    }
+    const invalid = config.tiers.some(tier =>
+      !Number.isInteger(tier.minQuantity) || tier.minQuantity < 1 || !Number.isFinite(tier.amount) || tier.amount < 0
+    );
+    return invalid ? 'Each tier needs a minimum quantity of at least 1 and a non-negative amount' : null;
+  },
+  calculate(config, cart) {
+    const tiers = [...config.tiers].sort((a, b) => a.minQuantity - b.minQuantity);
+    const tier = tiers.filter(t => cart.itemCount >= t.minQuantity).pop() || tiers[0];
+    return tier.amount;
+  }
+});
+
+// 创建运费表（如果不存在），没有任何运费规则时写入默认的标准运费
+async function createShippingTable(pool) {
+  const query = `
+    CREATE TABLE IF NOT EXISTS shipping_rates (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      name VARCHAR(100) NOT NULL,
+      countries VARCHAR(1000) NOT NULL DEFAULT '',
+      method VARCHAR(30) NOT NULL,
+      config JSON NOT NULL,
+      free_over DECIMAL(10, 2) DEFAULT NULL,
+      active TINYINT(1) NOT NULL DEFAULT 1,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+    );
+  `;
+
+  try {
+    await pool.execute(query);
+    const [[{ count }]] = await pool.query('SELECT COUNT(*) AS count FROM shipping_rates');
+    if (count === 0) {
+      await pool.execute(
+        'INSERT INTO shipping_rates (name, countries, method, config, free_over) VALUES (?, ?, ?, ?, ?)',
+        ['Standard shipping', '', 'flat', JSON.stringify({ amount: 5.99 }), 50]
+      );
+    }
+    console.log('Shipping rates table created or already exists');
+  } catch (error) {
+    console.error('Error creating shipping rates table:', error);
+  }
+}
+
+// 国家名称不区分大小写比较
+function normalizeCountry(country) {
+  return typeof country === 'string' ? country.trim().toLowerCase() : '';
+}
+
+function parseCountries(countries) {
+  return countries.split(',').map(country => country.trim()).filter(Boolean);
+}
+
+function toShippingRate(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    countries: parseCountries(row.countries),
+    method: row.method,
+    config: typeof row.config === 'string' ? JSON.parse(row.config) : row.config,
+    freeOver: row.free_over === null ? null : parseFloat(row.free_over),
+    active: Boolean(row.active)
+  };
+}
+
+// 为收货国家选择配送区域：优先匹配列出该国家的区域，否则使用未列国家的默认区域
+async function findShippingRate(db, country) {
+  const [rows] = await db.query('SELECT * FROM shipping_rates WHERE active = 1 ORDER BY id');
+  const rates = rows.map(toShippingRate);
+  const wanted = normalizeCountry(country);
+
+  return rates.find(rate => rate.countries.some(c => normalizeCountry(c) === wanted)) ||
+    rates.find(rate => rate.countries.length === 0) ||
+    null;
+}
+
+// 计算运费，返回 { available, amount, name, message }
+// 免运费优惠券和满额包邮都会把运费降为0
+async function quoteShipping(db, country, cart, { freeShipping = false } = {}) {
+  const rate = await findShippingRate(db, country);
+  if (!rate || !SHIPPING_METHODS[rate.method]) {
+    return { available: false, amount: null, name: null, message: `We do not ship to ${country} yet` };
+  }
+
+  if (freeShipping || (rate.freeOver !== null && cart.subtotal >= rate.freeOver)) {
+    return { available: true, amount: 0, name: rate.name, message: null };
+  }
+
+  return { available: true, amount: SHIPPING_METHODS[rate.method].calculate(rate.config, cart), name: rate.name, message: null };
+}
+
+// 校验管理员提交的运费规则，返回 { errors, rate }
+function validateShippingRate(body = {}) {
+  const errors = [];
+  const rate = {
+    name: typeof body.name === 'string' ? body.name.trim() : '',
+    countries: (Array.isArray(body.countries) ? body.countries : String(body.countries || '').split(','))
+      .map(country => String(country).trim())
+      .filter(Boolean),
+    method: body.method,
+    config: body.config && typeof body.config === 'object' ? body.config : {},
+    freeOver: body.freeOver === undefined || body.freeOver === null || body.freeOver === '' ? null : Number(body.freeOver),
+    active: body.active === undefined ? true : Boolean(body.active)
+  };
+
+  if (!rate.name) {
+    errors.push('Name is required');
+  }
+  if (rate.countries.join(', ').length > 1000) {
+    errors.push('Too many countries in one zone');
+  }
+  if (!SHIPPING_METHODS[rate.method]) {
+    errors.push(`Method must be one of: ${Object.keys(SHIPPING_METHODS).join(', ')}`);
+  } else {
+    rate.config = SHIPPING_METHODS[rate.method].parse(rate.config);
+    const configError = SHIPPING_METHODS[rate.method].validate(rate.config);
+    if (configError) {
+      errors.push(configError);
+    }
+  }
+  if (rate.freeOver !== null && (!Number.isFinite(rate.freeOver) || rate.freeOver < 0)) {
+    errors.push('Free shipping threshold must be a non-negative number');
+  }
+
+  return { errors, rate };
+}
+
+function shippingRateValues(rate) {
+  return [rate.name, rate.countries.join(', '), rate.method, JSON.stringify(rate.config), rate.freeOver, rate.active ? 1 : 0];
+}
+
+// 管理员运费API - 配送区域和运费规则的增删改查
+function createAdminShippingRouter(pool) {
+  const router = express.Router();
+
+  // 运费规则列表，附带可用的计费方式
+  router.get('/', async (req, res) => {
+    try {
+      const [rows] = await pool.query('SELECT * FROM shipping_rates ORDER BY id');
+      res.json({
+        success: true,
+        rates: rows.map(toShippingRate),
+        methods: Object.entries(SHIPPING_METHODS).map(([type, method]) => ({ type, label: method.label }))
+      });
+    } catch (error) {
+      console.error('Error getting shipping rates:', error);
+      res.status(500).json({ success: false, message: 'Error getting shipping rates' });
+    }
+  });
+
+  // 新增运费规则
+  router.post('/', async (req, res) => {
+    const { errors, rate } = validateShippingRate(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, message: errors[0], errors });
+    }
+
+    try {
+      const [result] = await pool.execute(
+        'INSERT INTO shipping_rates (name, countries, method, config, free_over, active) VALUES (?, ?, ?, ?, ?, ?)',
+        shippingRateValues(rate)
+      );
+      res.status(201).json({ success: true, message: 'Shipping rate created', rate: { ...rate, id: result.insertId } });
+    } catch (error) {
+      console.error('Error creating shipping rate:', error);
+      res.status(500).json({ success: false, message: 'Error creating shipping rate' });
+    }
+  });
+
+  // 修改运费规则
+  router.put('/:id', async (req, res) => {
+    const { errors, rate } = validateShippingRate(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, message: errors[0], errors });
+    }
+
+    try {
+      const [result] = await pool.execute(
+        'UPDATE shipping_rates SET name = ?, countries = ?, method = ?, config = ?, free_over = ?, active = ? WHERE id = ?',
+        [...shippingRateValues(rate), req.params.id]
+      );
+      if (result.affectedRows === 0) {
+        return res.status(404).json({ success: false, message: 'Shipping rate not found' });
+      }
+      res.json({ success: true, message: 'Shipping rate updated', rate: { ...rate, id: Number(req.params.id) } });
+    } catch (error) {
+      console.error('Error updating shipping rate:', error);
+      res.status(500).json({ success: false, message: 'Error updating shipping rate' });
+    }
+  });
+
+  // 删除运费规则
+  router.delete('/:id', async (req, res) => {
+    try {
+      const [result] = await pool.execute('DELETE FROM shipping_rates WHERE id = ?', [req.params.id]);
+      if (result.affectedRows === 0) {
+        return res.status(404).json({ success: false, message: 'Shipping rate not found' });
+      }
+      res.json({ success: true, message: 'Shipping rate deleted' });
+    } catch (error) {
+      console.error('Error deleting shipping rate:', error);
+      res.status(500).json({ success: false, message: 'Error deleting shipping rate' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = {
+  SHIPPING_METHODS,
+  registerShippingMethod,
+  createShippingTable,
+  quoteShipping,
+  createAdminShippingRouter
+};
@@ -0,0 +1,339 @@
+// 低库存提醒和补货 - 每个商品的再订货点（未设置时使用全局默认值）、低库存列表、补货记录和低库存通知
+// 再订货点设置在商品上，对没有规格的商品本身和有规格商品的每个规格分别生效
+// 补货记录每次到货的数量、供应商和时间，并增加对应可售单位的库存（写入库存流水）；采购单收货也记为补货
+const express = require('express');
+const { addMissingColumns } = require('./schema');
+const { itemKey, parseItemKey } = require('./inventory');
+const { sendNotification } = require('./notifications');
+const { changeStock } = require('./stock-ledger');
+
+// 全局默认再订货点，通过 DEFAULT_REORDER_POINT 环境变量配置
+const DEFAULT_REORDER_POINT = (() => {
+  const value = parseInt(process.env.DEFAULT_REORDER_POINT, 10);
+  return Number.isInteger(value) && value >= 0 ? value : 10;
+})();
+
+// 补货记录列表每页数量
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+// 创建补货记录表（如果不存在），product_id 为可售单位的键（见 inventory.js 的 itemKey）
+async function createRestockTable(pool) {
+  const query = `
+    CREATE TABLE IF NOT EXISTS restocks (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      product_id VARCHAR(50) NOT NULL,
+      quantity INT NOT NULL,
+      supplier VARCHAR(255) NOT NULL,
+      unit_cost DECIMAL(10, 2) DEFAULT NULL,
+      note VARCHAR(255) NOT NULL DEFAULT '',
+      purchase_order_id INT DEFAULT NULL,
+      received_by VARCHAR(50) NOT NULL,
+      received_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      KEY restock_product (product_id)
+    );
+  `;
+
+  try {
+    await pool.execute(query);
+    await addMissingColumns(pool, 'restocks', {
+      purchase_order_id: 'INT DEFAULT NULL AFTER note'
+    });
+    console.log('Restocks table created or already exists');
+  } catch (error) {
+    console.error('Error creating restocks table:', error);
+  }
+}
+
+// 全部可售单位（没有规格的商品和每个商品规格）及其库存、再订货点和供应商
+const STOCK_UNIT_SELECT = `
+  SELECT u.item_key, u.product_id, u.variant_id, p.name, v.name AS variant_name, v.sku, p.supplier,
+    COALESCE(i.quantity, 0) AS quantity, COALESCE(p.reorder_point, ?) AS reorder_point
+  FROM (
+    SELECT CAST(p.id AS CHAR) AS item_key, p.id AS product_id, NULL AS variant_id
+    FROM products p
+    WHERE NOT EXISTS (SELECT 1 FROM product_variants pv WHERE pv.product_id = p.id)
+    UNION ALL
+    SELECT CONCAT(pv.product_id, ':', pv.id), pv.product_id, pv.id
+    FROM product_variants pv
+  ) u
+  JOIN products p ON p.id = u.product_id
+  LEFT JOIN product_variants v ON v.id = u.variant_id
+  LEFT JOIN inventory i ON i.product_id = u.item_key
+`;
+
+function toStockUnit(row) {
+  return {
+    key: row.item_key,
+    productId: row.product_id,
+    variantId: row.variant_id,
+    name: row.name,
+    variantName: row.variant_name,
+    sku: row.sku,
+    supplier: row.supplier,
+    quantity: Number(row.quantity),
+    reorderPoint: Number(row.reorder_point)
+  };
+}
+
+// 可售单位的显示名称，规格附带规格名称
+function unitName(unit) {
+  return unit.variantName ? `${unit.name} (${unit.variantName})` : unit.name;
+}
+
+// 按键批量读取可售单位，返回以键为键的Map（商品或规格不存在的键不在其中）
+async function getStockUnits(db, keys) {
+  const result = new Map();
+  const ids = [...new Set(keys.map(String))];
+  if (ids.length === 0) {
+    return result;
+  }
+
+  const [rows] = await db.query(`${STOCK_UNIT_SELECT} WHERE u.item_key IN (?)`, [DEFAULT_REORDER_POINT, ids]);
+  rows.forEach(row => {
+    result.set(row.item_key, toStockUnit(row));
+  });
+  return result;
+}
+
+// 某个供应商供应的全部可售单位（按商品名称和规格顺序）
+async function getSupplierStockUnits(db, supplier) {
+  const [rows] = await db.query(
+    `${STOCK_UNIT_SELECT} WHERE p.supplier = ? ORDER BY p.name, v.sort_order, v.id`,
+    [DEFAULT_REORDER_POINT, supplier]
+  );
+  return rows.map(toStockUnit);
+}
+
+// 库存等于或低于再订货点的可售单位，缺口最大的在前
+async function getLowStockItems(db) {
+  const [rows] = await db.query(
+    `${STOCK_UNIT_SELECT}
+     WHERE COALESCE(i.quantity, 0) <= COALESCE(p.reorder_point, ?)
+     ORDER BY COALESCE(i.quantity, 0) - COALESCE(p.reorder_point, ?), p.name, v.sort_order, v.id`,
+    [DEFAULT_REORDER_POINT, DEFAULT_REORDER_POINT, DEFAULT_REORDER_POINT]
+  );
+  return rows.map(toStockUnit);
+}
+
+// 订单扣减库存后调用：对因本次扣减而降到再订货点或以下的可售单位发送一条低库存通知
+// 已经低于再订货点的商品不会在每个订单后重复提醒
+// lines: [{ productId, variantId, quantity }]
+async function notifyLowStock(db, lines) {
+  try {
+    const ordered = new Map();
+    lines.forEach(line => {
+      const key = itemKey(line.productId, line.variantId);
+      ordered.set(key, (ordered.get(key) || 0) + line.quantity);
+    });
+
+    const units = await getStockUnits(db, [...ordered.keys()]);
+    const crossed = [...units.values()].filter(unit =>
+      unit.quantity <= unit.reorderPoint && unit.quantity + ordered.get(unit.key) > unit.reorderPoint
+    );
+    if (crossed.length === 0) {
+      return;
+    }
+
+    await sendNotification({
+      type: 'low-stock',
+      subject: `Low stock: ${crossed.length === 1 ? unitName(crossed[0]) : `${crossed.length} items`} need restocking`,
+      text: crossed
+        .map(unit => `${unitName(unit)}${unit.sku ? ` [${unit.sku}]` : ''}: ${unit.quantity} left (reorder point ${unit.reorderPoint}), supplier: ${unit.supplier || 'unknown'}`)
+        .join('\n'),
+      data: { items: crossed }
+    });
+  } catch (error) {
+    console.error('Error checking low stock:', error);
+  }
+}
+
+function toRestock(row) {
+  return {
+    id: row.id,
+    key: row.product_id,
+    productName: row.product_name,
+    variantName: row.variant_name,
+    quantity: row.quantity,
+    supplier: row.supplier,
+    unitCost: row.unit_cost === null ? null : parseFloat(row.unit_cost),
+    note: row.note,
+    purchaseOrderId: row.purchase_order_id,
+    receivedBy: row.received_by_name || row.received_by,
+    receivedAt: row.received_at
+  };
+}
+
+const RESTOCK_SELECT = `
+  SELECT r.*, p.name AS product_name, v.name AS variant_name, u.username AS received_by_name
+  FROM restocks r
+  LEFT JOIN products p ON p.id = SUBSTRING_INDEX(r.product_id, ':', 1)
+  LEFT JOIN product_variants v ON r.product_id LIKE '%:%' AND v.id = SUBSTRING_INDEX(r.product_id, ':', -1)
+  LEFT JOIN users u ON CAST(u.id AS CHAR) = r.received_by
+`;
+
+// 在事务中记录一次到货并增加库存（写入库存流水），返回补货记录ID
+// restock: { key, quantity, supplier, unitCost, note, purchaseOrderId, receivedBy }
+async function receiveStock(connection, restock) {
+  const [result] = await connection.execute(
+    `INSERT INTO restocks (product_id, quantity, supplier, unit_cost, note, purchase_order_id, received_by)
+     VALUES (?, ?, ?, ?, ?, ?, ?)`,
+    [
+      restock.key,
+      restock.quantity,
+      restock.supplier,
+      restock.unitCost,
+      restock.note || '',
+      restock.purchaseOrderId || null,
+      restock.receivedBy
+    ]
+  );
+  await changeStock(connection, restock.key, restock.quantity, {
+    type: 'restock',
+    restockId: result.insertId,
+    note: restock.purchaseOrderId
+      ? `Purchase order #${restock.purchaseOrderId} from ${restock.supplier}`
+      : `Received from ${restock.supplier}`,
+    createdBy: restock.receivedBy
+  });
+  return result.insertId;
+}
+
+// 校验补货请求，返回 { errors, restock }
+function validateRestock(body = {}) {
+  const errors = [];
+  const text = value => (typeof value === 'string' ? value.trim() : '');
+
+  const restock = {
+    key: parseItemKey(body.key),
+    quantity: Number(body.quantity),
+    supplier: text(body.supplier),
+    unitCost: body.unitCost === undefined || body.unitCost === '' || body.unitCost === null ? null : Number(body.unitCost),
+    note: text(body.note)
+  };
+
+  if (!restock.key) {
+    errors.push('A product or variant is required');
+  }
+  if (!Number.isInteger(restock.quantity) || restock.quantity < 1) {
+    errors.push('Quantity must be a positive whole number');
+  }
+  if (restock.supplier.length > 255) {
+    errors.push('Supplier must be at most 255 characters');
+  }
+  if (restock.unitCost !== null && (!Number.isFinite(restock.unitCost) || restock.unitCost < 0)) {
+    errors.push('Unit cost must be a non-negative number');
+  }
+  if (restock.note.length > 255) {
+    errors.push('Note must be at most 255 characters');
+  }
+
+  return { errors, restock };
+}
+
+// 库存管理API：/api/admin/inventory - 低库存列表、补货记录和补货入库
+function createAdminInventoryRouter(pool) {
+  const router = express.Router();
+
+  // 库存等于或低于再订货点的可售单位
+  router.get('/alerts', async (req, res) => {
+    try {
+      res.json({ success: true, defaultReorderPoint: DEFAULT_REORDER_POINT, items: await getLowStockItems(pool) });
+    } catch (error) {
+      console.error('Error getting low stock alerts:', error);
+      res.status(500).json({ success: false, message: 'Error getting low stock alerts' });
+    }
+  });
+
+  // 补货记录（最新的在前），查询参数：key（只看某个商品或规格）, page, limit
+  router.get('/restocks', async (req, res) => {
+    try {
+      const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+      const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+      const where = req.query.key ? 'WHERE r.product_id = ?' : '';
+      const params = req.query.key ? [String(req.query.key)] : [];
+
+      const [[{ count }]] = await pool.query(`SELECT COUNT(*) AS count FROM restocks r ${where}`, params);
+      const total = Number(count);
+      const [rows] = await pool.query(
+        `${RESTOCK_SELECT} ${where} ORDER BY r.received_at DESC, r.id DESC LIMIT ? OFFSET ?`,
+        [...params, limit, (page - 1) * limit]
+      );
+
+      res.json({
+        success: true,
+        restocks: rows.map(toRestock),
+        pagination: { page, limit, total, totalPages: Math.ceil(total / limit) }
+      });
+    } catch (error) {
+      console.error('Error getting restocks:', error);
+      res.status(500).json({ success: false, message: 'Error getting restocks' });
+    }
+  });
+
+  // 补货入库：记录到货并增加库存，未填写供应商时使用商品的供应商
+  // 请求体：{ key, quantity, supplier, unitCost, note }
+  router.post('/restocks', async (req, res) => {
+    const { errors, restock } = validateRestock(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, message: errors[0], errors });
+    }
+
+    const key = itemKey(restock.key.productId, restock.key.variantId);
+    let connection;
+    try {
+      connection = await pool.getConnection();
+      await connection.beginTransaction();
+
+      const unit = (await getStockUnits(connection, [key])).get(key);
+      if (!unit) {
+        await connection.rollback();
+        return res.status(404).json({ success: false, message: 'Product or variant not found' });
+      }
+
+      const supplier = restock.supplier || unit.supplier;
+      if (!supplier) {
+        await connection.rollback();
+        const message = 'Supplier is required';
+        return res.status(400).json({ success: false, message, errors: [message] });
+      }
+
+      const restockId = await receiveStock(connection, {
+        ...restock,
+        key,
+        supplier,
+        receivedBy: req.auth.userId
+      });
+
+      // 在事务内读取返回的数据，提交之后不再有可能失败的操作，避免入库已生效却返回错误导致重复入库
+      const [rows] = await connection.query(`${RESTOCK_SELECT} WHERE r.id = ?`, [restockId]);
+      const updated = (await getStockUnits(connection, [key])).get(key);
+
+      await connection.commit();
+      res.status(201).json({
+        success: true,
+        message: `Received ${restock.quantity} × ${unitName(unit)}`,
+        restock: toRestock(rows[0]),
+        item: updated
+      });
+    } catch (error) {
+      if (connection) await connection.rollback();
+      console.error('Error recording restock:', error);
+      res.status(500).json({ success: false, message: 'Error recording restock' });
+    } finally {
+      if (connection) connection.release();
+    }
+  });
+
+  return router;
+}
+
+module.exports = {
+  createRestockTable,
+  getStockUnits,
+  getSupplierStockUnits,
+  getLowStockItems,
+  notifyLowStock,
+  receiveStock,
+  createAdminInventoryRouter
+};
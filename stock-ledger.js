@@ -0,0 +1,425 @@
+// 库存流水 - 只追加的库存变动记录：销售、补货、手工调整（带原因代码）、退货、取消订单退回库存和初始库存
+// 每条流水记录变动数量、变动后的库存和操作人；所有库存修改都通过这里写入流水
+// inventory 表的 quantity 是流水合计的快照，可以与流水核对，不一致时以流水为准修正
+const express = require('express');
+const { itemKey, parseItemKey } = require('./inventory');
+const { requireAdmin } = require('./session');
+
+// 流水类型
+const MOVEMENT_TYPES = ['initial', 'sale', 'restock', 'adjustment', 'return', 'cancellation'];
+
+// 手工调整的原因代码
+const ADJUSTMENT_REASONS = {
+  count_correction: 'Stock count correction',
+  damaged: 'Damaged',
+  expired: 'Expired',
+  lost: 'Lost or stolen',
+  found: 'Found stock',
+  other: 'Other'
+};
+
+// 系统写入的原因代码，不能在手工调整中选择
+const SYSTEM_REASONS = {
+  deleted: 'Product or variant deleted'
+};
+
+// 流水列表每页数量
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+// 创建库存流水表（如果不存在），product_id 为可售单位的键（见 inventory.js 的 itemKey）
+async function createStockLedgerTable(pool) {
+  const query = `
+    CREATE TABLE IF NOT EXISTS stock_movements (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      product_id VARCHAR(50) NOT NULL,
+      quantity_change INT NOT NULL,
+      balance INT NOT NULL,
+      type VARCHAR(20) NOT NULL,
+      reason_code VARCHAR(30) DEFAULT NULL,
+      order_id INT DEFAULT NULL,
+      restock_id INT DEFAULT NULL,
+      note VARCHAR(255) NOT NULL DEFAULT '',
+      created_by VARCHAR(50) NOT NULL,
+      created_at TIMESTAMP(3) DEFAULT CURRENT_TIMESTAMP(3),
+      KEY movement_product (product_id, id)
+    );
+  `;
+
+  try {
+    await pool.execute(query);
+    console.log('Stock movements table created or already exists');
+  } catch (error) {
+    console.error('Error creating stock movements table:', error);
+  }
+}
+
+// 在事务中为已修改的库存写入一条流水，变动后的库存从 inventory 表读取（调用方已锁定该行）
+// movement: { key, change, type, reasonCode, orderId, restockId, note, createdBy }
+async function recordMovement(connection, movement) {
+  const key = String(movement.key);
+  const [rows] = await connection.execute('SELECT quantity FROM inventory WHERE product_id = ?', [key]);
+
+  await connection.execute(
+    `INSERT INTO stock_movements (product_id, quantity_change, balance, type, reason_code, order_id, restock_id, note, created_by)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      key,
+      movement.change,
+      rows.length > 0 ? rows[0].quantity : 0,
+      movement.type,
+      movement.reasonCode || null,
+      movement.orderId || null,
+      movement.restockId || null,
+      String(movement.note || '').slice(0, 255),
+      String(movement.createdBy || 'system')
+    ]
+  );
+}
+
+// 在事务中增减库存并写入流水，库存不能变为负数
+// 返回 { success, quantity }，失败时 quantity 为当前库存
+async function changeStock(connection, key, change, movement) {
+  const [rows] = await connection.execute('SELECT quantity FROM inventory WHERE product_id = ? FOR UPDATE', [String(key)]);
+  const current = rows.length > 0 ? rows[0].quantity : 0;
+  if (current + change < 0) {
+    return { success: false, quantity: current };
+  }
+
+  await connection.execute(
+    'INSERT INTO inventory (product_id, quantity) VALUES (?, ?) ON DUPLICATE KEY UPDATE quantity = VALUES(quantity)',
+    [String(key), current + change]
+  );
+  if (change !== 0 || rows.length === 0) {
+    await recordMovement(connection, { ...movement, key, change });
+  }
+  return { success: true, quantity: current + change };
+}
+
+// 在事务中把库存设置为指定数量，差额记为一条流水（新商品的初始库存、商品表单中的盘点数量）
+async function setStock(connection, key, quantity, movement) {
+  const [rows] = await connection.execute('SELECT quantity FROM inventory WHERE product_id = ? FOR UPDATE', [String(key)]);
+  const current = rows.length > 0 ? rows[0].quantity : 0;
+  return changeStock(connection, key, quantity - current, movement);
+}
+
+// 在事务中移除已删除商品或规格的库存记录，移除前把剩余库存清零并写入流水，使流水合计与库存一致
+async function removeStock(connection, keys, createdBy) {
+  const sortedKeys = [...new Set(keys.map(String))].sort((a, b) => a.localeCompare(b));
+  for (const key of sortedKeys) {
+    await setStock(connection, key, 0, { type: 'adjustment', reasonCode: 'deleted', createdBy });
+  }
+  if (sortedKeys.length > 0) {
+    await connection.query('DELETE FROM inventory WHERE product_id IN (?)', [sortedKeys]);
+  }
+}
+
+// 在事务中为订单的每一行写入销售流水（库存已由 decrementStock 扣减）
+// lines: [{ productId, variantId, quantity }]
+async function recordSale(connection, orderId, lines, createdBy) {
+  for (const line of lines) {
+    await recordMovement(connection, {
+      key: itemKey(line.productId, line.variantId),
+      change: -line.quantity,
+      type: 'sale',
+      orderId,
+      createdBy
+    });
+  }
+}
+
+// 在事务中把订单中的商品退回库存（订单在发货前取消或退款），已删除的商品和规格跳过
+async function returnOrderStock(connection, orderId, createdBy) {
+  const [items] = await connection.execute(
+    'SELECT product_id, variant_id, quantity FROM order_items WHERE order_id = ?',
+    [orderId]
+  );
+  const quantities = new Map();
+  items.forEach(item => {
+    const key = itemKey(item.product_id, item.variant_id);
+    quantities.set(key, (quantities.get(key) || 0) + item.quantity);
+  });
+  if (quantities.size === 0) {
+    return;
+  }
+
+  // 按库存键排序加锁，与 decrementStock 一致，避免死锁
+  const keys = [...quantities.keys()].sort((a, b) => a.localeCompare(b));
+  const [existing] = await connection.query('SELECT product_id FROM inventory WHERE product_id IN (?)', [keys]);
+  const existingKeys = new Set(existing.map(row => row.product_id));
+
+  for (const key of keys.filter(key => existingKeys.has(key))) {
+    await changeStock(connection, key, quantities.get(key), { type: 'cancellation', orderId, createdBy });
+  }
+}
+
+// 为还没有任何流水的库存记录写入初始库存流水（升级前已有的库存和首次导入的商品）
+async function recordOpeningBalances(pool) {
+  try {
+    const [result] = await pool.query(
+      `INSERT INTO stock_movements (product_id, quantity_change, balance, type, note, created_by)
+       SELECT i.product_id, i.quantity, i.quantity, 'initial', 'Opening balance', 'system'
+       FROM inventory i
+       WHERE NOT EXISTS (SELECT 1 FROM stock_movements m WHERE m.product_id = i.product_id)`
+    );
+    if (result.affectedRows > 0) {
+      console.log(`Recorded opening stock balances for ${result.affectedRows} item(s)`);
+    }
+
+    const discrepancies = await getDiscrepancies(pool);
+    if (discrepancies.length > 0) {
+      console.warn(`${discrepancies.length} inventory record(s) do not match the stock ledger`);
+    }
+  } catch (error) {
+    console.error('Error recording opening stock balances:', error);
+  }
+}
+
+// 库存与流水合计不一致的记录
+async function getDiscrepancies(db, forUpdate = false) {
+  const [rows] = await db.query(
+    `SELECT i.product_id, i.quantity, CAST(COALESCE(SUM(m.quantity_change), 0) AS SIGNED) AS ledger_quantity
+     FROM inventory i
+     LEFT JOIN stock_movements m ON m.product_id = i.product_id
+     GROUP BY i.product_id, i.quantity
+     HAVING i.quantity <> ledger_quantity
+     ORDER BY i.product_id
+     ${forUpdate ? 'FOR UPDATE' : ''}`
+  );
+  return rows.map(row => ({
+    key: row.product_id,
+    quantity: row.quantity,
+    ledgerQuantity: Number(row.ledger_quantity)
+  }));
+}
+
+// 流水的操作人：用户显示用户名，游客显示 Guest，系统操作显示来源（system、payments）
+function toMovement(row) {
+  let createdBy = row.created_by;
+  if (row.username) {
+    createdBy = row.username;
+  } else if (createdBy.startsWith('guest-')) {
+    createdBy = 'Guest';
+  }
+
+  return {
+    id: row.id,
+    key: row.product_id,
+    change: row.quantity_change,
+    balance: row.balance,
+    type: row.type,
+    reasonCode: row.reason_code,
+    reason: row.reason_code
+      ? ADJUSTMENT_REASONS[row.reason_code] || SYSTEM_REASONS[row.reason_code] || row.reason_code
+      : null,
+    orderId: row.order_id,
+    restockId: row.restock_id,
+    note: row.note,
+    createdBy,
+    createdAt: row.created_at
+  };
+}
+
+// 校验管理员提交的库存调整或退货，返回 { errors, movement }
+// 调整的 quantity 为正数（增加）或负数（减少），退货的 quantity 为退回的数量
+function validateMovement(body = {}) {
+  const errors = [];
+  const movement = {
+    key: parseItemKey(body.key),
+    type: body.type,
+    change: Number(body.quantity),
+    reasonCode: body.reasonCode || null,
+    orderId: body.orderId === undefined || body.orderId === '' || body.orderId === null ? null : Number(body.orderId),
+    note: typeof body.note === 'string' ? body.note.trim() : ''
+  };
+
+  if (!movement.key) {
+    errors.push('A product or variant is required');
+  }
+  if (movement.type === 'adjustment') {
+    if (!Number.isInteger(movement.change) || movement.change === 0) {
+      errors.push('Quantity must be a whole number other than zero');
+    }
+    if (!ADJUSTMENT_REASONS[movement.reasonCode]) {
+      errors.push(`Reason must be one of: ${Object.keys(ADJUSTMENT_REASONS).join(', ')}`);
+    } else if (movement.reasonCode === 'other' && !movement.note) {
+      errors.push('A note is required when the reason is Other');
+    }
+  } else if (movement.type === 'return') {
+    if (!Number.isInteger(movement.change) || movement.change < 1) {
+      errors.push('Returned quantity must be a positive whole number');
+    }
+    if (!Number.isInteger(movement.orderId) || movement.orderId < 1) {
+      errors.push('The order the items were returned from is required');
+    }
+    movement.reasonCode = null;
+  } else {
+    errors.push('Type must be adjustment or return');
+  }
+  if (movement.note.length > 255) {
+    errors.push('Note must be at most 255 characters');
+  }
+
+  return { errors, movement };
+}
+
+// 库存流水API：/api/admin/inventory - 流水查询、手工调整和退货入库、与库存核对
+function createAdminStockLedgerRouter(pool) {
+  const router = express.Router();
+
+  // 某个商品或规格的库存流水（最新的在前），查询参数：key, page, limit
+  router.get('/movements', async (req, res) => {
+    const key = parseItemKey(req.query.key);
+    if (!key) {
+      return res.status(400).json({ success: false, message: 'A product or variant is required' });
+    }
+
+    try {
+      const productKey = itemKey(key.productId, key.variantId);
+      const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+      const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+
+      const [[{ count }]] = await pool.query('SELECT COUNT(*) AS count FROM stock_movements WHERE product_id = ?', [productKey]);
+      const total = Number(count);
+      const [rows] = await pool.query(
+        `SELECT m.*, u.username
+         FROM stock_movements m
+         LEFT JOIN users u ON CAST(u.id AS CHAR) = m.created_by
+         WHERE m.product_id = ?
+         ORDER BY m.id DESC
+         LIMIT ? OFFSET ?`,
+        [productKey, limit, (page - 1) * limit]
+      );
+      const [stock] = await pool.query('SELECT quantity FROM inventory WHERE product_id = ?', [productKey]);
+
+      res.json({
+        success: true,
+        key: productKey,
+        quantity: stock.length > 0 ? stock[0].quantity : 0,
+        movements: rows.map(toMovement),
+        reasons: ADJUSTMENT_REASONS,
+        pagination: { page, limit, total, totalPages: Math.ceil(total / limit) }
+      });
+    } catch (error) {
+      console.error('Error getting stock movements:', error);
+      res.status(500).json({ success: false, message: 'Error getting stock movements' });
+    }
+  });
+
+  // 手工调整库存或登记退货
+  // 请求体：{ key, type: 'adjustment' | 'return', quantity, reasonCode, orderId, note }
+  router.post('/movements', async (req, res) => {
+    const { errors, movement } = validateMovement(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, message: errors[0], errors });
+    }
+
+    const key = itemKey(movement.key.productId, movement.key.variantId);
+    let connection;
+    try {
+      connection = await pool.getConnection();
+      await connection.beginTransaction();
+
+      const [units] = await connection.execute('SELECT quantity FROM inventory WHERE product_id = ?', [key]);
+      if (units.length === 0) {
+        await connection.rollback();
+        return res.status(404).json({ success: false, message: 'Product or variant not found' });
+      }
+
+      // 退货只能退回订单中购买过的商品，且不超过购买数量减去已退回的数量
+      if (movement.type === 'return') {
+        const [[{ purchased }]] = await connection.query(
+          `SELECT COALESCE(SUM(quantity), 0) AS purchased FROM order_items
+           WHERE order_id = ? AND product_id = ? AND COALESCE(variant_id, 0) = ?`,
+          [movement.orderId, String(movement.key.productId), movement.key.variantId || 0]
+        );
+        const [[{ returned }]] = await connection.query(
+          `SELECT COALESCE(SUM(quantity_change), 0) AS returned FROM stock_movements
+           WHERE order_id = ? AND product_id = ? AND type IN ('return', 'cancellation')`,
+          [movement.orderId, key]
+        );
+        if (movement.change > Number(purchased) - Number(returned)) {
+          await connection.rollback();
+          const message = Number(purchased) === 0
+            ? `Order #${movement.orderId} does not contain this item`
+            : `At most ${Math.max(Number(purchased) - Number(returned), 0)} can be returned from order #${movement.orderId}`;
+          return res.status(400).json({ success: false, message, errors: [message] });
+        }
+      }
+
+      const result = await changeStock(connection, key, movement.change, { ...movement, createdBy: req.auth.userId });
+      if (!result.success) {
+        await connection.rollback();
+        return res.status(409).json({
+          success: false,
+          message: `Only ${result.quantity} in stock, cannot remove ${-movement.change}`
+        });
+      }
+
+      await connection.commit();
+      res.status(201).json({ success: true, message: `Stock is now ${result.quantity}`, quantity: result.quantity });
+    } catch (error) {
+      if (connection) await connection.rollback();
+      console.error('Error recording stock movement:', error);
+      res.status(500).json({ success: false, message: 'Error recording stock movement' });
+    } finally {
+      if (connection) connection.release();
+    }
+  });
+
+  // 库存与流水合计不一致的记录
+  router.get('/reconciliation', async (req, res) => {
+    try {
+      res.json({ success: true, discrepancies: await getDiscrepancies(pool) });
+    } catch (error) {
+      console.error('Error reconciling stock:', error);
+      res.status(500).json({ success: false, message: 'Error reconciling stock' });
+    }
+  });
+
+  // 以流水合计修正库存（仅限管理员），返回被修正的记录
+  router.post('/reconciliation', requireAdmin(pool), async (req, res) => {
+    let connection;
+    try {
+      connection = await pool.getConnection();
+      await connection.beginTransaction();
+
+      const discrepancies = await getDiscrepancies(connection, true);
+      for (const item of discrepancies) {
+        await connection.execute('UPDATE inventory SET quantity = ? WHERE product_id = ?', [item.ledgerQuantity, item.key]);
+      }
+
+      await connection.commit();
+      console.warn(`Stock reconciled against the ledger by user ${req.auth.userId}: ${discrepancies.length} item(s) corrected`);
+      res.json({
+        success: true,
+        message: discrepancies.length > 0
+          ? `Corrected ${discrepancies.length} item(s) to match the stock ledger`
+          : 'Stock already matches the ledger',
+        corrected: discrepancies
+      });
+    } catch (error) {
+      if (connection) await connection.rollback();
+      console.error('Error reconciling stock:', error);
+      res.status(500).json({ success: false, message: 'Error reconciling stock' });
+    } finally {
+      if (connection) connection.release();
+    }
+  });
+
+  return router;
+}
+
+module.exports = {
+  MOVEMENT_TYPES,
+  ADJUSTMENT_REASONS,
+  createStockLedgerTable,
+  recordMovement,
+  changeStock,
+  setStock,
+  removeStock,
+  recordSale,
+  returnOrderStock,
+  recordOpeningBalances,
+  createAdminStockLedgerRouter
+};
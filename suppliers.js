@@ -0,0 +1,264 @@
+// 供应商 - 供应商表（联系人、邮箱、电话、地址、交货周期）以及管理员供应商API
+// 商品通过供应商名称引用供应商（与分类相同），因此修改供应商名称时会同步更新商品中的引用
+const express = require('express');
+const { getSupplierStockUnits } = require('./stock-alerts');
+
+// 交货周期最长天数
+const MAX_LEAD_TIME_DAYS = 365;
+
+// 创建供应商表（如果不存在），表为空时根据已有商品的供应商生成初始供应商
+// 需要在商品表创建之后调用
+async function createSupplierTable(pool) {
+  const query = `
+    CREATE TABLE IF NOT EXISTS suppliers (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      name VARCHAR(255) NOT NULL,
+      contact_name VARCHAR(100) NOT NULL DEFAULT '',
+      email VARCHAR(255) NOT NULL DEFAULT '',
+      phone VARCHAR(50) NOT NULL DEFAULT '',
+      address VARCHAR(500) NOT NULL DEFAULT '',
+      lead_time_days INT DEFAULT NULL,
+      notes TEXT,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      UNIQUE KEY supplier_name (name)
+    );
+  `;
+
+  try {
+    await pool.execute(query);
+    const [[{ count }]] = await pool.query('SELECT COUNT(*) AS count FROM suppliers');
+    if (count === 0) {
+      const [rows] = await pool.query("SELECT DISTINCT supplier FROM products WHERE supplier <> '' ORDER BY supplier");
+      if (rows.length > 0) {
+        await pool.query('INSERT IGNORE INTO suppliers (name) VALUES ?', [rows.map(row => [row.supplier])]);
+      }
+    }
+    console.log('Suppliers table created or already exists');
+  } catch (error) {
+    console.error('Error creating suppliers table:', error);
+  }
+}
+
+function toSupplier(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    contactName: row.contact_name,
+    email: row.email,
+    phone: row.phone,
+    address: row.address,
+    leadTimeDays: row.lead_time_days,
+    notes: row.notes || '',
+    productCount: Number(row.product_count || 0)
+  };
+}
+
+// 供应商及其供应的商品数量
+const SUPPLIER_SELECT = `
+  SELECT s.*, COALESCE(pc.product_count, 0) AS product_count
+  FROM suppliers s
+  LEFT JOIN (SELECT supplier, COUNT(*) AS product_count FROM products GROUP BY supplier) pc ON pc.supplier = s.name
+`;
+
+// 读取全部供应商（按名称排列）
+async function getSuppliers(db) {
+  const [rows] = await db.query(`${SUPPLIER_SELECT} ORDER BY s.name`);
+  return rows.map(toSupplier);
+}
+
+async function getSupplier(db, supplierId) {
+  const [rows] = await db.query(`${SUPPLIER_SELECT} WHERE s.id = ?`, [supplierId]);
+  return rows.length > 0 ? toSupplier(rows[0]) : null;
+}
+
+// 判断供应商名称是否存在（新增或修改商品时校验）
+async function supplierExists(db, name) {
+  const [rows] = await db.execute('SELECT id FROM suppliers WHERE name = ?', [name]);
+  return rows.length > 0;
+}
+
+// 校验管理员提交的供应商数据，返回 { errors, supplier }
+function validateSupplier(body = {}) {
+  const errors = [];
+  const text = value => (typeof value === 'string' ? value.trim() : '');
+
+  const supplier = {
+    name: text(body.name),
+    contactName: text(body.contactName),
+    email: text(body.email),
+    phone: text(body.phone),
+    address: text(body.address),
+    leadTimeDays: body.leadTimeDays === undefined || body.leadTimeDays === null || body.leadTimeDays === ''
+      ? null
+      : Number(body.leadTimeDays),
+    notes: text(body.notes)
+  };
+
+  if (!supplier.name) {
+    errors.push('Supplier name is required');
+  } else if (supplier.name.length > 255) {
+    errors.push('Supplier name must be at most 255 characters');
+  }
+  if (supplier.contactName.length > 100) {
+    errors.push('Contact name must be at most 100 characters');
+  }
+  if (supplier.email && (supplier.email.length > 255 || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(supplier.email))) {
+    errors.push('Email must be a valid email address');
+  }
+  if (supplier.phone.length > 50) {
+    errors.push('Phone must be at most 50 characters');
+  }
+  if (supplier.address.length > 500) {
+    errors.push('Address must be at most 500 characters');
+  }
+  if (supplier.leadTimeDays !== null &&
+      (!Number.isInteger(supplier.leadTimeDays) || supplier.leadTimeDays < 0 || supplier.leadTimeDays > MAX_LEAD_TIME_DAYS)) {
+    errors.push(`Lead time must be a whole number of days between 0 and ${MAX_LEAD_TIME_DAYS}`);
+  }
+  if (supplier.notes.length > 2000) {
+    errors.push('Notes must be at most 2000 characters');
+  }
+
+  return { errors, supplier };
+}
+
+function supplierValues(supplier) {
+  return [
+    supplier.name,
+    supplier.contactName,
+    supplier.email,
+    supplier.phone,
+    supplier.address,
+    supplier.leadTimeDays,
+    supplier.notes
+  ];
+}
+
+// 管理员供应商API - 供应商的增删改查
+function createAdminSuppliersRouter(pool) {
+  const router = express.Router();
+
+  router.get('/', async (req, res) => {
+    try {
+      res.json({ success: true, suppliers: await getSuppliers(pool) });
+    } catch (error) {
+      console.error('Error getting suppliers:', error);
+      res.status(500).json({ success: false, message: 'Error getting suppliers' });
+    }
+  });
+
+  // 供应商详情及其供应的可售单位（没有规格的商品和每个规格）和库存
+  router.get('/:id', async (req, res) => {
+    try {
+      const supplier = await getSupplier(pool, req.params.id);
+      if (!supplier) {
+        return res.status(404).json({ success: false, message: 'Supplier not found' });
+      }
+
+      res.json({ success: true, supplier, items: await getSupplierStockUnits(pool, supplier.name) });
+    } catch (error) {
+      console.error('Error getting supplier:', error);
+      res.status(500).json({ success: false, message: 'Error getting supplier' });
+    }
+  });
+
+  // 新增供应商
+  router.post('/', async (req, res) => {
+    const { errors, supplier } = validateSupplier(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, message: errors[0], errors });
+    }
+
+    try {
+      const [result] = await pool.execute(
+        `INSERT INTO suppliers (name, contact_name, email, phone, address, lead_time_days, notes)
+         VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        supplierValues(supplier)
+      );
+      res.status(201).json({ success: true, message: 'Supplier created', supplier: await getSupplier(pool, result.insertId) });
+    } catch (error) {
+      if (error.code === 'ER_DUP_ENTRY') {
+        return res.status(409).json({ success: false, message: `Supplier ${supplier.name} already exists` });
+      }
+      console.error('Error creating supplier:', error);
+      res.status(500).json({ success: false, message: 'Error creating supplier' });
+    }
+  });
+
+  // 修改供应商，名称变化时同步更新商品中的供应商名称
+  router.put('/:id', async (req, res) => {
+    const { errors, supplier } = validateSupplier(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, message: errors[0], errors });
+    }
+
+    const supplierId = Number(req.params.id);
+    let connection;
+    try {
+      connection = await pool.getConnection();
+      await connection.beginTransaction();
+
+      const [rows] = await connection.execute('SELECT name FROM suppliers WHERE id = ? FOR UPDATE', [supplierId]);
+      if (rows.length === 0) {
+        await connection.rollback();
+        return res.status(404).json({ success: false, message: 'Supplier not found' });
+      }
+
+      await connection.execute(
+        `UPDATE suppliers SET name = ?, contact_name = ?, email = ?, phone = ?, address = ?, lead_time_days = ?, notes = ?
+         WHERE id = ?`,
+        [...supplierValues(supplier), supplierId]
+      );
+
+      const previousName = rows[0].name;
+      if (previousName !== supplier.name) {
+        await connection.execute('UPDATE products SET supplier = ? WHERE supplier = ?', [supplier.name, previousName]);
+      }
+
+      await connection.commit();
+      res.json({ success: true, message: 'Supplier updated', supplier: await getSupplier(pool, supplierId) });
+    } catch (error) {
+      if (connection) await connection.rollback();
+      if (error.code === 'ER_DUP_ENTRY') {
+        return res.status(409).json({ success: false, message: `Supplier ${supplier.name} already exists` });
+      }
+      console.error('Error updating supplier:', error);
+      res.status(500).json({ success: false, message: 'Error updating supplier' });
+    } finally {
+      if (connection) connection.release();
+    }
+  });
+
+  // 删除供应商，仍有商品或采购单时不能删除
+  router.delete('/:id', async (req, res) => {
+    try {
+      const supplier = await getSupplier(pool, req.params.id);
+      if (!supplier) {
+        return res.status(404).json({ success: false, message: 'Supplier not found' });
+      }
+      if (supplier.productCount > 0) {
+        return res.status(409).json({ success: false, message: `Move the ${supplier.productCount} product(s) from ${supplier.name} to another supplier first` });
+      }
+      const [[{ count }]] = await pool.query('SELECT COUNT(*) AS count FROM purchase_orders WHERE supplier_id = ?', [supplier.id]);
+      if (count > 0) {
+        return res.status(409).json({ success: false, message: `${supplier.name} has purchase orders and cannot be deleted` });
+      }
+
+      await pool.execute('DELETE FROM suppliers WHERE id = ?', [supplier.id]);
+      res.json({ success: true, message: 'Supplier deleted' });
+    } catch (error) {
+      console.error('Error deleting supplier:', error);
+      res.status(500).json({ success: false, message: 'Error deleting supplier' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = {
+  createSupplierTable,
+  getSupplier,
+  supplierExists,
+  createAdminSuppliersRouter
+};
@@ -0,0 +1,161 @@
+// 税费 - 管理员按国家/地区配置的税率以及税率查询
+const express = require('express');
+
+// 创建税率表（如果不存在），region 为空表示适用于整个国家
+async function createTaxTable(pool) {
+  const query = `
+    CREATE TABLE IF NOT EXISTS tax_rates (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      name VARCHAR(100) NOT NULL,
+      country VARCHAR(100) NOT NULL,
+      region VARCHAR(100) NOT NULL DEFAULT '',
+      rate DECIMAL(6, 3) NOT NULL,
+      applies_to_shipping TINYINT(1) NOT NULL DEFAULT 0,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      UNIQUE KEY tax_country_region (country, region)
+    );
+  `;
+
+  try {
+    await pool.execute(query);
+    console.log('Tax rates table created or already exists');
+  } catch (error) {
+    console.error('Error creating tax rates table:', error);
+  }
+}
+
+function toTaxRate(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    country: row.country,
+    region: row.region,
+    rate: parseFloat(row.rate),
+    appliesToShipping: Boolean(row.applies_to_shipping)
+  };
+}
+
+// 查找收货地址适用的税率：地区税率优先于国家税率，都没有时返回null（不收税）
+// 表的默认排序规则不区分大小写，因此国家和地区名称的大小写不影响匹配
+async function findTaxRate(db, country, region = '') {
+  const [rows] = await db.execute(
+    'SELECT * FROM tax_rates WHERE country = ? AND region IN (?, \'\') ORDER BY region DESC',
+    [String(country || '').trim(), String(region || '').trim()]
+  );
+  return rows.length > 0 ? toTaxRate(rows[0]) : null;
+}
+
+// 校验管理员提交的税率，返回 { errors, taxRate }
+function validateTaxRate(body = {}) {
+  const errors = [];
+  const text = value => (typeof value === 'string' ? value.trim() : '');
+  const taxRate = {
+    name: text(body.name),
+    country: text(body.country),
+    region: text(body.region),
+    rate: Number(body.rate),
+    appliesToShipping: Boolean(body.appliesToShipping)
+  };
+
+  if (!taxRate.name) {
+    errors.push('Name is required');
+  }
+  if (!taxRate.country) {
+    errors.push('Country is required');
+  }
+  if (!Number.isFinite(taxRate.rate) || taxRate.rate < 0 || taxRate.rate > 100) {
+    errors.push('Rate must be a percentage between 0 and 100');
+  }
+
+  return { errors, taxRate };
+}
+
+function taxRateValues(taxRate) {
+  return [taxRate.name, taxRate.country, taxRate.region, taxRate.rate, taxRate.appliesToShipping ? 1 : 0];
+}
+
+// 管理员税率API - 税率的增删改查
+function createAdminTaxRouter(pool) {
+  const router = express.Router();
+
+  // 税率列表
+  router.get('/', async (req, res) => {
+    try {
+      const [rows] = await pool.query('SELECT * FROM tax_rates ORDER BY country, region');
+      res.json({ success: true, taxRates: rows.map(toTaxRate) });
+    } catch (error) {
+      console.error('Error getting tax rates:', error);
+      res.status(500).json({ success: false, message: 'Error getting tax rates' });
+    }
+  });
+
+  // 新增税率
+  router.post('/', async (req, res) => {
+    const { errors, taxRate } = validateTaxRate(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, message: errors[0], errors });
+    }
+
+    try {
+      const [result] = await pool.execute(
+        'INSERT INTO tax_rates (name, country, region, rate, applies_to_shipping) VALUES (?, ?, ?, ?, ?)',
+        taxRateValues(taxRate)
+      );
+      res.status(201).json({ success: true, message: 'Tax rate created', taxRate: { ...taxRate, id: result.insertId } });
+    } catch (error) {
+      if (error.code === 'ER_DUP_ENTRY') {
+        return res.status(409).json({ success: false, message: 'A tax rate for this country and region already exists' });
+      }
+      console.error('Error creating tax rate:', error);
+      res.status(500).json({ success: false, message: 'Error creating tax rate' });
+    }
+  });
+
+  // 修改税率
+  router.put('/:id', async (req, res) => {
+    const { errors, taxRate } = validateTaxRate(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, message: errors[0], errors });
+    }
+
+    try {
+      const [result] = await pool.execute(
+        'UPDATE tax_rates SET name = ?, country = ?, region = ?, rate = ?, applies_to_shipping = ? WHERE id = ?',
+        [...taxRateValues(taxRate), req.params.id]
+      );
+      if (result.affectedRows === 0) {
+        return res.status(404).json({ success: false, message: 'Tax rate not found' });
+      }
+      res.json({ success: true, message: 'Tax rate updated', taxRate: { ...taxRate, id: Number(req.params.id) } });
+    } catch (error) {
+      if (error.code === 'ER_DUP_ENTRY') {
+        return res.status(409).json({ success: false, message: 'A tax rate for this country and region already exists' });
+      }
+      console.error('Error updating tax rate:', error);
+      res.status(500).json({ success: false, message: 'Error updating tax rate' });
+    }
+  });
+
+  // 删除税率
+  router.delete('/:id', async (req, res) => {
+    try {
+      const [result] = await pool.execute('DELETE FROM tax_rates WHERE id = ?', [req.params.id]);
+      if (result.affectedRows === 0) {
+        return res.status(404).json({ success: false, message: 'Tax rate not found' });
+      }
+      res.json({ success: true, message: 'Tax rate deleted' });
+    } catch (error) {
+      console.error('Error deleting tax rate:', error);
+      res.status(500).json({ success: false, message: 'Error deleting tax rate' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = {
+  createTaxTable,
+  findTaxRate,
+  createAdminTaxRouter
+};
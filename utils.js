@@ -1,5 +1,105 @@
 // Utility functions for the Lunch Restaurant website
 
+// Base URL of the Express API server
+const API_SERVER_URL = 'http://localhost:3000';
+
+/**
+ * Call the API server with the logged-in user's session token
+ * Always resolves to a { success, message, ... } object, like the API itself
+ */
+async function apiRequest(path, options = {}) {
+    try {
+        const headers = { ...(options.headers || {}) };
+        if (options.body !== undefined && typeof options.body !== 'string') {
+            headers['Content-Type'] = 'application/json';
+        }
+        
+        const authHeaders = window.auth && window.auth.getAuthHeaders ? window.auth.getAuthHeaders(headers) : headers;
+        const response = await fetch(`${API_SERVER_URL}${path}`, {
+            ...options,
+            headers: authHeaders,
+            body: options.body !== undefined && typeof options.body !== 'string' ? JSON.stringify(options.body) : options.body
+        });
+        const result = await response.json();
+        
+        return { ...result, status: response.status };
+    } catch (error) {
+        console.error(`Error calling ${path}:`, error);
+        return { success: false, status: 0, message: 'Unable to reach the server. Please try again later.' };
+    }
+}
+
+/**
+ * Load one page of products matching a search
+ * params: q, category, origin_country, spice_level, min_price, max_price, in_stock, sort, limit, cursor
+ * Resolves to { products, nextCursor, total }; throws when the request fails
+ */
+async function searchProducts(params = {}) {
+    const query = new URLSearchParams();
+    Object.entries(params).forEach(([key, value]) => {
+        const values = Array.isArray(value) ? value : [value];
+        values.filter(item => item !== undefined && item !== null && item !== '').forEach(item => query.append(key, item));
+    });
+    
+    const result = await apiRequest(`/api/products?${query.toString()}`);
+    if (!result.success) {
+        throw new Error(result.message);
+    }
+    return { products: result.products, nextCursor: result.nextCursor, total: result.total };
+}
+
+/**
+ * Load the whole product catalog from the products API, following every page
+ * Throws when the server cannot be reached so pages can show their error state
+ */
+async function fetchProducts() {
+    const products = [];
+    let cursor = null;
+    do {
+        const page = await searchProducts({ limit: 100, cursor });
+        products.push(...page.products);
+        cursor = page.nextCursor;
+    } while (cursor);
+    return products;
+}
+
+/**
+ * Load the values the product filters can choose from
+ * Resolves to { categories, originCountries, spiceLevels, priceRange, sorts }
+ */
+async function fetchProductFilters() {
+    const result = await apiRequest('/api/products/filters');
+    if (!result.success) {
+        throw new Error(result.message);
+    }
+    return result.filters;
+}
+
+/**
+ * Load all product categories, ordered for display (parentId is null for top-level categories)
+ */
+async function fetchCategories() {
+    const result = await apiRequest('/api/categories');
+    if (!result.success) {
+        throw new Error(result.message);
+    }
+    return result.categories;
+}
+
+/**
+ * Load a single product, resolving to null when it does not exist
+ */
+async function fetchProduct(productId) {
+    const result = await apiRequest(`/api/products/${encodeURIComponent(productId)}`);
+    if (result.status === 404) {
+        return null;
+    }
+    if (!result.success) {
+        throw new Error(result.message);
+    }
+    return result.product;
+}
+
 /**
  * Export JavaScript object as JSON file
  * This allows admins to download the updated product data
@@ -99,6 +199,15 @@ function formatPrice(price) {
     return `$${parseFloat(price).toFixed(2)}`;
 }
 
+/**
+ * Escape user- or admin-entered text before inserting it as HTML
+ */
+function escapeHtml(value) {
+    const div = document.createElement('div');
+    div.textContent = value == null ? '' : String(value);
+    return div.innerHTML;
+}
+
 /**
  * Show a notification message
  */
@@ -147,10 +256,17 @@ function showNotification(message, type = 'success') {
  */
 if (typeof window !== 'undefined') {
     window.utils = {
+        apiRequest,
+        searchProducts,
+        fetchProducts,
+        fetchProductFilters,
+        fetchCategories,
+        fetchProduct,
         exportToJsonFile,
         calculateDiscount,
         validateProductData,
         formatPrice,
+        escapeHtml,
         showNotification
     };
 }
\ No newline at end of file
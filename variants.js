@@ -0,0 +1,325 @@
+// 商品规格 - 同一商品的不同规格（尺寸、口味、包装数量等），每个规格有独立的SKU、价格、库存和图片
+// 规格库存保存在 inventory 表中，键为 "商品ID:规格ID"（见 inventory.js 的 itemKey）
+// 有规格的商品只能按规格加入购物车，商品本身的价格同步为最便宜规格的价格，用于列表展示、筛选和排序
+const express = require('express');
+const { authenticate, requireAdmin } = require('./session');
+const { itemKey } = require('./inventory');
+const { setStock, removeStock } = require('./stock-ledger');
+
+// 创建商品规格表（如果不存在），需要在商品表之前创建，以便首次导入时写入规格
+async function createVariantTable(pool) {
+  const query = `
+    CREATE TABLE IF NOT EXISTS product_variants (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      product_id INT NOT NULL,
+      sku VARCHAR(64) NOT NULL,
+      name VARCHAR(100) NOT NULL,
+      price DECIMAL(10, 2) NOT NULL,
+      original_price DECIMAL(10, 2) NOT NULL,
+      discount DECIMAL(5, 2) DEFAULT 0,
+      image_url VARCHAR(500) DEFAULT '',
+      sort_order INT NOT NULL DEFAULT 0,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      UNIQUE KEY variant_sku (sku),
+      KEY variant_product (product_id)
+    );
+  `;
+
+  try {
+    await pool.execute(query);
+    console.log('Product variants table created or already exists');
+  } catch (error) {
+    console.error('Error creating product variants table:', error);
+  }
+}
+
+// 查询规格时一并带出库存数量
+const VARIANT_SELECT = `
+  SELECT v.*, COALESCE(i.quantity, 0) AS quantity
+  FROM product_variants v
+  LEFT JOIN inventory i ON i.product_id = CONCAT(v.product_id, ':', v.id)
+`;
+
+// 将数据库记录转换为前端使用的规格对象（价格字段与商品对象一致）
+function toVariant(row) {
+  return {
+    id: row.id,
+    product_id: row.product_id,
+    sku: row.sku,
+    name: row.name,
+    price: parseFloat(row.price),
+    original_price: parseFloat(row.original_price),
+    discount: parseFloat(row.discount),
+    image_url: row.image_url,
+    quantity: row.quantity,
+    sort_order: row.sort_order
+  };
+}
+
+// 读取商品的全部规格（按排序值排列）
+async function getVariants(db, productId) {
+  const [rows] = await db.query(`${VARIANT_SELECT} WHERE v.product_id = ? ORDER BY v.sort_order, v.id`, [productId]);
+  return rows.map(toVariant);
+}
+
+// 按ID批量查找规格，返回以规格ID为键的Map
+async function getVariantsByIds(db, variantIds) {
+  const result = new Map();
+  const ids = [...new Set(variantIds.map(Number).filter(Boolean))];
+  if (ids.length === 0) {
+    return result;
+  }
+
+  const [rows] = await db.query(`${VARIANT_SELECT} WHERE v.id IN (?)`, [ids]);
+  rows.forEach(row => {
+    result.set(row.id, toVariant(row));
+  });
+  return result;
+}
+
+// 把商品价格同步为最便宜规格的价格，商品没有规格时不做修改
+async function syncProductPrice(db, productId) {
+  await db.execute(
+    `UPDATE products p
+     JOIN (
+       SELECT product_id, price, original_price, discount
+       FROM product_variants
+       WHERE product_id = ?
+       ORDER BY price, id
+       LIMIT 1
+     ) cheapest ON cheapest.product_id = p.id
+     SET p.price = cheapest.price, p.original_price = cheapest.original_price, p.discount = cheapest.discount`,
+    [productId]
+  );
+}
+
+// 在事务中写入商品规格及其初始库存（首次导入和管理员新增规格时使用），初始库存记入库存流水
+// variants: [{ sku, name, price, original_price, image_url, quantity, sort_order }]
+async function insertVariants(connection, productId, variants, createdBy = 'system') {
+  for (const [index, variant] of variants.entries()) {
+    const price = Number(variant.price);
+    const originalPrice = Number(variant.original_price || variant.price);
+    const [result] = await connection.execute(
+      `INSERT INTO product_variants (product_id, sku, name, price, original_price, discount, image_url, sort_order)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        productId,
+        variant.sku,
+        variant.name,
+        price,
+        originalPrice,
+        calculateDiscount(price, originalPrice),
+        variant.image_url || '',
+        variant.sort_order === undefined ? index : variant.sort_order
+      ]
+    );
+    await setStock(connection, itemKey(productId, result.insertId), variant.quantity || 0, { type: 'initial', createdBy });
+  }
+  await syncProductPrice(connection, productId);
+}
+
+// 折扣由原价和售价计算，与商品的计算方式一致
+function calculateDiscount(price, originalPrice) {
+  return originalPrice > 0 && price < originalPrice
+    ? Math.round(((originalPrice - price) / originalPrice) * 100)
+    : 0;
+}
+
+// 校验管理员提交的规格数据，返回 { errors, variant }
+function validateVariant(body = {}) {
+  const errors = [];
+  const text = value => (typeof value === 'string' ? value.trim() : '');
+
+  const variant = {
+    sku: text(body.sku).toUpperCase(),
+    name: text(body.name),
+    price: Number(body.price),
+    original_price: body.original_price === undefined || body.original_price === '' ? Number(body.price) : Number(body.original_price),
+    image_url: text(body.image_url),
+    quantity: body.quantity === undefined || body.quantity === '' ? undefined : Number(body.quantity),
+    sort_order: body.sort_order === undefined || body.sort_order === '' ? 0 : Number(body.sort_order)
+  };
+
+  if (!/^[A-Z0-9][A-Z0-9._-]{0,63}$/.test(variant.sku)) {
+    errors.push('SKU is required and may only contain letters, numbers, dots, hyphens and underscores');
+  }
+  if (!variant.name) {
+    errors.push('Variant name is required');
+  } else if (variant.name.length > 100) {
+    errors.push('Variant name must be at most 100 characters');
+  }
+  if (!Number.isFinite(variant.price) || variant.price < 0) {
+    errors.push('Price must be a non-negative number');
+  }
+  if (!Number.isFinite(variant.original_price) || variant.original_price < 0) {
+    errors.push('Original price must be a non-negative number');
+  } else if (variant.price > variant.original_price) {
+    errors.push('Price cannot be higher than the original price');
+  }
+  if (variant.quantity !== undefined && (!Number.isInteger(variant.quantity) || variant.quantity < 0)) {
+    errors.push('Quantity must be a non-negative whole number');
+  }
+  if (variant.image_url.length > 500) {
+    errors.push('Image URL must be at most 500 characters');
+  }
+  if (!Number.isInteger(variant.sort_order)) {
+    errors.push('Sort order must be a whole number');
+  }
+
+  variant.discount = calculateDiscount(variant.price, variant.original_price);
+  return { errors, variant };
+}
+
+// 商品规格API：/api/products/:productId/variants，查询对所有人开放，新增、修改、删除仅限管理员
+function createVariantsRouter(pool) {
+  const router = express.Router({ mergeParams: true });
+  const adminOnly = [authenticate(pool), requireAdmin(pool)];
+
+  // 获取商品的全部规格
+  router.get('/', async (req, res) => {
+    try {
+      res.json({ success: true, variants: await getVariants(pool, req.params.productId) });
+    } catch (error) {
+      console.error('Error getting product variants:', error);
+      res.status(500).json({ success: false, message: 'Error getting product variants' });
+    }
+  });
+
+  // 新增规格，同时写入初始库存
+  router.post('/', adminOnly, async (req, res) => {
+    const { errors, variant } = validateVariant(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, message: errors[0], errors });
+    }
+
+    const { productId } = req.params;
+    let connection;
+    try {
+      connection = await pool.getConnection();
+      await connection.beginTransaction();
+
+      const [products] = await connection.execute('SELECT id FROM products WHERE id = ? FOR UPDATE', [productId]);
+      if (products.length === 0) {
+        await connection.rollback();
+        return res.status(404).json({ success: false, message: 'Product not found' });
+      }
+
+      await insertVariants(connection, productId, [variant], req.auth.userId);
+      // 商品第一次添加规格后不能再按商品整体购买，移除购物车中的旧行
+      await connection.execute('DELETE FROM cart WHERE product_id = ? AND variant_id = 0', [String(productId)]);
+
+      await connection.commit();
+      res.status(201).json({ success: true, message: 'Variant created', variants: await getVariants(pool, productId) });
+    } catch (error) {
+      if (connection) await connection.rollback();
+      if (error.code === 'ER_DUP_ENTRY') {
+        return res.status(409).json({ success: false, message: `SKU ${variant.sku} is already in use` });
+      }
+      console.error('Error creating product variant:', error);
+      res.status(500).json({ success: false, message: 'Error creating product variant' });
+    } finally {
+      if (connection) connection.release();
+    }
+  });
+
+  // 修改规格，提交了 quantity 时同步设置库存
+  router.put('/:variantId', adminOnly, async (req, res) => {
+    const { errors, variant } = validateVariant(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, message: errors[0], errors });
+    }
+
+    const { productId, variantId } = req.params;
+    let connection;
+    try {
+      connection = await pool.getConnection();
+      await connection.beginTransaction();
+
+      const [result] = await connection.execute(
+        `UPDATE product_variants SET sku = ?, name = ?, price = ?, original_price = ?, discount = ?, image_url = ?, sort_order = ?
+         WHERE id = ? AND product_id = ?`,
+        [
+          variant.sku,
+          variant.name,
+          variant.price,
+          variant.original_price,
+          variant.discount,
+          variant.image_url,
+          variant.sort_order,
+          variantId,
+          productId
+        ]
+      );
+      if (result.affectedRows === 0) {
+        await connection.rollback();
+        return res.status(404).json({ success: false, message: 'Variant not found' });
+      }
+
+      // 直接设置的库存视为盘点修正，差额记入库存流水
+      if (variant.quantity !== undefined) {
+        await setStock(connection, itemKey(productId, variantId), variant.quantity, {
+          type: 'adjustment',
+          reasonCode: 'count_correction',
+          createdBy: req.auth.userId
+        });
+      }
+      await syncProductPrice(connection, productId);
+
+      await connection.commit();
+      res.json({ success: true, message: 'Variant updated', variants: await getVariants(pool, productId) });
+    } catch (error) {
+      if (connection) await connection.rollback();
+      if (error.code === 'ER_DUP_ENTRY') {
+        return res.status(409).json({ success: false, message: `SKU ${variant.sku} is already in use` });
+      }
+      console.error('Error updating product variant:', error);
+      res.status(500).json({ success: false, message: 'Error updating product variant' });
+    } finally {
+      if (connection) connection.release();
+    }
+  });
+
+  // 删除规格，同时移除其库存记录（剩余库存清零记入库存流水）和各购物车中的该规格（历史订单保留规格名称和SKU快照）
+  router.delete('/:variantId', adminOnly, async (req, res) => {
+    const { productId, variantId } = req.params;
+    let connection;
+    try {
+      connection = await pool.getConnection();
+      await connection.beginTransaction();
+
+      const [result] = await connection.execute(
+        'DELETE FROM product_variants WHERE id = ? AND product_id = ?',
+        [variantId, productId]
+      );
+      if (result.affectedRows === 0) {
+        await connection.rollback();
+        return res.status(404).json({ success: false, message: 'Variant not found' });
+      }
+
+      await removeStock(connection, [itemKey(productId, variantId)], req.auth.userId);
+      await connection.execute('DELETE FROM cart WHERE product_id = ? AND variant_id = ?', [String(productId), variantId]);
+      await syncProductPrice(connection, productId);
+
+      await connection.commit();
+      res.json({ success: true, message: 'Variant deleted', variants: await getVariants(pool, productId) });
+    } catch (error) {
+      if (connection) await connection.rollback();
+      console.error('Error deleting product variant:', error);
+      res.status(500).json({ success: false, message: 'Error deleting product variant' });
+    } finally {
+      if (connection) connection.release();
+    }
+  });
+
+  return router;
+}
+
+module.exports = {
+  createVariantTable,
+  getVariants,
+  getVariantsByIds,
+  syncProductPrice,
+  insertVariants,
+  createVariantsRouter
+};